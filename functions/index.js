@@ -5,14 +5,43 @@
  * - Scheduled message delivery
  * - Push notifications
  * - Message status management
+ * - "On This Day" nostalgia reminders
+ * - Friend request notifications
+ * - Shared folder activity notifications and digests
+ * - Cascading folder deletion
+ * - Account deletion cleanup and data export
+ * - Sealing of capsule media until delivery
+ * - Time-lock encryption keys for capsule text
+ * - Admin role and operations API with an audit log
+ * - Per-sender rate limits and quotas on message creation
+ * - Email delivery channel alongside push notifications
+ * - Read receipts for senders
+ * - Teaser notifications before a capsule unlocks
+ * - Recipient time zones and quiet hours
+ * - Editing of pending messages with revision history
+ * - Dead man's switch capsules released on sender inactivity
+ * - Scheduled sealing and reveal of folder capsules
+ * - Per-user retention and archival of delivered capsules
+ * - Capsule and shared folder consistency when a friendship ends
+ * - Public share links for folders
+ * - Notification inbox with unread badge counts
  */
 
 const {setGlobalOptions} = require("firebase-functions");
 const {onSchedule} = require("firebase-functions/v2/scheduler");
-const {onDocumentCreated, onDocumentUpdated} = require("firebase-functions/v2/firestore");
-const {onCall} = require("firebase-functions/v2/https");
+const {
+  onDocumentCreated,
+  onDocumentUpdated,
+  onDocumentDeleted,
+  onDocumentDeletedWithAuthContext,
+} = require("firebase-functions/v2/firestore");
+const {onCall, onRequest} = require("firebase-functions/v2/https");
+const functionsV1 = require("firebase-functions/v1");
 const admin = require("firebase-admin");
+const {AggregateField} = require("firebase-admin/firestore");
 const logger = require("firebase-functions/logger");
+const crypto = require("crypto");
+const nodemailer = require("nodemailer");
 
 // Initialize Firebase Admin SDK
 admin.initializeApp();
@@ -22,502 +51,6278 @@ setGlobalOptions({ maxInstances: 10 });
 
 /**
  * Scheduled function that runs every 5 minutes to check for messages ready for delivery
- * This function processes pending scheduled messages whose delivery time has arrived
+ * This function drains every pending message whose delivery time has arrived, every
+ * failed message due for retry and every message whose delivery lease has expired
  */
 exports.processScheduledMessages = onSchedule({
   schedule: "every 5 minutes",
   timeZone: "UTC",
   memory: "256MiB",
+  timeoutSeconds: 540,
   maxInstances: 1, // Only one instance needed for scheduled processing
 }, async (event) => {
   logger.info("Starting scheduled message processing...");
   
+  try {
+    // Leave headroom below the function timeout for in-flight deliveries to finish
+    const result = await drainDeliveryQueue(480 * 1000);
+    
+    if (result.found === 0) {
+      logger.info("No messages ready for delivery");
+      return;
+    }
+    
+    logger.info(`Completed scheduled message processing: ${result.delivered} delivered, ${result.failed} failed, ${result.skipped} skipped of ${result.found} found`);
+    
+  } catch (error) {
+    logger.error("Error in processScheduledMessages:", error);
+    throw error;
+  }
+});
+
+/**
+ * Scheduled function that sends teaser notifications ahead of a capsule's unlock
+ * Teasers never include message content and are skipped when the message was
+ * cancelled, already delivered or rescheduled since the teaser was planned.
+ * Pages through every due teaser until the time budget runs out
+ */
+exports.sendCapsuleTeasers = onSchedule({
+  schedule: "every 5 minutes",
+  timeZone: "UTC",
+  memory: "256MiB",
+  timeoutSeconds: 540,
+  maxInstances: 1,
+}, async (event) => {
+  try {
+    const db = admin.firestore();
+    // Leave headroom below the function timeout; the next run picks up where this one stopped
+    const deadline = Date.now() + 480 * 1000;
+    const baseQuery = db.collection('capsuleTeasers')
+      .where('status', '==', 'pending')
+      .where('sendAt', '<=', admin.firestore.Timestamp.now())
+      .orderBy('sendAt')
+      .limit(NOTIFICATION_PAGE_SIZE);
+    let lastDoc = null;
+    let due = 0;
+    let sent = 0;
+    let failed = 0;
+    
+    while (Date.now() < deadline) {
+      const page = await (lastDoc ? baseQuery.startAfter(lastDoc) : baseQuery).get();
+      
+      if (page.empty) {
+        break;
+      }
+      
+      const results = await Promise.allSettled(page.docs.map((doc) => sendCapsuleTeaser(doc.ref)));
+      due += page.size;
+      sent += results.filter((result) => result.status === 'fulfilled' && result.value).length;
+      failed += results.filter((result) => result.status === 'rejected').length;
+      
+      lastDoc = page.docs[page.docs.length - 1];
+      if (page.size < NOTIFICATION_PAGE_SIZE) {
+        break;
+      }
+    }
+    
+    if (due === 0) {
+      return;
+    }
+    
+    if (Date.now() >= deadline) {
+      logger.warn("Teaser time budget exhausted, the rest is sent by the next run");
+    }
+    
+    logger.info(`Teasers processed: ${sent} sent, ${failed} failed of ${due} due`);
+    
+  } catch (error) {
+    logger.error("Error in sendCapsuleTeasers:", error);
+    throw error;
+  }
+});
+
+/**
+ * Number of held notifications or teasers sent concurrently per page
+ */
+const NOTIFICATION_PAGE_SIZE = 200;
+
+/**
+ * Scheduled function that sends delivery notifications held during quiet hours or
+ * waiting for a retry after a transient failure. Each held notification is claimed by
+ * clearing notificationHeldUntil in a transaction, so overlapping runs never send it twice.
+ * Pages through everything that is due until the time budget runs out
+ */
+exports.releaseHeldNotifications = onSchedule({
+  schedule: "every 5 minutes",
+  timeZone: "UTC",
+  memory: "256MiB",
+  timeoutSeconds: 540,
+  maxInstances: 1,
+}, async (event) => {
+  try {
+    const db = admin.firestore();
+    // Leave headroom below the function timeout; the next run picks up where this one stopped
+    const deadline = Date.now() + 480 * 1000;
+    const baseQuery = db.collection('scheduledMessages')
+      .where('notificationHeldUntil', '<=', admin.firestore.Timestamp.now())
+      .orderBy('notificationHeldUntil')
+      .limit(NOTIFICATION_PAGE_SIZE);
+    let lastDoc = null;
+    let released = 0;
+    let failed = 0;
+    
+    while (Date.now() < deadline) {
+      const page = await (lastDoc ? baseQuery.startAfter(lastDoc) : baseQuery).get();
+      
+      if (page.empty) {
+        break;
+      }
+      
+      const outcomes = await Promise.allSettled(page.docs.map(async (doc) => {
+        const messageData = await db.runTransaction(async (transaction) => {
+          const messageDoc = await transaction.get(doc.ref);
+          
+          if (!messageDoc.exists || !messageDoc.data().notificationHeldUntil) {
+            return null;
+          }
+          
+          transaction.update(doc.ref, {
+            notificationHeldUntil: admin.firestore.FieldValue.delete(),
+            notificationHoldReason: admin.firestore.FieldValue.delete(),
+          });
+          return messageDoc.data();
+        });
+        
+        const releasedData = messageData && messageData.mediaReleasePending ?
+          await releaseDeliveredMedia(doc.ref, messageData) :
+          messageData;
+        
+        if (releasedData) {
+          // Retries of failed notifications still wait for the end of quiet hours
+          await sendDeliveryNotification(releasedData, doc.id, {
+            ignoreQuietHours: messageData.notificationHoldReason !== 'retry',
+          });
+          released++;
+        }
+      }));
+      
+      outcomes.forEach((outcome, index) => {
+        if (outcome.status === 'rejected') {
+          failed++;
+          logger.error(`Failed to release the notification of message ${page.docs[index].id}:`, outcome.reason);
+        }
+      });
+      
+      lastDoc = page.docs[page.docs.length - 1];
+      if (page.size < NOTIFICATION_PAGE_SIZE) {
+        break;
+      }
+    }
+    
+    if (Date.now() >= deadline) {
+      logger.warn("Held notification time budget exhausted, the rest is released by the next run");
+    }
+    
+    logger.info(`Released ${released} held notifications, ${failed} failed`);
+    
+  } catch (error) {
+    logger.error("Error in releaseHeldNotifications:", error);
+    throw error;
+  }
+});
+
+/**
+ * Describes the time left until an unlock, e.g. "24 hours" or "3 days"
+ * @param {number} millis - Milliseconds until the unlock
+ * @returns {string} The rounded duration
+ */
+function describeTimeUntil(millis) {
+  const hours = Math.max(1, Math.round(millis / (60 * 60 * 1000)));
+  
+  if (hours < 48) {
+    return hours === 1 ? '1 hour' : `${hours} hours`;
+  }
+  
+  const days = Math.round(hours / 24);
+  return `${days} days`;
+}
+
+/**
+ * Claims a due teaser and sends it if its message is still waiting for that unlock time
+ * The teaser is marked before the push goes out, so it is sent at most once
+ * @param {Object} teaserRef - Reference to the teaser document
+ * @returns {Promise<boolean>} Whether the teaser was sent
+ */
+async function sendCapsuleTeaser(teaserRef) {
+  const db = admin.firestore();
+  
+  const teaser = await db.runTransaction(async (transaction) => {
+    const teaserDoc = await transaction.get(teaserRef);
+    
+    if (!teaserDoc.exists || teaserDoc.data().status !== 'pending') {
+      return null;
+    }
+    
+    const teaserData = teaserDoc.data();
+    const messageDoc = await transaction.get(db.collection('scheduledMessages').doc(teaserData.messageId));
+    const now = admin.firestore.Timestamp.now();
+    
+    let skipReason = null;
+    if (!messageDoc.exists) {
+      skipReason = 'message_deleted';
+    } else if (messageDoc.data().status !== 'pending') {
+      skipReason = `message_${messageDoc.data().status}`;
+    } else if (messageDoc.data().scheduledFor.toMillis() !== teaserData.scheduledFor.toMillis()) {
+      skipReason = 'message_rescheduled';
+    }
+    
+    if (skipReason) {
+      transaction.update(teaserRef, { status: 'skipped', skipReason: skipReason, processedAt: now });
+      return null;
+    }
+    
+    transaction.update(teaserRef, { status: 'sent', processedAt: now });
+    return { ...teaserData, scheduledFor: messageDoc.data().scheduledFor };
+  });
+  
+  if (!teaser) {
+    return false;
+  }
+  
+  // A teaser that falls into quiet hours is moved to their end, unless the capsule unlocks first
+  const recipientDoc = await db.collection('users').doc(teaser.recipientId).get();
+  const quietHoursEnd = recipientDoc.exists ? getQuietHoursEnd(recipientDoc.data(), new Date()) : null;
+  
+  if (quietHoursEnd) {
+    if (quietHoursEnd.getTime() < teaser.scheduledFor.toMillis()) {
+      await teaserRef.update({ status: 'pending', sendAt: admin.firestore.Timestamp.fromDate(quietHoursEnd) });
+    } else {
+      await teaserRef.update({ status: 'skipped', skipReason: 'quiet_hours' });
+    }
+    return false;
+  }
+  
+  const timeLeft = describeTimeUntil(teaser.scheduledFor.toMillis() - Date.now());
+  const isSelfMessage = teaser.senderId === teaser.recipientId;
+  const body = isSelfMessage ?
+    `A time capsule you sealed unlocks in ${timeLeft}` :
+    `A time capsule from ${await getUsername(teaser.senderId)} unlocks in ${timeLeft}`;
+  
+  const message = buildPushMessage("Time capsule on its way", body, {
+    type: 'capsule_teaser',
+    messageId: teaser.messageId,
+    unlocksAt: teaser.scheduledFor.toDate().toISOString(),
+  }, 'scheduled_messages');
+  
+  const result = await sendToUserDevices(teaser.recipientId, message, { eventKey: `capsule_teaser_${teaserRef.id}` });
+  await teaserRef.update({ successCount: result.successCount, failureCount: result.failureCount });
+  
+  return result.successCount > 0;
+}
+
+/**
+ * How long a runner may hold a message in processing before others can reclaim it
+ */
+const DELIVERY_LEASE_MS = 5 * 60 * 1000;
+
+/**
+ * Number of messages claimed and delivered concurrently per page
+ */
+const DELIVERY_PAGE_SIZE = 50;
+
+/**
+ * Pages through every message that is ready for a delivery attempt until the queue
+ * is empty or the time budget runs out. Each message is claimed with a lease before
+ * delivery, so concurrent runners never deliver the same message twice
+ * @param {number} budgetMs - Time after which no further pages are started
+ * @returns {Promise<Object>} Counts of found, delivered, failed and skipped messages
+ */
+async function drainDeliveryQueue(budgetMs) {
+  const db = admin.firestore();
+  const deadline = Date.now() + budgetMs;
+  const result = { found: 0, delivered: 0, failed: 0, skipped: 0 };
+  
+  const sources = [
+    // Pending messages whose delivery time has arrived
+    (now) => db.collection('scheduledMessages')
+      .where('status', '==', 'pending')
+      .where('scheduledFor', '<=', now)
+      .orderBy('scheduledFor'),
+    // Failed deliveries whose backoff has elapsed
+    (now) => db.collection('scheduledMessages')
+      .where('status', '==', 'failed')
+      .where('nextAttemptAt', '<=', now)
+      .orderBy('nextAttemptAt'),
+    // Messages left in processing by a runner that crashed or timed out
+    (now) => db.collection('scheduledMessages')
+      .where('status', '==', 'processing')
+      .where('leaseExpiresAt', '<=', now)
+      .orderBy('leaseExpiresAt'),
+  ];
+  
+  for (const buildQuery of sources) {
+    let lastDoc = null;
+    
+    while (Date.now() < deadline) {
+      let query = buildQuery(admin.firestore.Timestamp.now()).limit(DELIVERY_PAGE_SIZE);
+      if (lastDoc) {
+        query = query.startAfter(lastDoc);
+      }
+      
+      const page = await query.get();
+      if (page.empty) {
+        break;
+      }
+      
+      result.found += page.size;
+      
+      const outcomes = await Promise.allSettled(page.docs.map((doc) => claimAndDeliver(doc.ref)));
+      outcomes.forEach((outcome, index) => {
+        if (outcome.status === 'rejected') {
+          result.failed++;
+          logger.error(`Failed to deliver message ${page.docs[index].id}:`, outcome.reason);
+        } else if (outcome.value) {
+          result.delivered++;
+        } else {
+          result.skipped++;
+        }
+      });
+      
+      lastDoc = page.docs[page.docs.length - 1];
+      if (page.size < DELIVERY_PAGE_SIZE) {
+        break;
+      }
+    }
+  }
+  
+  if (Date.now() >= deadline) {
+    logger.warn("Delivery time budget exhausted, remaining messages will be picked up by the next run");
+  }
+  
+  return result;
+}
+
+/**
+ * Checks whether a message may be released to its recipient now
+ * Messages are released at scheduledFor; only deliveries the sender or an admin asked
+ * for may run ahead of it, and never for sealed content or inactivity capsules
+ * @param {Object} messageData - The message data
+ * @param {Object} now - Firestore timestamp of the release
+ * @param {boolean} allowEarly - Whether the sender or an admin asked for early delivery
+ * @returns {string|null} Why the message cannot be released yet, or null if it can
+ */
+function getEarlyReleaseBlocker(messageData, now, allowEarly) {
+  const scheduledFor = messageData.scheduledFor;
+  
+  if (scheduledFor && scheduledFor.toMillis() <= now.toMillis()) {
+    return null;
+  }
+  
+  // The escrowed key of sealed content is a time lock, which nobody may open early
+  if (messageData.encryption) {
+    return 'Sealed messages cannot be delivered before their scheduled time';
+  }
+  
+  if (messageData.releaseTrigger === 'inactivity') {
+    return 'Inactivity capsules are only released when the sender stops checking in';
+  }
+  
+  if (!allowEarly) {
+    return 'Message is not due yet';
+  }
+  
+  return null;
+}
+
+/**
+ * Puts a claimed message back to pending without counting a delivery attempt
+ * @param {Object} transaction - The Firestore transaction
+ * @param {Object} messageRef - Reference to the message
+ * @param {Object} now - Firestore timestamp of the change
+ */
+function returnClaimToPending(transaction, messageRef, now) {
+  transaction.update(messageRef, {
+    status: 'pending',
+    leaseId: admin.firestore.FieldValue.delete(),
+    leaseExpiresAt: admin.firestore.FieldValue.delete(),
+    updatedAt: now,
+  });
+}
+
+/**
+ * Claims a message for delivery by moving it to processing with a lease
+ * A message is claimable when it is pending and due, failed and past its backoff,
+ * or processing with an expired lease
+ * @param {Object} messageRef - Reference to the message
+ * @param {Object} [options] - Set ignoreSchedule to claim pending or failed messages early,
+ * and force to also claim dead-lettered messages
+ * @returns {Promise<Object|null>} The lease ID, or null if the message could not be claimed
+ */
+async function claimMessage(messageRef, options = {}) {
+  const db = admin.firestore();
+  
+  return db.runTransaction(async (transaction) => {
+    const messageDoc = await transaction.get(messageRef);
+    
+    if (!messageDoc.exists) {
+      return null;
+    }
+    
+    const currentData = messageDoc.data();
+    const now = admin.firestore.Timestamp.now();
+    const isDue = (timestamp) => options.ignoreSchedule || (timestamp && timestamp.toMillis() <= now.toMillis());
+    const releaseBlocker = getEarlyReleaseBlocker(currentData, now, options.ignoreSchedule === true);
+    const leaseExpired = currentData.status === 'processing' && currentData.leaseExpiresAt &&
+      currentData.leaseExpiresAt.toMillis() <= now.toMillis();
+    
+    // An early delivery that crashed is not resumed by the scheduler before its time
+    if (leaseExpired && releaseBlocker) {
+      returnClaimToPending(transaction, messageRef, now);
+      return null;
+    }
+    
+    const claimable =
+      (currentData.status === 'pending' && !releaseBlocker) ||
+      (currentData.status === 'failed' && isDue(currentData.nextAttemptAt) && !releaseBlocker) ||
+      (currentData.status === 'dead_letter' && options.force === true && !releaseBlocker) ||
+      leaseExpired;
+    
+    if (!claimable) {
+      return null;
+    }
+    
+    const leaseId = crypto.randomUUID();
+    const update = {
+      status: 'processing',
+      leaseId: leaseId,
+      leaseExpiresAt: admin.firestore.Timestamp.fromMillis(now.toMillis() + DELIVERY_LEASE_MS),
+      claimedAt: now,
+      updatedAt: now,
+    };
+    
+    // A run that crashed or timed out used up an attempt, so a message that keeps doing that ends in dead_letter
+    if (currentData.status === 'processing') {
+      const retryCount = (currentData.retryCount || 0) + 1;
+      const deliveryAttempts = [...(currentData.deliveryAttempts || []), {
+        attemptedAt: now,
+        error: 'Delivery lease expired',
+        permanent: false,
+      }];
+      
+      if (retryCount >= MAX_DELIVERY_ATTEMPTS) {
+        transaction.update(messageRef, {
+          status: 'dead_letter',
+          failureReason: 'Delivery lease expired',
+          failedAt: now,
+          deadLetteredAt: now,
+          updatedAt: now,
+          retryCount: retryCount,
+          deliveryAttempts: deliveryAttempts,
+          leaseId: admin.firestore.FieldValue.delete(),
+          leaseExpiresAt: admin.firestore.FieldValue.delete(),
+        });
+        
+        logger.warn(`Message ${messageRef.id} moved to dead_letter after ${retryCount} expired leases or failures`);
+        return null;
+      }
+      
+      logger.warn(`Reclaiming message ${messageRef.id} from expired lease ${currentData.leaseId}`);
+      update.retryCount = retryCount;
+      update.deliveryAttempts = deliveryAttempts;
+      update.lastRetryAt = now;
+    }
+    
+    if (currentData.status === 'failed' || currentData.status === 'dead_letter') {
+      update.lastRetryAt = now;
+      update.nextAttemptAt = admin.firestore.FieldValue.delete();
+    }
+    
+    transaction.update(messageRef, update);
+    return leaseId;
+  });
+}
+
+/**
+ * Claims a message and delivers it while holding the lease
+ * @param {Object} messageRef - Reference to the message
+ * @param {Object} [options] - Passed through to claimMessage
+ * @returns {Promise<boolean>} Whether the message was delivered by this call
+ */
+async function claimAndDeliver(messageRef, options = {}) {
+  const leaseId = await claimMessage(messageRef, options);
+  
+  if (!leaseId) {
+    return false;
+  }
+  
+  return deliverMessage(messageRef.id, leaseId, { allowEarly: options.ignoreSchedule === true });
+}
+
+/**
+ * Delivers a claimed scheduled message and updates its status
+ * @param {string} messageId - The ID of the message to deliver
+ * @param {string} leaseId - The lease obtained from claimMessage
+ * @param {Object} [options] - Set allowEarly when the sender or an admin asked for early delivery
+ * @returns {Promise<boolean>} Whether the message was delivered by this call
+ */
+async function deliverMessage(messageId, leaseId, options = {}) {
+  const db = admin.firestore();
+  const deliveredAt = admin.firestore.Timestamp.now();
+  const messageRef = db.collection('scheduledMessages').doc(messageId);
+  
+  // Verifies the lease and the schedule; a message that may not be released yet goes back to pending
+  const checkRelease = (transaction, messageDoc) => {
+    if (!messageDoc.exists) {
+      throw new Error(`Message ${messageId} not found`);
+    }
+    
+    const currentData = messageDoc.data();
+    
+    if (currentData.status !== 'processing' || currentData.leaseId !== leaseId) {
+      logger.warn(`Lease on message ${messageId} was lost (status: ${currentData.status}), skipping delivery`);
+      return null;
+    }
+    
+    const releaseBlocker = getEarlyReleaseBlocker(currentData, deliveredAt, options.allowEarly === true);
+    
+    if (releaseBlocker) {
+      logger.warn(`Message ${messageId} returned to pending: ${releaseBlocker}`);
+      returnClaimToPending(transaction, messageRef, deliveredAt);
+      return null;
+    }
+    
+    return currentData;
+  };
+  
+  try {
+    let claimedData = await db.runTransaction(async (transaction) =>
+      checkRelease(transaction, await transaction.get(messageRef)));
+    
+    if (!claimedData) {
+      return false;
+    }
+    
+    // Uploads that could not be sealed on creation are sealed before anything is released
+    if (claimedData.imagePaths || claimedData.videoPath) {
+      claimedData = await sealCapsuleMedia(messageRef, claimedData);
+      
+      if (claimedData.imagePaths || claimedData.videoPath) {
+        throw new Error('Capsule media could not be sealed');
+      }
+    }
+    
+    // Use atomic transaction to ensure status update is consistent
+    const messageData = await db.runTransaction(async (transaction) => {
+      const currentData = checkRelease(transaction, await transaction.get(messageRef));
+      
+      if (!currentData) {
+        return null;
+      }
+      
+      // Validate message data before processing
+      if (!currentData.senderId || !currentData.recipientId || !currentData.textContent) {
+        throw new PermanentDeliveryError('Invalid message data: missing required fields');
+      }
+      
+      const recipientDoc = await transaction.get(db.collection('users').doc(currentData.recipientId));
+      if (!recipientDoc.exists) {
+        throw new PermanentDeliveryError(`Recipient ${currentData.recipientId} no longer exists`);
+      }
+      
+      // Fail closed: sealed content is never delivered without a key the sender owns
+      let releasedEncryption = null;
+      if (currentData.encryption) {
+        const keyDoc = await transaction.get(db.collection('capsuleKeys').doc(currentData.encryption.keyId || '-'));
+        
+        if (!keyDoc.exists) {
+          throw new PermanentDeliveryError('Encryption key for sealed content is missing');
+        }
+        
+        if (keyDoc.data().senderId !== currentData.senderId) {
+          throw new PermanentDeliveryError('Encryption key does not belong to the sender');
+        }
+        
+        releasedEncryption = { ...currentData.encryption, key: keyDoc.data().key, releasedAt: deliveredAt };
+        transaction.update(keyDoc.ref, { lastReleasedAt: deliveredAt });
+      }
+      
+      // Atomic update with proper deliveredAt timestamp
+      const deliveryUpdate = {
+        status: 'delivered',
+        deliveredAt: deliveredAt,
+        updatedAt: deliveredAt,
+        // Add processing metadata for debugging
+        processedBy: 'cloud-function',
+        processedAt: deliveredAt,
+        leaseId: admin.firestore.FieldValue.delete(),
+        leaseExpiresAt: admin.firestore.FieldValue.delete(),
+      };
+      
+      if (releasedEncryption) {
+        deliveryUpdate.encryption = releasedEncryption;
+      }
+      
+      // Download links are issued once the delivery is committed, so a failed delivery never hands any out
+      if (Array.isArray(currentData.sealedMedia) && currentData.sealedMedia.length > 0) {
+        deliveryUpdate.mediaReleasePending = true;
+      }
+      
+      transaction.update(messageRef, deliveryUpdate);
+      
+      logger.info(`Message ${messageId} status updated to delivered with timestamp ${deliveredAt.toDate().toISOString()}`);
+      
+      // Record this occurrence and spawn the next one for recurring messages
+      if (currentData.recurrence) {
+        scheduleNextOccurrence(transaction, messageId, currentData, deliveredAt);
+      }
+      
+      return { ...currentData, ...deliveryUpdate };
+    });
+    
+    if (!messageData) {
+      return false;
+    }
+    
+    const releasedData = messageData.mediaReleasePending ?
+      await releaseDeliveredMedia(messageRef, messageData) :
+      messageData;
+    
+    // Without its media links the capsule is not announced; releaseHeldNotifications tries again
+    if (!releasedData) {
+      return true;
+    }
+    
+    // Send push notification to recipient (outside transaction to avoid timeout)
+    try {
+      await sendDeliveryNotification(releasedData, messageId);
+    } catch (notificationError) {
+      logger.error(`Failed to send notification for message ${messageId}:`, notificationError);
+      // Don't fail the entire delivery if notification fails
+    }
+    
+    logger.info(`Message ${messageId} delivered successfully at ${deliveredAt.toDate().toISOString()}`);
+    return true;
+    
+  } catch (error) {
+    logger.error(`Error delivering message ${messageId}:`, error);
+    
+    // Try to record the failed attempt and schedule a retry or dead-letter the message
+    try {
+      await recordFailedAttempt(messageId, leaseId, error);
+    } catch (updateError) {
+      logger.error(`Failed to update message ${messageId} to failed status:`, updateError);
+    }
+    
+    throw error;
+  }
+}
+
+/**
+ * Maximum number of delivery attempts before a message is moved to dead_letter
+ */
+const MAX_DELIVERY_ATTEMPTS = 5;
+
+/**
+ * Backoff before the first retry, doubled for every further attempt
+ */
+const RETRY_BASE_DELAY_MS = 5 * 60 * 1000;
+
+/**
+ * Upper bound for the delay between two delivery attempts
+ */
+const RETRY_MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Error for delivery failures that retrying cannot fix (invalid data, recipient deleted)
+ */
+class PermanentDeliveryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PermanentDeliveryError';
+  }
+}
+
+/**
+ * Computes when the next delivery attempt should run using exponential backoff with jitter
+ * @param {number} attemptCount - Number of attempts made so far
+ * @returns {Object} Firestore timestamp of the next attempt
+ */
+function computeNextAttemptAt(attemptCount) {
+  const delay = Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, attemptCount - 1), RETRY_MAX_DELAY_MS);
+  const jitter = Math.floor(Math.random() * delay * 0.1);
+  return admin.firestore.Timestamp.fromMillis(Date.now() + delay + jitter);
+}
+
+/**
+ * Plans another attempt at a delivery notification that reached no channel because of
+ * a transient FCM, email or Firestore error; releaseHeldNotifications sends it when due
+ * @param {Object} messageData - The delivered message
+ * @returns {Object|null} Fields for the message update, or null once attempts are exhausted
+ */
+function planNotificationRetry(messageData) {
+  const retryCount = (messageData.notificationRetryCount || 0) + 1;
+  
+  if (retryCount >= MAX_DELIVERY_ATTEMPTS) {
+    return null;
+  }
+  
+  return {
+    notificationRetryCount: retryCount,
+    notificationHeldUntil: computeNextAttemptAt(retryCount),
+    notificationHoldReason: 'retry',
+  };
+}
+
+/**
+ * Records a failed delivery attempt on a claimed message
+ * Transient failures are retried with backoff; permanent failures and exhausted
+ * retries move the message to dead_letter with the full attempt history
+ * @param {string} messageId - The message that failed to deliver
+ * @param {string} leaseId - The lease held by the failed attempt
+ * @param {Error} error - The delivery error
+ */
+async function recordFailedAttempt(messageId, leaseId, error) {
+  const db = admin.firestore();
+  
+  await db.runTransaction(async (transaction) => {
+    const messageRef = db.collection('scheduledMessages').doc(messageId);
+    const messageDoc = await transaction.get(messageRef);
+    
+    if (!messageDoc.exists) {
+      return;
+    }
+    
+    const currentData = messageDoc.data();
+    
+    // Only update to failed if this attempt still holds the lease
+    if (currentData.status !== 'processing' || currentData.leaseId !== leaseId) {
+      return;
+    }
+    
+    const now = admin.firestore.Timestamp.now();
+    const isPermanent = error instanceof PermanentDeliveryError;
+    const retryCount = (currentData.retryCount || 0) + 1;
+    const failureReason = error.message || 'Unknown delivery error';
+    const deliveryAttempts = [...(currentData.deliveryAttempts || []), {
+      attemptedAt: now,
+      error: failureReason,
+      permanent: isPermanent,
+    }];
+    
+    if (isPermanent || retryCount >= MAX_DELIVERY_ATTEMPTS) {
+      transaction.update(messageRef, {
+        status: 'dead_letter',
+        failureReason: failureReason,
+        failedAt: now,
+        deadLetteredAt: now,
+        updatedAt: now,
+        retryCount: retryCount,
+        nextAttemptAt: admin.firestore.FieldValue.delete(),
+        deliveryAttempts: deliveryAttempts,
+        leaseId: admin.firestore.FieldValue.delete(),
+        leaseExpiresAt: admin.firestore.FieldValue.delete(),
+      });
+      
+      logger.warn(`Message ${messageId} moved to dead_letter after ${retryCount} attempts: ${failureReason}`);
+      return;
+    }
+    
+    const nextAttemptAt = computeNextAttemptAt(retryCount);
+    transaction.update(messageRef, {
+      status: 'failed',
+      failureReason: failureReason,
+      failedAt: now,
+      updatedAt: now,
+      retryCount: retryCount,
+      nextAttemptAt: nextAttemptAt,
+      deliveryAttempts: deliveryAttempts,
+      leaseId: admin.firestore.FieldValue.delete(),
+      leaseExpiresAt: admin.firestore.FieldValue.delete(),
+    });
+    
+    logger.info(`Message ${messageId} will be retried at ${nextAttemptAt.toDate().toISOString()}`);
+  });
+}
+
+/**
+ * Supported recurrence frequencies, matching the RRULE FREQ values we accept
+ */
+const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+/**
+ * Per-occurrence fields that must not be copied when spawning the next occurrence
+ */
+const OCCURRENCE_STATE_FIELDS = [
+  'status',
+  'deliveredAt',
+  'processedBy',
+  'processedAt',
+  'failureReason',
+  'failedAt',
+  'retryCount',
+  'lastRetryAt',
+  'nextAttemptAt',
+  'deliveryAttempts',
+  'deadLetteredAt',
+  'leaseId',
+  'leaseExpiresAt',
+  'claimedAt',
+  'notificationResults',
+  'notificationSuccessCount',
+  'notificationFailureCount',
+  'notificationId',
+  'notifiedAt',
+  'notificationHeldUntil',
+  'notificationHoldReason',
+  'notificationRetryCount',
+  'channelStatus',
+  'testMode',
+  'testStartedAt',
+  // Group aggregates only track the first occurrence of each recipient copy
+  'groupMessageId',
+  // Quota usage is charged once, to the first occurrence
+  'quotaCheckedAt',
+  'mediaBytes',
+];
+
+/**
+ * Parses an RRULE date value (e.g. 20300101 or 20300101T090000Z) as UTC
+ * @param {string} value - The RRULE date value
+ * @returns {Date} The parsed date
+ */
+function parseRRuleDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  
+  if (!match) {
+    throw new Error(`Invalid UNTIL value in recurrence rule: ${value}`);
+  }
+  
+  const [, year, month, day, hours = '23', minutes = '59', seconds = '59'] = match;
+  return new Date(Date.UTC(
+    Number(year), Number(month) - 1, Number(day),
+    Number(hours), Number(minutes), Number(seconds),
+  ));
+}
+
+/**
+ * Parses the subset of RRULE syntax we support: FREQ, INTERVAL, COUNT and UNTIL
+ * @param {string} rrule - e.g. "FREQ=YEARLY;COUNT=10" or "RRULE:FREQ=DAILY;INTERVAL=100"
+ * @returns {Object} Raw recurrence fields
+ */
+function parseRRule(rrule) {
+  const spec = {};
+  
+  rrule.replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach((part) => {
+    const [key, value] = part.split('=');
+    
+    switch ((key || '').toUpperCase()) {
+      case 'FREQ':
+        spec.frequency = (value || '').toLowerCase();
+        break;
+      case 'INTERVAL':
+        spec.interval = Number(value);
+        break;
+      case 'COUNT':
+        spec.count = Number(value);
+        break;
+      case 'UNTIL':
+        spec.until = parseRRuleDate(value || '');
+        break;
+      default:
+        throw new Error(`Unsupported recurrence rule part: ${key}`);
+    }
+  });
+  
+  return spec;
+}
+
+/**
+ * Validates and normalizes the recurrence field of a scheduled message
+ * Accepts either {frequency, interval, count, until} or {rrule}
+ * @param {Object} recurrence - The recurrence field from Firestore
+ * @returns {Object} Normalized recurrence with frequency, interval, count and until (Date or null)
+ */
+function normalizeRecurrence(recurrence) {
+  if (typeof recurrence !== 'object' || recurrence === null) {
+    throw new Error('Recurrence must be an object');
+  }
+  
+  const spec = typeof recurrence.rrule === 'string' ?
+    parseRRule(recurrence.rrule) :
+    recurrence;
+  
+  if (!RECURRENCE_FREQUENCIES.includes(spec.frequency)) {
+    throw new Error(`Unsupported recurrence frequency: ${spec.frequency}`);
+  }
+  
+  const interval = spec.interval === undefined ? 1 : spec.interval;
+  if (!Number.isInteger(interval) || interval < 1) {
+    throw new Error('Recurrence interval must be a positive integer');
+  }
+  
+  const count = spec.count === undefined || spec.count === null ? null : spec.count;
+  if (count !== null && (!Number.isInteger(count) || count < 1)) {
+    throw new Error('Recurrence count must be a positive integer');
+  }
+  
+  let until = null;
+  if (spec.until) {
+    until = typeof spec.until.toDate === 'function' ? spec.until.toDate() : new Date(spec.until);
+    if (isNaN(until.getTime())) {
+      throw new Error('Recurrence end date is invalid');
+    }
+  }
+  
+  return { frequency: spec.frequency, interval, count, until };
+}
+
+/**
+ * Computes the date of an occurrence relative to the start of its series
+ * Steps are taken on the wall clock of the series' time zone, so occurrences keep their
+ * local time across DST changes. Month and year steps are clamped to the last day of
+ * shorter months (Jan 31 -> Feb 28)
+ * @param {Date} seriesStart - Scheduled time of the first occurrence
+ * @param {Object} spec - Normalized recurrence
+ * @param {number} steps - Number of intervals after the first occurrence
+ * @param {string} [timeZone] - IANA time zone of the series, UTC when missing or unknown
+ * @returns {Date} The occurrence date
+ */
+function addRecurrenceSteps(seriesStart, spec, steps, timeZone) {
+  const zone = isValidTimeZone(timeZone) ? timeZone : 'UTC';
+  const start = getLocalDateParts(seriesStart, zone);
+  // Wall-clock time of the first occurrence, with UTC methods used as a plain calendar
+  const date = new Date(Date.UTC(start.year, start.month - 1, start.day, start.hour, start.minute));
+  
+  if (spec.frequency === 'daily' || spec.frequency === 'weekly') {
+    const days = spec.frequency === 'weekly' ? 7 : 1;
+    date.setUTCDate(date.getUTCDate() + steps * spec.interval * days);
+  } else {
+    const months = steps * spec.interval * (spec.frequency === 'yearly' ? 12 : 1);
+    const targetMonth = start.month - 1 + months;
+    const lastDayOfTarget = new Date(Date.UTC(start.year, targetMonth + 1, 0)).getUTCDate();
+    
+    date.setUTCDate(1);
+    date.setUTCMonth(targetMonth);
+    date.setUTCDate(Math.min(start.day, lastDayOfTarget));
+  }
+  
+  const occurrence = zonedTimeToUtc({
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    hour: date.getUTCHours(),
+    minute: date.getUTCMinutes(),
+  }, zone);
+  
+  // Wall-clock times are whole minutes, so carry over the seconds of the first occurrence
+  return new Date(occurrence.getTime() + seriesStart.getTime() % 60000);
+}
+
+/**
+ * Finds the next occurrence of a recurring message after the given time
+ * Occurrences missed while the message was overdue are skipped but still count towards COUNT
+ * @param {Object} messageData - The occurrence that is being delivered
+ * @param {Date} after - Only occurrences strictly after this time are returned
+ * @returns {Object|null} {occurrenceNumber, scheduledFor} or null when the series has ended
+ */
+function getNextOccurrence(messageData, after) {
+  const spec = normalizeRecurrence(messageData.recurrence);
+  const seriesStart = (messageData.seriesStartAt || messageData.scheduledFor).toDate();
+  
+  let occurrenceNumber = messageData.occurrenceNumber || 1;
+  let scheduledFor;
+  
+  do {
+    occurrenceNumber++;
+    scheduledFor = addRecurrenceSteps(seriesStart, spec, occurrenceNumber - 1, messageData.scheduledTimeZone);
+  } while (scheduledFor <= after);
+  
+  if (spec.count !== null && occurrenceNumber > spec.count) {
+    return null;
+  }
+  
+  if (spec.until && scheduledFor > spec.until) {
+    return null;
+  }
+  
+  return { occurrenceNumber, scheduledFor };
+}
+
+/**
+ * Records the delivered occurrence in the series history and creates the next occurrence
+ * Runs inside the delivery transaction so an occurrence is never delivered without its successor
+ * @param {Object} transaction - The delivery transaction
+ * @param {string} messageId - The occurrence being delivered
+ * @param {Object} messageData - The occurrence data read in the transaction
+ * @param {Object} deliveredAt - Firestore timestamp of the delivery
+ */
+function scheduleNextOccurrence(transaction, messageId, messageData, deliveredAt) {
+  const db = admin.firestore();
+  const seriesId = messageData.seriesId || messageId;
+  const occurrenceNumber = messageData.occurrenceNumber || 1;
+  const seriesRef = db.collection('scheduledMessages').doc(seriesId);
+  
+  let next = null;
+  try {
+    next = getNextOccurrence(messageData, deliveredAt.toDate());
+  } catch (error) {
+    // An invalid rule must not block delivery of the occurrence itself
+    logger.error(`Invalid recurrence on message ${messageId}, ending series ${seriesId}:`, error);
+  }
+  
+  const nextMessageId = next ? `${seriesId}_${next.occurrenceNumber}` : null;
+  
+  transaction.set(seriesRef.collection('deliveryHistory').doc(String(occurrenceNumber)), {
+    occurrenceNumber: occurrenceNumber,
+    messageId: messageId,
+    scheduledFor: messageData.scheduledFor,
+    deliveredAt: deliveredAt,
+    nextMessageId: nextMessageId,
+  });
+  
+  if (!next) {
+    logger.info(`Recurring series ${seriesId} ended after occurrence ${occurrenceNumber}`);
+    return;
+  }
+  
+  const nextData = { ...messageData };
+  OCCURRENCE_STATE_FIELDS.forEach((field) => delete nextData[field]);
+  
+  // Deterministic ID keeps a retried delivery from spawning a duplicate occurrence, and create()
+  // fails the delivery rather than overwrite an occurrence that already exists
+  transaction.create(db.collection('scheduledMessages').doc(nextMessageId), {
+    ...nextData,
+    seriesId: seriesId,
+    seriesStartAt: messageData.seriesStartAt || messageData.scheduledFor,
+    occurrenceNumber: next.occurrenceNumber,
+    scheduledFor: admin.firestore.Timestamp.fromDate(next.scheduledFor),
+    status: 'pending',
+    createdAt: deliveredAt,
+    updatedAt: deliveredAt,
+  });
+  
+  logger.info(`Scheduled occurrence ${next.occurrenceNumber} of series ${seriesId} for ${next.scheduledFor.toISOString()}`);
+}
+
+/**
+ * FCM error codes meaning a registration token will never be deliverable again
+ */
+const STALE_TOKEN_ERROR_CODES = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token',
+];
+
+/**
+ * Collects every registered device token for a user
+ * Reads the fcm_tokens collection and includes the legacy fcmToken field on the user profile
+ * @param {string} userId - The user whose devices should be returned
+ * @returns {Promise<Array<Object>>} Devices with token, platform, Firestore ref and profile flag
+ */
+async function getUserDeviceTokens(userId) {
+  const db = admin.firestore();
+  
+  const [tokenSnapshot, userDoc] = await Promise.all([
+    db.collection('fcm_tokens').where('userId', '==', userId).get(),
+    db.collection('users').doc(userId).get(),
+  ]);
+  
+  const profileToken = userDoc.exists ? userDoc.data().fcmToken : null;
+  const devices = [];
+  const seenTokens = new Set();
+  
+  tokenSnapshot.docs.forEach((doc) => {
+    const tokenData = doc.data();
+    if (!tokenData.token || seenTokens.has(tokenData.token)) {
+      return;
+    }
+    
+    seenTokens.add(tokenData.token);
+    devices.push({
+      token: tokenData.token,
+      platform: tokenData.platform || 'unknown',
+      ref: doc.ref,
+      onProfile: tokenData.token === profileToken,
+    });
+  });
+  
+  // Older app versions only wrote the token to the user profile
+  if (profileToken && !seenTokens.has(profileToken)) {
+    devices.push({
+      token: profileToken,
+      platform: userDoc.data().platform || 'unknown',
+      ref: null,
+      onProfile: true,
+    });
+  }
+  
+  return devices;
+}
+
+/**
+ * Removes device tokens that FCM reported as unregistered or invalid
+ * @param {string} userId - The owner of the tokens
+ * @param {Array<Object>} staleDevices - Devices returned by getUserDeviceTokens
+ */
+async function pruneDeviceTokens(userId, staleDevices) {
+  const db = admin.firestore();
+  const batch = db.batch();
+  
+  staleDevices.forEach((device) => {
+    if (device.ref) {
+      batch.delete(device.ref);
+    }
+  });
+  
+  if (staleDevices.some((device) => device.onProfile)) {
+    batch.update(db.collection('users').doc(userId), {
+      fcmToken: admin.firestore.FieldValue.delete(),
+      fcmTokenUpdatedAt: admin.firestore.Timestamp.now(),
+    });
+  }
+  
+  await batch.commit();
+  logger.info(`Pruned ${staleDevices.length} stale FCM tokens for user ${userId}`);
+}
+
+/**
+ * Counts the unread notifications in a user's inbox
+ * @param {string} userId - The user ID
+ * @returns {Promise<number>} Number of unread notifications
+ */
+async function countUnreadNotifications(userId) {
+  const snapshot = await admin.firestore().collection('notifications')
+    .where('userId', '==', userId)
+    .where('read', '==', false)
+    .count()
+    .get();
+  
+  return snapshot.data().count;
+}
+
+/**
+ * Records a notification in a user's inbox
+ * The inbox drives the in-app notification list and badge, so entries are written
+ * whether or not any device receives the push. The entry ID is derived from the user
+ * and the event, so a retried send finds the entry it already wrote
+ * @param {string} userId - The user to notify
+ * @param {string} eventKey - Identifies the event, e.g. "capsule_opened_{messageId}"
+ * @param {Object} content - {title, body, data}; data.type is stored as the notification type
+ * @returns {Promise<Object>} {notificationId, unreadCount}
+ */
+async function recordNotification(userId, eventKey, content) {
+  const notificationId = crypto.createHash('sha256').update(`${userId}:${eventKey}`).digest('hex');
+  const notificationRef = admin.firestore().collection('notifications').doc(notificationId);
+  
+  try {
+    await notificationRef.create({
+      userId: userId,
+      type: content.data.type || 'general',
+      title: content.title,
+      body: content.body,
+      data: content.data,
+      read: false,
+      readAt: null,
+      createdAt: admin.firestore.Timestamp.now(),
+    });
+  } catch (error) {
+    if (error.code !== FIRESTORE_ALREADY_EXISTS) {
+      throw error;
+    }
+  }
+  
+  return {
+    notificationId: notificationRef.id,
+    unreadCount: await countUnreadNotifications(userId),
+  };
+}
+
+/**
+ * Sends a push notification to every registered device of a user
+ * The notification is recorded in the user's inbox first, and the push carries its
+ * notificationId and the unread count as badge. Tokens that FCM rejects as
+ * unregistered or invalid are pruned afterwards
+ * @param {string} userId - The user to notify
+ * @param {Object} payload - FCM message fields without a token (notification, data, android, apns)
+ * @param {Object} inbox - {eventKey, body}: the event passed to recordNotification, and an
+ * optional body that replaces the push body in the inbox
+ * @returns {Promise<Object>} Success/failure counts, per-device results and the inbox notificationId
+ */
+async function sendToUserDevices(userId, payload, inbox) {
+  let inboxEntry = null;
+  
+  try {
+    inboxEntry = await recordNotification(userId, inbox.eventKey, {
+      title: payload.notification.title,
+      body: inbox.body || payload.notification.body,
+      data: payload.data,
+    });
+  } catch (error) {
+    // A missing inbox entry must not cost the user the push itself
+    logger.error(`Failed to record notification for user ${userId}:`, error);
+  }
+  
+  const notificationId = inboxEntry ? inboxEntry.notificationId : null;
+  const devices = await getUserDeviceTokens(userId);
+  
+  if (devices.length === 0) {
+    return { successCount: 0, failureCount: 0, results: [], notificationId: notificationId };
+  }
+  
+  const message = inboxEntry ? {
+    ...payload,
+    data: { ...payload.data, notificationId: inboxEntry.notificationId },
+    android: {
+      ...payload.android,
+      notification: { ...payload.android.notification, notificationCount: inboxEntry.unreadCount },
+    },
+    apns: {
+      ...payload.apns,
+      payload: {
+        ...payload.apns.payload,
+        aps: { ...payload.apns.payload.aps, badge: inboxEntry.unreadCount },
+      },
+    },
+  } : payload;
+  
+  const response = await admin.messaging().sendEachForMulticast({
+    ...message,
+    tokens: devices.map((device) => device.token),
+  });
+  
+  const staleDevices = [];
+  const results = response.responses.map((sendResponse, index) => {
+    const device = devices[index];
+    const errorCode = sendResponse.error ? sendResponse.error.code : null;
+    const isStale = STALE_TOKEN_ERROR_CODES.includes(errorCode);
+    
+    if (isStale) {
+      staleDevices.push(device);
+    }
+    
+    // Never persist raw tokens, only the fcm_tokens document they came from
+    return {
+      tokenId: device.ref ? device.ref.id : null,
+      source: device.ref ? 'fcm_tokens' : 'profile',
+      platform: device.platform,
+      success: sendResponse.success,
+      fcmMessageId: sendResponse.messageId || null,
+      errorCode: errorCode,
+      pruned: isStale,
+    };
+  });
+  
+  if (staleDevices.length > 0) {
+    try {
+      await pruneDeviceTokens(userId, staleDevices);
+    } catch (pruneError) {
+      logger.error(`Failed to prune stale FCM tokens for user ${userId}:`, pruneError);
+    }
+  }
+  
+  return {
+    successCount: response.successCount,
+    failureCount: response.failureCount,
+    results: results,
+    notificationId: notificationId,
+  };
+}
+
+/**
+ * Builds an FCM message with the app's standard Android and APNs presentation
+ * The badge is left to sendToUserDevices, which sets it from the unread inbox count
+ * @param {string} title - Notification title
+ * @param {string} body - Notification body
+ * @param {Object} data - Data payload; data.type drives navigation in the app and all values must be strings
+ * @param {string} channelId - Android notification channel
+ * @returns {Object} FCM message without a token
+ */
+function buildPushMessage(title, body, data, channelId) {
+  return {
+    notification: {
+      title: title,
+      body: body,
+    },
+    data: data,
+    android: {
+      notification: {
+        icon: 'ic_notification',
+        color: '#FF6B35',
+        channelId: channelId,
+      },
+    },
+    apns: {
+      payload: {
+        aps: {
+          sound: 'default',
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Delivery channel preferences a recipient can set in users.deliveryChannels
+ * With the default of push, email is used as a fallback when no device received the push
+ */
+const DELIVERY_CHANNEL_PREFERENCES = ['push', 'email', 'both'];
+
+/**
+ * Email transports by name, selected with the EMAIL_TRANSPORT environment variable
+ * A transport is an object with send({to, from, subject, text, html}) resolving to {messageId}
+ */
+const EMAIL_TRANSPORTS = {
+  // Configured with SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER and SMTP_PASS,
+  // so a local SMTP stand-in such as MailHog works by pointing SMTP_HOST at it
+  smtp: () => {
+    if (!process.env.SMTP_HOST) {
+      return null;
+    }
+    
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+    
+    return {
+      send: async (email) => {
+        const info = await transporter.sendMail(email);
+        return { messageId: info.messageId };
+      },
+    };
+  },
+};
+
+let emailTransport;
+
+/**
+ * Returns the configured email transport, creating it on first use
+ * @returns {Object|null} The transport, or null when email delivery is not configured
+ */
+function getEmailTransport() {
+  if (emailTransport === undefined) {
+    const name = process.env.EMAIL_TRANSPORT || 'smtp';
+    const factory = EMAIL_TRANSPORTS[name];
+    
+    if (!factory) {
+      logger.error(`Unknown email transport ${name}`);
+    }
+    
+    emailTransport = factory ? factory() : null;
+  }
+  
+  return emailTransport;
+}
+
+/**
+ * Escapes text for use in an HTML email
+ * @param {string} text - Text to escape
+ * @returns {string} The escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Renders the "your time capsule has arrived" email
+ * @param {Object} content - {title, body, senderUsername, isSelfMessage}
+ * @returns {Object} {subject, text, html}
+ */
+function renderCapsuleArrivedEmail(content) {
+  const intro = content.isSelfMessage ?
+    "A time capsule you wrote to yourself has arrived." :
+    `${content.senderUsername} sent you a time capsule, and it has just arrived.`;
+  const appUrl = process.env.APP_URL || '';
+  const openLine = appUrl ?
+    `Open the app to read it: ${appUrl}` :
+    "Open the app to read it.";
+  
+  const text = [intro, '', content.body, '', openLine].join('\n');
+  
+  const html = `<!DOCTYPE html>
+<html>
+  <body style="font-family: sans-serif; color: #333333; max-width: 560px; margin: 0 auto; padding: 24px;">
+    <h1 style="color: #FF6B35; font-size: 22px;">${escapeHtml(content.title)}</h1>
+    <p>${escapeHtml(intro)}</p>
+    <blockquote style="border-left: 4px solid #FF6B35; margin: 16px 0; padding: 8px 16px; color: #555555;">${escapeHtml(content.body)}</blockquote>
+    <p>${appUrl ? `<a href="${escapeHtml(appUrl)}" style="color: #FF6B35;">Open the app to read it</a>` : 'Open the app to read it.'}</p>
+  </body>
+</html>`;
+  
+  return {
+    subject: content.isSelfMessage ? "Your time capsule has arrived" : `${content.senderUsername} sent you a time capsule`,
+    text: text,
+    html: html,
+  };
+}
+
+/**
+ * Resolves the email address of a user from their profile or their Auth record
+ * @param {string} userId - The user ID
+ * @param {Object} userData - The user's profile data
+ * @returns {Promise<string|null>} The email address, or null if the user has none
+ */
+async function getUserEmail(userId, userData) {
+  if (userData.email) {
+    return userData.email;
+  }
+  
+  try {
+    const userRecord = await admin.auth().getUser(userId);
+    return userRecord.email || null;
+  } catch (error) {
+    logger.warn(`Could not look up email of user ${userId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Sends the delivery notification by email
+ * @param {string} userId - The recipient ID
+ * @param {Object} userData - The recipient's profile data
+ * @param {Object} content - {title, body, senderUsername, isSelfMessage}
+ * @returns {Promise<Object>} Channel status of {status, reason?, providerMessageId?}
+ */
+async function sendEmailChannel(userId, userData, content) {
+  const transport = getEmailTransport();
+  
+  if (!transport) {
+    return { status: 'skipped', reason: 'not_configured' };
+  }
+  
+  const to = await getUserEmail(userId, userData);
+  
+  if (!to) {
+    return { status: 'skipped', reason: 'no_email' };
+  }
+  
+  try {
+    const email = renderCapsuleArrivedEmail(content);
+    const result = await transport.send({
+      ...email,
+      to: to,
+      from: process.env.EMAIL_FROM || 'Time Capsule <no-reply@localhost>',
+    });
+    
+    return { status: 'sent', providerMessageId: result.messageId || null };
+  } catch (error) {
+    logger.error(`Failed to email user ${userId}:`, error);
+    return { status: 'failed', reason: error.message };
+  }
+}
+
+/**
+ * Notifies the recipient of a delivered scheduled message on their preferred channels
+ * Push and email results are recorded per channel on the message document. During the
+ * recipient's quiet hours the notification is held in notificationHeldUntil instead
+ * and sent by releaseHeldNotifications when the window ends
+ * @param {Object} messageData - The message data
+ * @param {string} messageId - The message ID for tracking
+ * @param {Object} [options] - Set ignoreQuietHours to send a held notification
+ */
+async function sendDeliveryNotification(messageData, messageId, options = {}) {
+  try {
+    const db = admin.firestore();
+    
+    const recipientDoc = await db.collection('users').doc(messageData.recipientId).get();
+    
+    if (!recipientDoc.exists) {
+      logger.warn(`Recipient ${messageData.recipientId} not found`);
+      return;
+    }
+    
+    const recipientData = recipientDoc.data();
+    const quietHoursEnd = options.ignoreQuietHours ? null : getQuietHoursEnd(recipientData, new Date());
+    
+    if (quietHoursEnd) {
+      await db.collection('scheduledMessages').doc(messageId).update({
+        notificationHeldUntil: admin.firestore.Timestamp.fromDate(quietHoursEnd),
+        notificationHoldReason: 'quiet_hours',
+      });
+      
+      logger.info(`Notification for message ${messageId} held until ${quietHoursEnd.toISOString()}`);
+      return;
+    }
+    const preference = DELIVERY_CHANNEL_PREFERENCES.includes(recipientData.deliveryChannels) ?
+      recipientData.deliveryChannels :
+      'push';
+    
+    // Get sender's username for notification
+    const senderDoc = await db.collection('users').doc(messageData.senderId).get();
+    const senderUsername = senderDoc.exists ? senderDoc.data().username : 'Someone';
+    
+    // Determine notification content
+    const isSelfMessage = messageData.senderId === messageData.recipientId;
+    const title = isSelfMessage ? 
+      "Time Capsule Message Delivered" : 
+      `Message from ${senderUsername}`;
+    
+    // Sealed content is ciphertext, so never preview it
+    const body = messageData.encryption ?
+      "A sealed time capsule has been unlocked" :
+      messageData.textContent.length > 100 ? 
+        `${messageData.textContent.substring(0, 100)}...` : 
+        messageData.textContent;
+    
+    const now = admin.firestore.Timestamp.now();
+    const channelStatus = {};
+    const update = {};
+    const notificationData = {
+      type: 'scheduled_message_delivered',
+      messageId: messageId || messageData.id || '',
+      senderId: messageData.senderId,
+      hasVideo: messageData.videoUrl ? 'true' : 'false',
+      hasImages: (messageData.imageUrls && messageData.imageUrls.length > 0) ? 'true' : 'false',
+      deliveredAt: new Date().toISOString(),
+    };
+    
+    // The inbox outlives the capsule under the recipient's retention setting, so it never holds its text
+    const inbox = {
+      eventKey: `scheduled_message_delivered_${notificationData.messageId}`,
+      body: isSelfMessage ? "A time capsule you sealed has been delivered" : "A time capsule has been delivered to you",
+    };
+    
+    if (preference === 'email') {
+      // No push is sent, so record the inbox entry here
+      try {
+        const inboxEntry = await recordNotification(messageData.recipientId, inbox.eventKey, {
+          title,
+          body: inbox.body,
+          data: notificationData,
+        });
+        update.notificationId = inboxEntry.notificationId;
+      } catch (error) {
+        logger.error(`Failed to record notification for message ${messageId}:`, error);
+      }
+    } else {
+      // Create notification payload
+      const message = buildPushMessage(title, body, notificationData, 'scheduled_messages');
+      
+      const sendResult = await sendToUserDevices(messageData.recipientId, message, inbox);
+      
+      if (sendResult.results.length === 0) {
+        logger.info(`No FCM tokens for recipient ${messageData.recipientId}`);
+      } else {
+        logger.info(`Notification for message ${messageId} sent to ${sendResult.successCount}/${sendResult.results.length} devices`);
+      }
+      
+      channelStatus.push = {
+        status: sendResult.successCount > 0 ? 'sent' : sendResult.results.length > 0 ? 'failed' : 'skipped',
+        at: now,
+      };
+      if (sendResult.results.length === 0) {
+        channelStatus.push.reason = 'no_devices';
+      }
+      
+      update.notificationResults = sendResult.results;
+      update.notificationSuccessCount = sendResult.successCount;
+      update.notificationFailureCount = sendResult.failureCount;
+      update.notificationId = sendResult.notificationId;
+    }
+    
+    // Recipients who only use push still get an email when no device could be reached
+    if (preference !== 'push' || channelStatus.push.status !== 'sent') {
+      channelStatus.email = {
+        ...await sendEmailChannel(messageData.recipientId, recipientData, { title, body, senderUsername, isSelfMessage }),
+        at: now,
+      };
+      
+      if (preference === 'push') {
+        channelStatus.email.fallback = true;
+      }
+      
+      logger.info(`Email for message ${messageId}: ${channelStatus.email.status}`);
+    }
+    
+    // Pruned tokens and missing addresses are permanent, anything else that failed is worth another try
+    const reached = Object.values(channelStatus).some((channel) => channel.status === 'sent');
+    const transientFailure = (update.notificationResults || []).some((result) => !result.success && !result.pruned) ||
+      (channelStatus.email && channelStatus.email.status === 'failed');
+    
+    if (!reached && transientFailure) {
+      const retry = planNotificationRetry(messageData);
+      
+      if (retry) {
+        Object.assign(update, retry);
+        logger.info(`Notification for message ${messageId} will be retried at ${retry.notificationHeldUntil.toDate().toISOString()}`);
+      } else {
+        logger.warn(`Notification for message ${messageId} could not be sent after ${MAX_DELIVERY_ATTEMPTS} attempts`);
+      }
+    }
+    
+    await db.collection('scheduledMessages').doc(messageId).update({
+      ...update,
+      channelStatus: channelStatus,
+      notifiedAt: now,
+    });
+    
+  } catch (error) {
+    logger.error("Error sending delivery notification:", error);
+    // Don't throw error here - notification failure shouldn't fail message delivery
+    const retry = planNotificationRetry(messageData);
+    
+    if (retry) {
+      try {
+        await admin.firestore().collection('scheduledMessages').doc(messageId).update(retry);
+      } catch (retryError) {
+        logger.error(`Failed to schedule a notification retry for message ${messageId}:`, retryError);
+      }
+    }
+  }
+}
+
+/**
+ * Trigger function that runs when a new scheduled message is created
+ * This function validates the message and sets up any necessary metadata
+ */
+exports.onScheduledMessageCreated = onDocumentCreated({
+  document: "scheduledMessages/{messageId}",
+  memory: "256MiB",
+}, async (event) => {
+  const messageData = event.data.data();
+  const messageId = event.params.messageId;
+  
+  logger.info(`New scheduled message created: ${messageId}`);
+  
+  try {
+    const isGroupMessage = Array.isArray(messageData.recipientIds);
+    
+    // Validate message data
+    if (!messageData.senderId || (!messageData.recipientId && !isGroupMessage) || !messageData.textContent) {
+      logger.error(`Invalid message data for ${messageId}`);
+      return;
+    }
+    
+    // Group parents are resolved per recipient, through their copies
+    if (messageData.localScheduledFor && !isGroupMessage && !messageData.seriesId && !messageData.releaseTrigger) {
+      Object.assign(messageData, await resolveLocalSchedule(event.data.ref, messageData));
+    }
+    
+    // Inactivity capsules are released relative to the sender's last check-in; copies inherit the parent's time
+    if (messageData.releaseTrigger === 'inactivity' && !messageData.groupMessageId &&
+      Number.isInteger(messageData.inactivityDays)) {
+      Object.assign(messageData, await resolveInactivitySchedule(event.data.ref, messageData));
+    }
+    
+    const scheduledFor = messageData.scheduledFor;
+    const now = admin.firestore.Timestamp.now();
+    
+    const validationError = await validateScheduledMessage(messageData, now);
+    
+    if (validationError) {
+      logger.warn(`Message ${messageId} failed validation, marking as rejected: ${validationError}`);
+      
+      // Retrying cannot fix invalid content, so keep it out of the failed retry queue
+      await event.data.ref.update({
+        status: 'rejected',
+        rejectionReason: 'invalid_message',
+        failureReason: validationError,
+        rejectedAt: now,
+        updatedAt: now,
+      });
+      return;
+    }
+    
+    // Capsules only go to friends. The friendship policy only chooses between rejecting and
+    // holding a new capsule; 'deliver' applies to existing capsules when a friendship ends
+    if (!isGroupMessage && messageData.senderId !== messageData.recipientId &&
+      !(await areFriends(messageData.senderId, messageData.recipientId))) {
+      const policy = await getFriendshipCapsulePolicy(messageData.senderId);
+      const update = policy === 'cancel' ?
+        { status: 'rejected', rejectionReason: 'not_friends', rejectedAt: now, updatedAt: now } :
+        { status: 'held', heldReason: 'not_friends', heldAt: now, updatedAt: now };
+      
+      // The sender may have cancelled the capsule in the meantime
+      const applied = await admin.firestore().runTransaction(async (transaction) => {
+        const currentDoc = await transaction.get(event.data.ref);
+        
+        if (!currentDoc.exists || currentDoc.data().status !== 'pending') {
+          return false;
+        }
+        
+        transaction.update(event.data.ref, update);
+        return true;
+      });
+      
+      if (!applied) {
+        logger.info(`Message ${messageId} left pending before the friendship check, skipping`);
+        return;
+      }
+      
+      if (update.status === 'rejected') {
+        logger.warn(`Message ${messageId} rejected: recipient is not a friend of the sender`);
+        return;
+      }
+      
+      logger.info(`Message ${messageId} held until sender and recipient are friends`);
+    }
+    
+    // Group copies and recurring occurrences were counted against the quotas with the original message
+    if (!messageData.groupMessageId && !messageData.seriesId) {
+      const violation = await checkSenderQuotas(event.data.ref, messageData);
+      
+      if (violation) {
+        logger.warn(`Message ${messageId} rejected: ${violation.reason}`);
+        
+        await event.data.ref.update({
+          status: 'rejected',
+          rejectionReason: violation.reason,
+          rejectionDetails: { limit: violation.limit, current: violation.current },
+          rejectedAt: now,
+          updatedAt: now,
+        });
+        return;
+      }
+    }
+    
+    // Copies of a group message share the media sealed for the parent
+    const sealedData = messageData.groupMessageId ?
+      messageData :
+      await sealCapsuleMedia(event.data.ref, messageData);
+    
+    if (isGroupMessage) {
+      await fanOutGroupMessage(event.data.ref, sealedData);
+      return;
+    }
+    
+    // Teasers would tell the recipient about an inactivity capsule the sender may never release
+    if (messageData.teaserOffsets && !messageData.releaseTrigger) {
+      await scheduleTeasers(messageId, messageData);
+    }
+    
+    // Log successful creation
+    const deliveryTime = scheduledFor.toDate();
+    logger.info(`Message ${messageId} scheduled for delivery at ${deliveryTime.toISOString()}`);
+    
+  } catch (error) {
+    logger.error(`Error processing new scheduled message ${messageId}:`, error);
+  }
+});
+
+/**
+ * Maximum text length of a message, and of the base64 ciphertext of a sealed one
+ */
+const MAX_TEXT_LENGTH = 5000;
+const MAX_ENCRYPTED_TEXT_LENGTH = 7000;
+
+/**
+ * Validates the content and schedule of a message on creation and on every edit
+ * @param {Object} messageData - The message data
+ * @param {Object} now - Firestore timestamp to compare the schedule against
+ * @returns {Promise<string|null>} The failure reason, or null if the message is valid
+ */
+async function validateScheduledMessage(messageData, now) {
+  const maxLength = messageData.encryption ? MAX_ENCRYPTED_TEXT_LENGTH : MAX_TEXT_LENGTH;
+  
+  if (typeof messageData.textContent !== 'string' || messageData.textContent.trim().length === 0) {
+    return 'Text content cannot be empty';
+  }
+  
+  if (messageData.textContent.length > maxLength) {
+    return `Text content must be at most ${maxLength} characters`;
+  }
+  
+  // Sealed content must reference a key issued to the sender; group copies carry the parent's
+  if (messageData.encryption && !messageData.groupMessageId) {
+    const encryptionError = await validateCapsuleEncryption(messageData);
+    
+    if (encryptionError) {
+      return `Invalid encryption: ${encryptionError}`;
+    }
+  }
+  
+  if (messageData.releaseTrigger !== undefined) {
+    if (messageData.releaseTrigger !== 'inactivity') {
+      return 'Unknown release trigger';
+    }
+    
+    const days = messageData.inactivityDays;
+    if (!Number.isInteger(days) || days < MIN_INACTIVITY_DAYS || days > MAX_INACTIVITY_DAYS) {
+      return `Inactivity period must be between ${MIN_INACTIVITY_DAYS} and ${MAX_INACTIVITY_DAYS} days`;
+    }
+    
+    if (messageData.recurrence) {
+      return 'Inactivity capsules cannot recur';
+    }
+  }
+  
+  // Reject recurrence rules we cannot expand rather than failing at delivery time
+  if (messageData.recurrence) {
+    try {
+      normalizeRecurrence(messageData.recurrence);
+    } catch (recurrenceError) {
+      return `Invalid recurrence: ${recurrenceError.message}`;
+    }
+  }
+  
+  // Group copies inherit the parent's already-validated schedule and may be written a moment late
+  const scheduledFor = messageData.scheduledFor;
+  if (!scheduledFor || typeof scheduledFor.toMillis !== 'function' ||
+    (scheduledFor.toMillis() <= now.toMillis() && !messageData.groupMessageId)) {
+    return 'Scheduled date is in the past';
+  }
+  
+  return null;
+}
+
+/**
+ * Per-sender limits enforced when a message is created
+ * Group messages count once per recipient towards the message limits
+ */
+const SENDER_QUOTAS = {
+  maxPendingMessages: 500,
+  maxMessagesPerDay: 100,
+  maxPendingPerRecipient: 50,
+  maxMediaBytes: 1024 * 1024 * 1024, // 1 GiB
+};
+
+/**
+ * Statuses of messages still waiting to be delivered; group parents are counted through their copies
+ */
+const QUOTA_PENDING_STATUSES = ['pending', 'processing', 'failed'];
+
+/**
+ * Sums the Storage size of a message's media uploads
+ * @param {Object} messageData - The message data with senderId, imagePaths and videoPath
+ * @returns {Promise<number>} Total size in bytes of the sender's uploads
+ */
+async function getMessageMediaBytes(messageData) {
+  const bucket = admin.storage().bucket();
+  const paths = [...(messageData.imagePaths || []), ...(messageData.videoPath ? [messageData.videoPath] : [])];
+  
+  const sizes = await Promise.all(paths.map(async (path) => {
+    if (typeof path !== 'string' || !path.startsWith(`scheduled_messages/${messageData.senderId}/`)) {
+      return 0;
+    }
+    
+    try {
+      const [metadata] = await bucket.file(path).getMetadata();
+      return Number(metadata.size) || 0;
+    } catch (error) {
+      logger.warn(`Could not read size of ${path}:`, error);
+      return 0;
+    }
+  }));
+  
+  return sizes.reduce((sum, size) => sum + size, 0);
+}
+
+/**
+ * Checks a new message against the sender's quotas and records its usage
+ * Daily creation counts live in senderUsage/{senderId}; the message is marked with
+ * quotaCheckedAt in the same transaction so a retried trigger does not count it twice
+ * @param {Object} messageRef - Reference to the new message
+ * @param {Object} messageData - The message data
+ * @returns {Promise<Object|null>} {reason, limit, current} for a violated quota, or null
+ */
+async function checkSenderQuotas(messageRef, messageData) {
+  const db = admin.firestore();
+  const messages = db.collection('scheduledMessages');
+  const senderId = messageData.senderId;
+  const isGroupMessage = Array.isArray(messageData.recipientIds);
+  const recipientIds = isGroupMessage ?
+    [...new Set(messageData.recipientIds.filter((id) => typeof id === 'string' && id))] :
+    [messageData.recipientId];
+  
+  const countQuery = async (query) => (await query.count().get()).data().count;
+  const senderPending = messages
+    .where('senderId', '==', senderId)
+    .where('status', 'in', QUOTA_PENDING_STATUSES);
+  
+  const [pendingCount, recipientCounts, mediaSnapshot, messageBytes] = await Promise.all([
+    countQuery(senderPending),
+    Promise.all(recipientIds.map((recipientId) => countQuery(senderPending.where('recipientId', '==', recipientId)))),
+    messages
+      .where('senderId', '==', senderId)
+      .aggregate({ mediaBytes: AggregateField.sum('mediaBytes') })
+      .get(),
+    getMessageMediaBytes(messageData),
+  ]);
+  
+  // The new message is itself pending; a group parent stands in for the copies it will fan out to
+  const projectedPending = pendingCount - 1 + recipientIds.length;
+  if (projectedPending > SENDER_QUOTAS.maxPendingMessages) {
+    return { reason: 'max_pending_exceeded', limit: SENDER_QUOTAS.maxPendingMessages, current: pendingCount - 1 };
+  }
+  
+  // Single messages already count themselves, group copies do not exist yet
+  const busiestRecipient = Math.max(...recipientCounts) + (isGroupMessage ? 1 : 0);
+  if (busiestRecipient > SENDER_QUOTAS.maxPendingPerRecipient) {
+    return { reason: 'max_per_recipient_exceeded', limit: SENDER_QUOTAS.maxPendingPerRecipient, current: busiestRecipient - 1 };
+  }
+  
+  const storedBytes = mediaSnapshot.data().mediaBytes || 0;
+  if (storedBytes + messageBytes > SENDER_QUOTAS.maxMediaBytes) {
+    return { reason: 'media_quota_exceeded', limit: SENDER_QUOTAS.maxMediaBytes, current: storedBytes };
+  }
+  
+  const usageRef = db.collection('senderUsage').doc(senderId);
+  
+  return db.runTransaction(async (transaction) => {
+    const [messageDoc, usageDoc] = await Promise.all([
+      transaction.get(messageRef),
+      transaction.get(usageRef),
+    ]);
+    
+    if (!messageDoc.exists || messageDoc.data().quotaCheckedAt) {
+      return null;
+    }
+    
+    const now = admin.firestore.Timestamp.now();
+    const day = now.toDate().toISOString().slice(0, 10);
+    const usage = usageDoc.exists ? usageDoc.data() : {};
+    const createdToday = usage.day === day ? usage.createdCount || 0 : 0;
+    
+    if (createdToday + recipientIds.length > SENDER_QUOTAS.maxMessagesPerDay) {
+      return { reason: 'daily_limit_exceeded', limit: SENDER_QUOTAS.maxMessagesPerDay, current: createdToday };
+    }
+    
+    transaction.set(usageRef, {
+      day: day,
+      createdCount: createdToday + recipientIds.length,
+      updatedAt: now,
+    }, { merge: true });
+    transaction.update(messageRef, {
+      quotaCheckedAt: now,
+      mediaBytes: messageBytes,
+    });
+    
+    return null;
+  });
+}
+
+/**
+ * Limits on the teaserOffsets of a message, given in hours before scheduledFor
+ */
+const MAX_TEASERS_PER_MESSAGE = 5;
+const MAX_TEASER_OFFSET_HOURS = 24 * 365;
+
+/**
+ * Creates the pending teasers of a message, one per offset in teaserOffsets
+ * Teasers remember the scheduledFor they were planned for, so a rescheduled
+ * message's stale teasers are skipped by sendCapsuleTeasers
+ * @param {string} messageId - The message ID
+ * @param {Object} messageData - The message data
+ * @returns {Promise<number>} The number of teasers scheduled
+ */
+async function scheduleTeasers(messageId, messageData) {
+  const db = admin.firestore();
+  const offsets = Array.isArray(messageData.teaserOffsets) ? messageData.teaserOffsets : [];
+  const validOffsets = [...new Set(offsets)]
+    .filter((hours) => Number.isInteger(hours) && hours > 0 && hours <= MAX_TEASER_OFFSET_HOURS)
+    .slice(0, MAX_TEASERS_PER_MESSAGE);
+  
+  const scheduledMillis = messageData.scheduledFor.toMillis();
+  const now = Date.now();
+  const batch = db.batch();
+  let count = 0;
+  
+  validOffsets.forEach((hours) => {
+    const sendAtMillis = scheduledMillis - hours * 60 * 60 * 1000;
+    
+    // Offsets that have already passed would only arrive next to the delivery itself
+    if (sendAtMillis <= now) {
+      return;
+    }
+    
+    batch.set(db.collection('capsuleTeasers').doc(`${messageId}_${scheduledMillis}_${hours}`), {
+      messageId: messageId,
+      senderId: messageData.senderId,
+      recipientId: messageData.recipientId,
+      offsetHours: hours,
+      sendAt: admin.firestore.Timestamp.fromMillis(sendAtMillis),
+      scheduledFor: messageData.scheduledFor,
+      status: 'pending',
+      createdAt: admin.firestore.Timestamp.now(),
+    });
+    count++;
+  });
+  
+  if (count > 0) {
+    await batch.commit();
+    logger.info(`Scheduled ${count} teasers for message ${messageId}`);
+  }
+  
+  return count;
+}
+
+/**
+ * Resolves the Storage object path of a Firebase download URL in the given bucket
+ * @param {string} url - Download URL, e.g. https://firebasestorage.googleapis.com/v0/b/<bucket>/o/<path>?alt=media&token=...
+ * @param {string} bucketName - The bucket the object must live in
+ * @returns {string|null} The object path, or null for URLs outside the bucket
+ */
+function getStoragePathFromUrl(url, bucketName) {
+  try {
+    const match = /\/v0\/b\/([^/]+)\/o\/([^/]+)$/.exec(new URL(url).pathname);
+    
+    if (!match || match[1] !== bucketName) {
+      return null;
+    }
+    
+    return decodeURIComponent(match[2]);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Builds a Firebase download URL for a Storage object and one of its download tokens
+ * @param {string} bucketName - The bucket holding the object
+ * @param {string} path - The object path
+ * @param {string} token - A download token from the object's metadata
+ * @returns {string} The download URL
+ */
+function buildDownloadUrl(bucketName, path, token) {
+  return `https://firebasestorage.googleapis.com/v0/b/${bucketName}/o/${encodeURIComponent(path)}?alt=media&token=${token}`;
+}
+
+/**
+ * Lists the uploads a message references by path
+ * @param {Object} data - Message data, or edit data, with imagePaths and videoPath
+ * @returns {Array<Object>} Entries of {path, kind}
+ */
+function getUploadedMedia(data) {
+  return [
+    ...(data.imagePaths || []).map((path) => ({ path, kind: 'image' })),
+    ...(data.videoPath ? [{ path: data.videoPath, kind: 'video' }] : []),
+  ];
+}
+
+/**
+ * Storage folder a message seals its uploads into
+ * Group copies share the folder of their group message. Recurring occurrences carry the sealed
+ * media of the occurrence before them, so what they seal themselves goes into a subfolder of
+ * the series, which is cleaned up with the series
+ * @param {string} messageId - The message ID
+ * @param {Object} messageData - The message data
+ * @returns {string} The folder path without a trailing slash
+ */
+function getSealFolder(messageId, messageData) {
+  if (messageData.groupMessageId) {
+    return `sealed_capsules/${messageData.groupMessageId}`;
+  }
+  
+  if (messageData.seriesId) {
+    return `sealed_capsules/${messageData.seriesId}/${messageId}`;
+  }
+  
+  return `sealed_capsules/${messageId}`;
+}
+
+/**
+ * Moves a sender's uploads to the sealed folder of a message and revokes their download tokens
+ * @param {string} messageId - The message ID
+ * @param {Object} messageData - The message data, for senderId and the group or series it belongs to
+ * @param {Array<Object>} mediaPaths - Entries of {path, kind} from getUploadedMedia
+ * @returns {Promise<Object>} {sealed, unsealed}: sealed entries are {path, kind, from}, where from
+ * is the upload that was moved, or null when it had been sealed before; unsealed entries failed to move
+ */
+async function moveUploadsToSeal(messageId, messageData, mediaPaths) {
+  const bucket = admin.storage().bucket();
+  const sealFolder = getSealFolder(messageId, messageData);
+  const sealed = [];
+  const unsealed = [];
+  
+  for (const { path, kind } of mediaPaths) {
+    // Only the sender's own uploads can go into their capsule
+    if (typeof path !== 'string' || !path.startsWith(`scheduled_messages/${messageData.senderId}/`)) {
+      logger.warn(`Ignoring media ${path} of message ${messageId}, which is not an upload of the sender`);
+      continue;
+    }
+    
+    let sealedPath = `${sealFolder}/${path.split('/').pop()}`;
+    
+    try {
+      const [exists] = await bucket.file(path).exists();
+      
+      if (exists) {
+        // A sealed file of the same name may still be in use, e.g. by the media an edit replaces
+        if ((await bucket.file(sealedPath).exists())[0]) {
+          sealedPath = `${sealFolder}/${crypto.randomUUID()}_${path.split('/').pop()}`;
+        }
+        
+        await bucket.file(path).move(sealedPath);
+      } else if (!(await bucket.file(sealedPath).exists())[0]) {
+        logger.warn(`Media ${path} of message ${messageId} no longer exists`);
+        continue;
+      }
+      
+      // The copy keeps the upload's token, so revoke it along with the old path
+      await bucket.file(sealedPath).setMetadata({ metadata: { firebaseStorageDownloadTokens: null } });
+      sealed.push({ path: sealedPath, kind: kind, from: exists ? path : null });
+    } catch (error) {
+      logger.error(`Failed to seal ${path} for message ${messageId}:`, error);
+      unsealed.push({ path, kind });
+    }
+  }
+  
+  return { sealed, unsealed };
+}
+
+/**
+ * Moves a capsule's media out of reach until delivery
+ * Clients upload to scheduled_messages/{senderId}/ and reference the files by path in
+ * imagePaths and videoPath, so no download URL exists before delivery. The files are
+ * moved to the message's folder in sealed_capsules/, which no client may read, and
+ * their download tokens are revoked. Files that fail to move stay in imagePaths/videoPath
+ * and are sealed again before delivery
+ * @param {Object} messageRef - Reference to the message
+ * @param {Object} messageData - The message data
+ * @returns {Promise<Object>} The message data as stored after sealing
+ */
+async function sealCapsuleMedia(messageRef, messageData) {
+  const mediaPaths = getUploadedMedia(messageData);
+  
+  if (mediaPaths.length === 0) {
+    return messageData;
+  }
+  
+  const { sealed, unsealed } = await moveUploadsToSeal(messageRef.id, messageData, mediaPaths);
+  const sealedMedia = [...(messageData.sealedMedia || [])];
+  
+  sealed.forEach(({ path, kind }) => {
+    if (!sealedMedia.some((media) => media.path === path)) {
+      sealedMedia.push({ path, kind });
+    }
+  });
+  
+  const imagePaths = unsealed.filter((media) => media.kind === 'image').map((media) => media.path);
+  const unsealedVideo = unsealed.find((media) => media.kind === 'video');
+  const sealedAt = messageData.sealedAt || admin.firestore.Timestamp.now();
+  
+  await messageRef.update({
+    sealedMedia: sealedMedia,
+    sealedAt: sealedAt,
+    imagePaths: imagePaths.length > 0 ? imagePaths : admin.firestore.FieldValue.delete(),
+    videoPath: unsealedVideo ? unsealedVideo.path : admin.firestore.FieldValue.delete(),
+  });
+  
+  logger.info(`Sealed ${sealedMedia.length} media files of message ${messageRef.id}, ${unsealed.length} left to retry`);
+  
+  const sealedData = { ...messageData, sealedMedia: sealedMedia, sealedAt: sealedAt };
+  delete sealedData.imagePaths;
+  delete sealedData.videoPath;
+  if (imagePaths.length > 0) {
+    sealedData.imagePaths = imagePaths;
+  }
+  if (unsealedVideo) {
+    sealedData.videoPath = unsealedVideo.path;
+  }
+  
+  return sealedData;
+}
+
+/**
+ * Issues the download links of a delivered capsule's sealed media
+ * A failed release holds the delivery notification for a retry, as the recipient would
+ * otherwise be told about a capsule whose media they cannot open
+ * @param {Object} messageRef - Reference to the delivered message
+ * @param {Object} messageData - The delivered message data with mediaReleasePending set
+ * @returns {Promise<Object|null>} The message data with its links, or null if the release failed
+ */
+async function releaseDeliveredMedia(messageRef, messageData) {
+  try {
+    const releasedMedia = await releaseSealedMedia(messageData.sealedMedia || []);
+    const imageUrls = [...(messageData.imageUrls || []), ...releasedMedia.imageUrls];
+    const videoUrl = releasedMedia.videoUrl || messageData.videoUrl || null;
+    
+    await messageRef.update({
+      imageUrls: imageUrls,
+      videoUrl: videoUrl,
+      mediaReleasePending: admin.firestore.FieldValue.delete(),
+    });
+    
+    const releasedData = { ...messageData, imageUrls: imageUrls, videoUrl: videoUrl };
+    delete releasedData.mediaReleasePending;
+    return releasedData;
+    
+  } catch (error) {
+    logger.error(`Failed to release the media of message ${messageRef.id}:`, error);
+    const retry = planNotificationRetry(messageData);
+    
+    if (retry) {
+      try {
+        await messageRef.update(retry);
+      } catch (retryError) {
+        logger.error(`Failed to schedule a media release retry for message ${messageRef.id}:`, retryError);
+      }
+    }
+    
+    return null;
+  }
+}
+
+/**
+ * Attempts at changing a file's download tokens while other releases change them too
+ */
+const MAX_TOKEN_UPDATE_ATTEMPTS = 5;
+
+/**
+ * Changes the download tokens of a Storage file
+ * The write only succeeds if nobody else changed the tokens since they were read, so group
+ * copies and recurring occurrences released in parallel never drop each other's tokens
+ * @param {Object} file - The Storage file
+ * @param {Function} change - Receives the current tokens and returns the new ones
+ * @returns {Promise<boolean>} Whether the file exists
+ */
+async function updateDownloadTokens(file, change) {
+  for (let attempt = 1; ; attempt++) {
+    let metadata;
+    
+    try {
+      [metadata] = await file.getMetadata();
+    } catch (error) {
+      if (error.code === 404) {
+        return false;
+      }
+      throw error;
+    }
+    
+    const current = metadata.metadata && metadata.metadata.firebaseStorageDownloadTokens;
+    const tokens = change(current ? current.split(',') : []);
+    
+    try {
+      await file.setMetadata(
+        { metadata: { firebaseStorageDownloadTokens: tokens.length > 0 ? tokens.join(',') : null } },
+        { ifMetagenerationMatch: metadata.metageneration },
+      );
+      return true;
+    } catch (error) {
+      if (error.code !== 412 || attempt >= MAX_TOKEN_UPDATE_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Issues download URLs for a delivered capsule's sealed media
+ * Each message gets tokens of its own, also for files it shares with group copies or
+ * recurring occurrences, so one recipient's links can be revoked without the others'
+ * @param {Array<Object>} sealedMedia - Entries of {path, kind} written by sealCapsuleMedia
+ * @returns {Promise<Object>} {imageUrls, videoUrl} for the message document
+ */
+async function releaseSealedMedia(sealedMedia) {
+  const bucket = admin.storage().bucket();
+  const imageUrls = [];
+  let videoUrl = null;
+  
+  for (const media of sealedMedia) {
+    const token = crypto.randomUUID();
+    
+    if (!(await updateDownloadTokens(bucket.file(media.path), (tokens) => [...tokens, token]))) {
+      logger.warn(`Sealed media ${media.path} no longer exists, skipping`);
+      continue;
+    }
+    
+    const url = buildDownloadUrl(bucket.name, media.path, token);
+    if (media.kind === 'video') {
+      videoUrl = url;
+    } else {
+      imageUrls.push(url);
+    }
+  }
+  
+  return { imageUrls, videoUrl };
+}
+
+/**
+ * Cipher used for sealed capsule text; clients encrypt with the key from issueCapsuleKey
+ * and store base64(ciphertext || 16 byte auth tag) in textContent and the base64 IV in encryption.iv
+ */
+const CAPSULE_CIPHER = 'aes-256-gcm';
+
+/**
+ * Checks the encryption settings of a new sealed message
+ * @param {Object} messageData - The message data
+ * @returns {Promise<string|null>} A reason the settings are invalid, or null if they are valid
+ */
+async function validateCapsuleEncryption(messageData) {
+  const { keyId, iv } = messageData.encryption;
+  
+  if (typeof keyId !== 'string' || !keyId || typeof iv !== 'string' || !iv) {
+    return 'keyId and iv are required';
+  }
+  
+  const keyDoc = await admin.firestore().collection('capsuleKeys').doc(keyId).get();
+  
+  if (!keyDoc.exists || keyDoc.data().senderId !== messageData.senderId) {
+    return 'unknown key';
+  }
+  
+  if (keyDoc.data().status === 'retired') {
+    return 'key has been rotated';
+  }
+  
+  return null;
+}
+
+/**
+ * Encrypts capsule text with a base64 key in the format clients use
+ * @param {string} plaintext - The text to encrypt
+ * @param {string} key - Base64 encoded 256-bit key
+ * @returns {Object} {ciphertext, iv} both base64 encoded
+ */
+function encryptCapsuleText(plaintext, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CAPSULE_CIPHER, Buffer.from(key, 'base64'), iv);
+  const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final(), cipher.getAuthTag()]);
+  return { ciphertext: encrypted.toString('base64'), iv: iv.toString('base64') };
+}
+
+/**
+ * Decrypts capsule text produced by a client or by encryptCapsuleText
+ * @param {string} ciphertext - Base64 ciphertext followed by the auth tag
+ * @param {string} iv - Base64 IV
+ * @param {string} key - Base64 encoded 256-bit key
+ * @returns {string} The plaintext
+ */
+function decryptCapsuleText(ciphertext, iv, key) {
+  const data = Buffer.from(ciphertext, 'base64');
+  const decipher = crypto.createDecipheriv(CAPSULE_CIPHER, Buffer.from(key, 'base64'), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(data.subarray(data.length - 16));
+  return Buffer.concat([decipher.update(data.subarray(0, data.length - 16)), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Creates and escrows a new capsule key for a sender
+ * Keys live in capsuleKeys, which no client can read; deliverMessage copies the key
+ * onto the message once it is delivered
+ * @param {string} senderId - The sender the key is issued to
+ * @returns {Object} {ref, key} for the stored key
+ */
+function createCapsuleKey(senderId) {
+  const ref = admin.firestore().collection('capsuleKeys').doc();
+  const key = crypto.randomBytes(32).toString('base64');
+  
+  return {
+    ref: ref,
+    key: key,
+    data: {
+      senderId: senderId,
+      key: key,
+      algorithm: CAPSULE_CIPHER,
+      status: 'active',
+      createdAt: admin.firestore.Timestamp.now(),
+    },
+  };
+}
+
+/**
+ * Maximum number of recipients a single group message may address
+ */
+const MAX_GROUP_RECIPIENTS = 100;
+
+/**
+ * Statuses after which a group recipient copy is no longer awaiting delivery
+ * Held copies wait for the sender and recipient to become friends again, which may never happen
+ */
+const GROUP_SETTLED_STATUSES = ['delivered', 'dead_letter', 'cancelled', 'rejected', 'held'];
+
+/**
+ * gRPC status code Firestore returns when create() finds an existing document
+ */
+const FIRESTORE_ALREADY_EXISTS = 6;
+
+/**
+ * Splits a group message into one pending copy per recipient
+ * Each copy goes through the regular delivery pipeline, so delivery, notification,
+ * failure and retry are tracked per recipient while the parent keeps the aggregate
+ * @param {Object} parentRef - Reference to the group message document
+ * @param {Object} messageData - The group message data
+ */
+async function fanOutGroupMessage(parentRef, messageData) {
+  const db = admin.firestore();
+  const now = admin.firestore.Timestamp.now();
+  const recipientIds = [...new Set(messageData.recipientIds.filter((id) => typeof id === 'string' && id))];
+  
+  if (recipientIds.length === 0 || recipientIds.length > MAX_GROUP_RECIPIENTS) {
+    logger.warn(`Group message ${parentRef.id} has ${recipientIds.length} recipients, marking as rejected`);
+    
+    await parentRef.update({
+      status: 'rejected',
+      rejectionReason: 'invalid_message',
+      failureReason: `Group messages need between 1 and ${MAX_GROUP_RECIPIENTS} recipients`,
+      rejectedAt: now,
+      updatedAt: now,
+    });
+    return;
+  }
+  
+  const copyData = { ...messageData };
+  delete copyData.recipientIds;
+  
+  // A re-fired trigger finds the copies it already created and leaves them alone
+  const created = await Promise.all(recipientIds.map(async (recipientId) => {
+    try {
+      await db.collection('scheduledMessages').doc(`${parentRef.id}_${recipientId}`).create({
+        ...copyData,
+        recipientId: recipientId,
+        groupMessageId: parentRef.id,
+        status: 'pending',
+        createdAt: now,
+        updatedAt: now,
+      });
+      return true;
+    } catch (error) {
+      if (error.code === FIRESTORE_ALREADY_EXISTS) {
+        return false;
+      }
+      throw error;
+    }
+  }));
+  
+  await db.runTransaction(async (transaction) => {
+    const parentDoc = await transaction.get(parentRef);
+    
+    if (!parentDoc.exists) {
+      return;
+    }
+    
+    const recipientCounts = await countGroupCopies(transaction, parentRef.id);
+    
+    transaction.update(parentRef, {
+      status: 'group',
+      groupStatus: computeGroupStatus(recipientCounts),
+      recipientIds: recipientIds,
+      recipientCounts: recipientCounts,
+      fannedOutAt: parentDoc.data().fannedOutAt || now,
+      updatedAt: now,
+    });
+  });
+  
+  const createdCount = created.filter(Boolean).length;
+  logger.info(`Group message ${parentRef.id} fanned out to ${recipientIds.length} recipients (${createdCount} new copies)`);
+}
+
+/**
+ * Counts the recipient copies of a group message by status within a transaction
+ * Recounting on every change keeps the aggregate right however often and in whatever
+ * order copy events arrive
+ * @param {Object} transaction - The Firestore transaction
+ * @param {string} groupMessageId - The group message ID
+ * @returns {Promise<Object>} Map of recipient copy status to count
+ */
+async function countGroupCopies(transaction, groupMessageId) {
+  const copies = await transaction.get(admin.firestore().collection('scheduledMessages')
+    .where('groupMessageId', '==', groupMessageId)
+    .select('status'));
+  
+  const recipientCounts = {};
+  copies.docs.forEach((doc) => {
+    const status = doc.get('status');
+    recipientCounts[status] = (recipientCounts[status] || 0) + 1;
+  });
+  
+  return recipientCounts;
+}
+
+/**
+ * Derives the sender-facing status of a group message from its per-recipient counts
+ * @param {Object} recipientCounts - Map of recipient copy status to count
+ * @returns {string} pending, partially_delivered, delivered, held, failed or cancelled
+ * Copies in failed are still being retried, so only dead_letter copies count as failed
+ */
+function computeGroupStatus(recipientCounts) {
+  const total = Object.values(recipientCounts).reduce((sum, count) => sum + count, 0);
+  const delivered = recipientCounts.delivered || 0;
+  const settled = GROUP_SETTLED_STATUSES.reduce((sum, status) => sum + (recipientCounts[status] || 0), 0);
+  
+  if (total > 0 && delivered === total) {
+    return 'delivered';
+  }
+  
+  if (settled < total) {
+    return delivered > 0 ? 'partially_delivered' : 'pending';
+  }
+  
+  if (delivered > 0) {
+    return 'partially_delivered';
+  }
+  
+  if (recipientCounts.held) {
+    return 'held';
+  }
+  
+  return (recipientCounts.cancelled || 0) === total ? 'cancelled' : 'failed';
+}
+
+/**
+ * Trigger function that keeps group messages and their recipient copies in sync
+ * Cancelling a group message cancels every copy not yet delivered, and every status
+ * change of a copy recounts the parent's recipientCounts and groupStatus.
+ * Media of cancelled and rejected messages is removed once no other message needs it
+ */
+exports.onScheduledMessageUpdated = onDocumentUpdated({
+  document: "scheduledMessages/{messageId}",
+  memory: "256MiB",
+}, async (event) => {
+  const before = event.data.before.data();
+  const after = event.data.after.data();
+  const messageId = event.params.messageId;
+  
+  if (before.status === after.status) {
+    return;
+  }
+  
+  const db = admin.firestore();
+  
+  try {
+    if (after.status === 'cancelled' || after.status === 'rejected') {
+      await cleanupMessageMedia(messageId, after);
+    }
+    
+    if (after.status === 'cancelled' && Array.isArray(after.recipientIds)) {
+      const pendingCopies = await db.collection('scheduledMessages')
+        .where('groupMessageId', '==', messageId)
+        .where('status', 'in', ['pending', 'failed', 'held'])
+        .get();
+      
+      const batch = db.batch();
+      const now = admin.firestore.Timestamp.now();
+      pendingCopies.docs.forEach((doc) => {
+        batch.update(doc.ref, { status: 'cancelled', cancelledAt: now, updatedAt: now });
+      });
+      await batch.commit();
+      
+      logger.info(`Cancelled ${pendingCopies.size} undelivered copies of group message ${messageId}`);
+      return;
+    }
+    
+    if (!after.groupMessageId) {
+      return;
+    }
+    
+    await db.runTransaction(async (transaction) => {
+      const parentRef = db.collection('scheduledMessages').doc(after.groupMessageId);
+      const parentDoc = await transaction.get(parentRef);
+      
+      if (!parentDoc.exists) {
+        logger.warn(`Group message ${after.groupMessageId} not found for copy ${messageId}`);
+        return;
+      }
+      
+      const recipientCounts = await countGroupCopies(transaction, after.groupMessageId);
+      
+      transaction.update(parentRef, {
+        recipientCounts: recipientCounts,
+        groupStatus: computeGroupStatus(recipientCounts),
+        updatedAt: admin.firestore.Timestamp.now(),
+      });
+    });
+    
+  } catch (error) {
+    logger.error(`Error syncing group state for message ${messageId}:`, error);
+  }
+});
+
+/**
+ * Callable function to manually trigger message delivery (for testing)
+ * This function allows manual delivery of a specific message
+ */
+exports.deliverMessageManually = onCall({
+  memory: "256MiB",
+  enforceAppCheck: false, // Disable for development
+}, async (request) => {
+  // Verify user is authenticated
+  if (!request.auth) {
+    throw new Error("Authentication required");
+  }
+  
+  const { messageId } = request.data;
+  
+  if (!messageId) {
+    throw new Error("Message ID is required");
+  }
+  
+  try {
+    const db = admin.firestore();
+    const messageDoc = await db.collection('scheduledMessages').doc(messageId).get();
+    
+    if (!messageDoc.exists) {
+      throw new Error("Message not found");
+    }
+    
+    const messageData = messageDoc.data();
+    
+    // Only the sender, or an admin, may open a capsule ahead of its date
+    const userId = request.auth.uid;
+    if (messageData.senderId !== userId && !isAdmin(request.auth)) {
+      throw new Error("Permission denied");
+    }
+    
+    // Check if message is still pending
+    if (messageData.status !== 'pending') {
+      throw new Error(`Message is already ${messageData.status}`);
+    }
+    
+    const releaseBlocker = getEarlyReleaseBlocker(messageData, admin.firestore.Timestamp.now(), true);
+    if (releaseBlocker) {
+      throw new Error(releaseBlocker);
+    }
+    
+    // Deliver the message ahead of schedule; the lease guards against a concurrent scheduled run
+    const delivered = await claimAndDeliver(messageDoc.ref, { ignoreSchedule: true });
+    
+    if (!delivered) {
+      throw new Error("Message is already being delivered");
+    }
+    
+    return { success: true, message: "Message delivered successfully" };
+    
+  } catch (error) {
+    logger.error(`Error in manual message delivery for ${messageId}:`, error);
+    throw error;
+  }
+});
+
+/**
+ * Pending messages cannot be edited once delivery is this close
+ */
+const EDIT_LOCK_WINDOW_MS = 15 * 60 * 1000;
+
+/**
+ * Message fields captured in each revision, as they were before the edit
+ */
+const REVISION_FIELDS = ['textContent', 'encryption', 'scheduledFor', 'localScheduledFor', 'scheduledTimeZone'];
+
+/**
+ * Callable function for a sender to edit a pending message
+ * Accepts messageId and any of textContent, encryption, scheduledFor (ISO string),
+ * localScheduledFor, and imagePaths/videoPath, which replace all of the message's media.
+ * The edited message goes through the same validation as a new one, and the previous
+ * values are kept in the revisions subcollection
+ */
+exports.updateScheduledMessage = onCall({
+  memory: "256MiB",
+  enforceAppCheck: false, // Disable for development
+}, async (request) => {
+  // Verify user is authenticated
+  if (!request.auth) {
+    throw new Error("Authentication required");
+  }
+  
+  const data = request.data || {};
+  const { messageId } = data;
+  
+  if (!messageId) {
+    throw new Error("Message ID is required");
+  }
+  
+  const replacesMedia = 'imagePaths' in data || 'videoPath' in data;
+  
+  try {
+    const db = admin.firestore();
+    const messageRef = db.collection('scheduledMessages').doc(messageId);
+    const messageDoc = await messageRef.get();
+    const now = admin.firestore.Timestamp.now();
+    
+    if (!messageDoc.exists) {
+      throw new Error("Message not found");
+    }
+    
+    const currentData = messageDoc.data();
+    
+    if (currentData.senderId !== request.auth.uid) {
+      throw new Error("Permission denied");
+    }
+    
+    // Copies of a group message are edited through their parent, which is not supported yet
+    if (currentData.status !== 'pending' || currentData.groupMessageId) {
+      throw new Error(`Message cannot be edited while ${currentData.groupMessageId ? 'part of a group' : currentData.status}`);
+    }
+    
+    if (currentData.scheduledFor.toMillis() - now.toMillis() < EDIT_LOCK_WINDOW_MS) {
+      throw new Error("Message can no longer be edited this close to delivery");
+    }
+    
+    const changes = {};
+    const clearedFields = {};
+    
+    if (data.textContent !== undefined) {
+      changes.textContent = data.textContent;
+    }
+    
+    if (data.encryption !== undefined) {
+      const encryption = data.encryption || {};
+      changes.encryption = { keyId: encryption.keyId, iv: encryption.iv, algorithm: encryption.algorithm || CAPSULE_CIPHER };
+    }
+    
+    // Ciphertext is bound to its IV, so new sealed text always comes with new encryption settings
+    if (changes.textContent !== undefined && currentData.encryption && !changes.encryption) {
+      throw new Error("Sealed messages need new encryption settings when the text changes");
+    }
+    
+    if (changes.encryption && changes.textContent === undefined) {
+      throw new Error("Encryption settings can only change together with the text");
+    }
+    
+    if (currentData.releaseTrigger && (data.localScheduledFor !== undefined || data.scheduledFor !== undefined)) {
+      throw new Error("Inactivity capsules are released by check-ins, not by date");
+    }
+    
+    if (data.localScheduledFor !== undefined) {
+      changes.localScheduledFor = data.localScheduledFor;
+      Object.assign(changes, await computeLocalSchedule({ ...currentData, localScheduledFor: data.localScheduledFor }));
+    } else if (data.scheduledFor !== undefined) {
+      const scheduledDate = new Date(data.scheduledFor);
+      
+      if (isNaN(scheduledDate.getTime())) {
+        throw new Error("scheduledFor must be a valid date");
+      }
+      
+      changes.scheduledFor = admin.firestore.Timestamp.fromDate(scheduledDate);
+      
+      // An explicit instant replaces a schedule given in the recipient's local time
+      if (currentData.localScheduledFor) {
+        clearedFields.localScheduledFor = admin.firestore.FieldValue.delete();
+        clearedFields.scheduledTimeZone = admin.firestore.FieldValue.delete();
+      }
+    }
+    
+    if (Object.keys(changes).length === 0 && !replacesMedia) {
+      throw new Error("Nothing to update");
+    }
+    
+    const updatedData = { ...currentData, ...changes };
+    const validationError = await validateScheduledMessage(updatedData, now);
+    
+    if (validationError) {
+      throw new Error(validationError);
+    }
+    
+    if (changes.scheduledFor && changes.scheduledFor.toMillis() - now.toMillis() < EDIT_LOCK_WINDOW_MS) {
+      throw new Error(`The new delivery time must be at least ${EDIT_LOCK_WINDOW_MS / 60000} minutes away`);
+    }
+    
+    let mediaBytes = currentData.mediaBytes || 0;
+    let newMedia = null;
+    
+    if (replacesMedia) {
+      mediaBytes = await getMessageMediaBytes({
+        senderId: currentData.senderId,
+        imagePaths: data.imagePaths,
+        videoPath: data.videoPath,
+      });
+      
+      const mediaSnapshot = await db.collection('scheduledMessages')
+        .where('senderId', '==', currentData.senderId)
+        .aggregate({ mediaBytes: AggregateField.sum('mediaBytes') })
+        .get();
+      const otherBytes = (mediaSnapshot.data().mediaBytes || 0) - (currentData.mediaBytes || 0);
+      
+      if (otherBytes + mediaBytes > SENDER_QUOTAS.maxMediaBytes) {
+        throw new Error("Media quota exceeded");
+      }
+      
+      newMedia = await moveUploadsToSeal(messageId, currentData, getUploadedMedia(data));
+    }
+    
+    // Puts the new uploads back where the client left them, so a failed edit can be retried
+    const restoreUploads = async () => {
+      if (!newMedia) {
+        return;
+      }
+      
+      const bucket = admin.storage().bucket();
+      await Promise.allSettled(newMedia.sealed
+        .filter((media) => media.from)
+        .map((media) => bucket.file(media.path).move(media.from)));
+    };
+    
+    if (newMedia && newMedia.unsealed.length > 0) {
+      await restoreUploads();
+      throw new Error("Media could not be attached, please try again");
+    }
+    
+    const changedFields = [...Object.keys(changes), ...Object.keys(clearedFields), ...(replacesMedia ? ['media'] : [])];
+    const previous = {};
+    REVISION_FIELDS.forEach((field) => {
+      if (currentData[field] !== undefined) {
+        previous[field] = currentData[field];
+      }
+    });
+    previous.mediaCount = (currentData.sealedMedia || []).length +
+      (currentData.imagePaths || []).length + (currentData.videoPath ? 1 : 0);
+    
+    // The media swap is written with the rest of the edit, so a failed edit leaves the old media in place
+    const mediaUpdate = newMedia ? {
+      mediaBytes: mediaBytes,
+      sealedMedia: newMedia.sealed.length > 0 ?
+        newMedia.sealed.map(({ path, kind }) => ({ path, kind })) :
+        admin.firestore.FieldValue.delete(),
+      sealedAt: newMedia.sealed.length > 0 ? now : admin.firestore.FieldValue.delete(),
+      imagePaths: admin.firestore.FieldValue.delete(),
+      videoPath: admin.firestore.FieldValue.delete(),
+    } : {};
+    
+    try {
+      await db.runTransaction(async (transaction) => {
+        const latestDoc = await transaction.get(messageRef);
+        
+        // Delivery or another edit may have happened since the message was validated
+        if (!latestDoc.exists || !latestDoc.updateTime.isEqual(messageDoc.updateTime)) {
+          throw new Error("Message changed while editing, please try again");
+        }
+        
+        transaction.set(messageRef.collection('revisions').doc(), {
+          revisedAt: now,
+          revisedBy: request.auth.uid,
+          changedFields: changedFields,
+          previous: previous,
+        });
+        
+        transaction.update(messageRef, {
+          ...changes,
+          ...clearedFields,
+          ...mediaUpdate,
+          revisionCount: admin.firestore.FieldValue.increment(1),
+          lastEditedAt: now,
+          updatedAt: now,
+        });
+      });
+    } catch (error) {
+      await restoreUploads();
+      throw error;
+    }
+    
+    if (newMedia) {
+      await removeReplacedMedia(messageId, currentData, newMedia.sealed.map((media) => media.path));
+    }
+    
+    // Teasers planned for the old delivery time are skipped when they come due
+    if (changes.scheduledFor && updatedData.teaserOffsets) {
+      await scheduleTeasers(messageId, updatedData);
+    }
+    
+    logger.info(`Message ${messageId} edited by sender: ${changedFields.join(', ')}`);
+    
+    return {
+      success: true,
+      changedFields: changedFields,
+      scheduledFor: updatedData.scheduledFor.toDate().toISOString(),
+    };
+    
+  } catch (error) {
+    logger.error(`Error updating scheduled message ${messageId}:`, error);
+    throw error;
+  }
+});
+
+/**
+ * Deletes the media an edit replaced, once the edit is committed
+ * Files outside the message's own seal folder, such as those a recurring occurrence carries
+ * over from the series, may be linked from delivered messages and are left to the series
+ * while it still uses them
+ * @param {string} messageId - The edited message
+ * @param {Object} previousData - The message data before the edit
+ * @param {Array<string>} sealedPaths - Sealed paths of the new media
+ */
+async function removeReplacedMedia(messageId, previousData, sealedPaths) {
+  const bucket = admin.storage().bucket();
+  const sealFolder = getSealFolder(messageId, previousData);
+  
+  const replacedPaths = [
+    ...(previousData.sealedMedia || []).map((media) => media.path),
+    ...getUploadedMedia(previousData).map((media) => media.path),
+  ].filter((path) => !sealedPaths.includes(path));
+  
+  await Promise.all(replacedPaths.map(async (path) => {
+    const [folder, ownerId] = path.split('/');
+    
+    if (folder === 'sealed_capsules' && !path.startsWith(`${sealFolder}/`) && await isSealedMediaInUse(ownerId)) {
+      return;
+    }
+    
+    await bucket.file(path).delete({ ignoreNotFound: true });
+  }));
+}
+
+/**
+ * Callable function to get delivery statistics
+ * Returns counts of pending, delivered, failed, dead-lettered and rejected messages,
+ * with delivered messages split into opened and unopened
+ */
+exports.getDeliveryStats = onCall({
+  memory: "256MiB",
+  enforceAppCheck: false, // Disable for development
+}, async (request) => {
+  // Verify user is authenticated
+  if (!request.auth) {
+    throw new Error("Authentication required");
+  }
+  
+  try {
+    const db = admin.firestore();
+    const userId = request.auth.uid;
+    
+    const snapshot = await db.collection('scheduledMessages')
+      .where('senderId', '==', userId)
+      .get();
+    
+    // Group messages are counted once per recipient through their copies, so every
+    // count below, opens included, covers the same per-recipient messages
+    const counts = { pending: 0, delivered: 0, failed: 0, dead_letter: 0, group: 0, rejected: 0 };
+    let openedCount = 0;
+    
+    snapshot.docs.forEach((doc) => {
+      const data = doc.data();
+      
+      if (counts[data.status] === undefined) {
+        return;
+      }
+      
+      counts[data.status]++;
+      
+      // Opens are only recorded for recipients who allow read receipts
+      if (data.status === 'delivered' && data.openedAt) {
+        openedCount++;
+      }
+    });
+    
+    return {
+      pending: counts.pending,
+      delivered: counts.delivered,
+      opened: openedCount,
+      unopened: counts.delivered - openedCount,
+      failed: counts.failed,
+      deadLetter: counts.dead_letter,
+      total: counts.pending + counts.delivered + counts.failed + counts.dead_letter,
+      groupMessages: counts.group,
+      rejected: counts.rejected,
+    };
+    
+  } catch (error) {
+    logger.error("Error getting delivery stats:", error);
+    throw error;
+  }
+});
+
+/**
+ * Callable function for a recipient to mark a delivered message as opened
+ * Records openedAt and notifies the sender, unless the recipient turned off
+ * read receipts with users.readReceiptsEnabled = false
+ */
+exports.markMessageOpened = onCall({
+  memory: "256MiB",
+  enforceAppCheck: false, // Disable for development
+}, async (request) => {
+  // Verify user is authenticated
+  if (!request.auth) {
+    throw new Error("Authentication required");
+  }
+  
+  const { messageId } = request.data;
+  
+  if (!messageId) {
+    throw new Error("Message ID is required");
+  }
+  
+  try {
+    const db = admin.firestore();
+    const userId = request.auth.uid;
+    const messageRef = db.collection('scheduledMessages').doc(messageId);
+    const recipientDoc = await db.collection('users').doc(userId).get();
+    
+    // Without receipts nothing is written, since the sender can read the message document
+    if (recipientDoc.exists && recipientDoc.data().readReceiptsEnabled === false) {
+      return { success: true, receiptSent: false };
+    }
+    
+    const openedAt = admin.firestore.Timestamp.now();
+    
+    const messageData = await db.runTransaction(async (transaction) => {
+      const messageDoc = await transaction.get(messageRef);
+      
+      if (!messageDoc.exists) {
+        throw new Error("Message not found");
+      }
+      
+      const currentData = messageDoc.data();
+      
+      if (currentData.recipientId !== userId) {
+        throw new Error("Permission denied");
+      }
+      
+      if (currentData.status !== 'delivered') {
+        throw new Error(`Message is ${currentData.status}, not delivered`);
+      }
+      
+      // Only the first open produces a receipt
+      if (currentData.openedAt) {
+        return null;
+      }
+      
+      transaction.update(messageRef, { openedAt: openedAt });
+      return currentData;
+    });
+    
+    if (!messageData) {
+      return { success: true, receiptSent: false, alreadyOpened: true };
+    }
+    
+    if (messageData.senderId !== userId) {
+      await sendOpenedNotification(messageData, messageId, recipientDoc);
+    }
+    
+    return { success: true, receiptSent: true, openedAt: openedAt.toDate().toISOString() };
+    
+  } catch (error) {
+    logger.error(`Error marking message ${messageId} as opened:`, error);
+    throw error;
+  }
+});
+
+/**
+ * Finds when a capsule was sealed
+ * Later occurrences of a recurring message are created at the previous delivery, so
+ * the series is dated by its first message, or by its first delivery once that is gone
+ * @param {Object} messageData - The message data
+ * @returns {Promise<Object|null>} Firestore timestamp, or null when unknown
+ */
+async function getCapsuleSealedAt(messageData) {
+  if (!messageData.seriesId) {
+    return messageData.createdAt || null;
+  }
+  
+  const seriesDoc = await admin.firestore().collection('scheduledMessages').doc(messageData.seriesId).get();
+  
+  if (seriesDoc.exists && seriesDoc.data().createdAt) {
+    return seriesDoc.data().createdAt;
+  }
+  
+  return messageData.seriesStartAt || null;
+}
+
+/**
+ * Tells the sender of a message that the recipient opened it
+ * @param {Object} messageData - The message data
+ * @param {string} messageId - The message ID
+ * @param {Object} recipientDoc - The recipient's user document
+ */
+async function sendOpenedNotification(messageData, messageId, recipientDoc) {
+  try {
+    const recipientUsername = recipientDoc.exists ? recipientDoc.data().username : 'Someone';
+    const sealedAt = await getCapsuleSealedAt(messageData);
+    const sealedYear = sealedAt ? sealedAt.toDate().getUTCFullYear() : null;
+    const body = sealedYear ?
+      `${recipientUsername} opened the capsule you sealed in ${sealedYear}` :
+      `${recipientUsername} opened your capsule`;
+    
+    const message = buildPushMessage("Your capsule was opened", body, {
+      type: 'capsule_opened',
+      messageId: messageId,
+      recipientId: messageData.recipientId,
+    }, 'scheduled_messages');
+    
+    const result = await sendToUserDevices(messageData.senderId, message, { eventKey: `capsule_opened_${messageId}` });
+    logger.info(`Opened receipt for message ${messageId} sent to ${result.successCount} devices of ${messageData.senderId}`);
+    
+  } catch (error) {
+    logger.error(`Error sending opened receipt for message ${messageId}:`, error);
+    // Don't throw error here - the open is already recorded
+  }
+}
+
+/**
+ * Most notification IDs accepted by a single markNotificationsRead call
+ */
+const MAX_NOTIFICATIONS_PER_READ = 500;
+
+/**
+ * Callable function that marks notifications in the caller's inbox as read
+ * Pass notificationIds to mark specific notifications, or all = true to mark every
+ * unread one. Returns the remaining unread count so the app can update its badge
+ */
+exports.markNotificationsRead = onCall({
+  memory: "256MiB",
+  enforceAppCheck: false, // Disable for development
+}, async (request) => {
+  // Verify user is authenticated
+  if (!request.auth) {
+    throw new Error("Authentication required");
+  }
+  
+  const { notificationIds, all } = request.data;
+  
+  if (all !== true && (!Array.isArray(notificationIds) || notificationIds.length === 0)) {
+    throw new Error("Notification IDs or all = true are required");
+  }
+  
+  if (all !== true && notificationIds.length > MAX_NOTIFICATIONS_PER_READ) {
+    throw new Error(`At most ${MAX_NOTIFICATIONS_PER_READ} notifications can be marked at once`);
+  }
+  
+  try {
+    const db = admin.firestore();
+    const userId = request.auth.uid;
+    const now = admin.firestore.Timestamp.now();
+    let updatedCount = 0;
+    
+    if (all === true) {
+      const unreadQuery = db.collection('notifications')
+        .where('userId', '==', userId)
+        .where('read', '==', false);
+      
+      while (true) {
+        const snapshot = await unreadQuery.limit(400).get();
+        
+        if (snapshot.empty) {
+          break;
+        }
+        
+        const batch = db.batch();
+        snapshot.docs.forEach((doc) => batch.update(doc.ref, { read: true, readAt: now }));
+        await batch.commit();
+        updatedCount += snapshot.size;
+      }
+    } else {
+      const notificationDocs = await db.getAll(
+        ...[...new Set(notificationIds.map(String))].map((notificationId) => db.collection('notifications').doc(notificationId)),
+      );
+      
+      if (notificationDocs.some((doc) => doc.exists && doc.data().userId !== userId)) {
+        throw new Error("Permission denied");
+      }
+      
+      const unreadDocs = notificationDocs.filter((doc) => doc.exists && !doc.data().read);
+      
+      if (unreadDocs.length > 0) {
+        const batch = db.batch();
+        unreadDocs.forEach((doc) => batch.update(doc.ref, { read: true, readAt: now }));
+        await batch.commit();
+      }
+      
+      updatedCount = unreadDocs.length;
+    }
+    
+    return {
+      success: true,
+      updatedCount: updatedCount,
+      unreadCount: await countUnreadNotifications(userId),
+    };
+    
+  } catch (error) {
+    logger.error(`Error marking notifications read for user ${request.auth.uid}:`, error);
+    throw error;
+  }
+});
+
+/**
+ * Retention modes users can choose in users/{uid}.messageRetention = {mode, afterYears}
+ * for the capsules they received; without a setting capsules are kept forever
+ */
+const RETENTION_MODES = ['keep', 'archive', 'delete'];
+const MAX_RETENTION_YEARS = 100;
+
+/**
+ * Applies each user's retention setting to the capsules delivered to them (runs daily)
+ * Capsules older than the chosen number of years leave the recipient's view, either copied
+ * to archivedMessages with their media copied to archived_capsules/{messageId}/, or dropped.
+ * The sender keeps their history, see removeFromRecipientView. The whole backlog is drained each run
+ */
+exports.cleanupOldMessages = onSchedule({
+  schedule: "0 2 * * *", // Run daily at 2 AM UTC
+  timeZone: "UTC",
+  memory: "512MiB",
+  timeoutSeconds: 540,
+  maxInstances: 1,
+}, async (event) => {
+  logger.info("Applying message retention settings...");
+  
+  try {
+    const db = admin.firestore();
+    // Leave headroom below the function timeout; the next run picks up where this one stopped
+    const deadline = Date.now() + 480 * 1000;
+    
+    const users = await db.collection('users')
+      .where('messageRetention.mode', 'in', ['archive', 'delete'])
+      .get();
+    
+    let archived = 0;
+    let deleted = 0;
+    let failed = 0;
+    
+    for (const userDoc of users.docs) {
+      if (Date.now() >= deadline) {
+        logger.warn("Retention run out of time, remaining users are handled tomorrow");
+        break;
+      }
+      
+      const { mode, afterYears } = userDoc.data().messageRetention;
+      
+      if (!RETENTION_MODES.includes(mode) || !Number.isInteger(afterYears) ||
+        afterYears < 1 || afterYears > MAX_RETENTION_YEARS) {
+        logger.warn(`Ignoring invalid retention setting of user ${userDoc.id}`);
+        continue;
+      }
+      
+      const cutoff = new Date();
+      cutoff.setFullYear(cutoff.getFullYear() - afterYears);
+      
+      const baseQuery = db.collection('scheduledMessages')
+        .where('recipientId', '==', userDoc.id)
+        .where('status', '==', 'delivered')
+        .where('deliveredAt', '<', admin.firestore.Timestamp.fromDate(cutoff))
+        .orderBy('deliveredAt')
+        .limit(100);
+      let lastDoc = null;
+      
+      while (Date.now() < deadline) {
+        const snapshot = await (lastDoc ? baseQuery.startAfter(lastDoc) : baseQuery).get();
+        
+        if (snapshot.empty) {
+          break;
+        }
+        
+        const results = await Promise.allSettled(snapshot.docs.map((doc) => removeFromRecipientView(doc, mode)));
+        
+        results.forEach((result, index) => {
+          if (result.status === 'rejected') {
+            failed++;
+            logger.error(`Failed to ${mode} message ${snapshot.docs[index].id}:`, result.reason);
+          } else if (mode === 'archive') {
+            archived++;
+          } else {
+            deleted++;
+          }
+        });
+        
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+      }
+    }
+    
+    logger.info(`Retention run finished: ${archived} archived, ${deleted} deleted, ${failed} failed`);
+    
+  } catch (error) {
+    logger.error("Error in cleanup function:", error);
+    throw error;
+  }
+});
+
+/**
+ * Takes a delivered message out of its recipient's view
+ * The shared message is the sender's history too, so the recipient is moved from
+ * recipientId, which grants them read access, to removedRecipientId, and the download
+ * links they hold are replaced. Once the sender's account is gone as well the message is
+ * deleted, and its media with it through onScheduledMessageDeleted
+ * @param {Object} messageDoc - The delivered message document
+ * @param {string} mode - The recipient's retention mode, 'archive' or 'delete'
+ */
+async function removeFromRecipientView(messageDoc, mode) {
+  const db = admin.firestore();
+  const messageData = messageDoc.data();
+  
+  if (mode === 'archive') {
+    await archiveMessage(messageDoc);
+  }
+  
+  // Inbox entries would otherwise still point the recipient at the capsule
+  await deleteQueryInBatches(db.collection('notifications')
+    .where('userId', '==', messageData.recipientId)
+    .where('data.messageId', '==', messageDoc.id));
+  
+  const senderDoc = await db.collection('users').doc(messageData.senderId).get();
+  
+  if (!senderDoc.exists) {
+    await db.recursiveDelete(messageDoc.ref);
+    return;
+  }
+  
+  const reissuedMedia = await reissueMediaLinks(messageData);
+  
+  await messageDoc.ref.update({
+    ...reissuedMedia,
+    recipientId: admin.firestore.FieldValue.delete(),
+    removedRecipientId: messageData.recipientId,
+    recipientRemovedAt: admin.firestore.Timestamp.now(),
+    recipientRetention: mode,
+  });
+}
+
+/**
+ * Replaces the download links of a delivered message with new ones
+ * The tokens of the old links are revoked, so copies of the links stop working
+ * @param {Object} messageData - The delivered message
+ * @returns {Promise<Object>} {imageUrls, videoUrl} for the fields the message has
+ */
+async function reissueMediaLinks(messageData) {
+  const bucket = admin.storage().bucket();
+  
+  const reissue = async (url) => {
+    const path = getStoragePathFromUrl(url, bucket.name);
+    
+    // Media hosted elsewhere is not ours to revoke
+    if (!path) {
+      return url;
+    }
+    
+    const oldToken = new URL(url).searchParams.get('token');
+    const token = crypto.randomUUID();
+    const exists = await updateDownloadTokens(bucket.file(path),
+      (tokens) => [...tokens.filter((existing) => existing !== oldToken), token]);
+    
+    return exists ? buildDownloadUrl(bucket.name, path, token) : null;
+  };
+  
+  const reissued = {};
+  
+  if (Array.isArray(messageData.imageUrls)) {
+    reissued.imageUrls = (await Promise.all(messageData.imageUrls.map(reissue))).filter(Boolean);
+  }
+  
+  if (messageData.videoUrl) {
+    reissued.videoUrl = await reissue(messageData.videoUrl);
+  }
+  
+  return reissued;
+}
+
+/**
+ * Copies a delivered message to the archivedMessages collection for its recipient
+ * Media is copied to archived_capsules/{messageId}/, so a retried run starts over safely;
+ * files that no longer exist are left out of the archive
+ * @param {Object} messageDoc - The delivered message document
+ */
+async function archiveMessage(messageDoc) {
+  const db = admin.firestore();
+  const bucket = admin.storage().bucket();
+  const messageData = messageDoc.data();
+  
+  const media = [
+    ...(messageData.imageUrls || []).map((url) => ({ url, kind: 'image' })),
+    ...(messageData.videoUrl ? [{ url: messageData.videoUrl, kind: 'video' }] : []),
+  ];
+  const archivedMedia = [];
+  const externalImageUrls = [];
+  let externalVideoUrl = null;
+  
+  for (const { url, kind } of media) {
+    const path = getStoragePathFromUrl(url, bucket.name);
+    
+    // Media hosted elsewhere is kept as a plain link
+    if (!path) {
+      if (kind === 'video') {
+        externalVideoUrl = url;
+      } else {
+        externalImageUrls.push(url);
+      }
+      continue;
+    }
+    
+    const archivedPath = `archived_capsules/${messageDoc.id}/${path.split('/').pop()}`;
+    const [exists] = await bucket.file(path).exists();
+    
+    if (exists) {
+      await bucket.file(path).copy(archivedPath);
+      // The copy carries the tokens of the original, which the sender's links use as well
+      await bucket.file(archivedPath).setMetadata({ metadata: { firebaseStorageDownloadTokens: null } });
+    } else if (!(await bucket.file(archivedPath).exists())[0]) {
+      logger.warn(`Media ${path} of message ${messageDoc.id} no longer exists and is not archived`);
+      continue;
+    }
+    
+    archivedMedia.push({ path: archivedPath, kind: kind });
+  }
+  
+  const archivedUrls = await releaseSealedMedia(archivedMedia);
+  const imageUrls = [...archivedUrls.imageUrls, ...externalImageUrls];
+  const videoUrl = archivedUrls.videoUrl || externalVideoUrl;
+  
+  const archivedData = {
+    ...messageData,
+    status: 'archived',
+    archivedAt: admin.firestore.Timestamp.now(),
+    archivedMedia: archivedMedia,
+  };
+  delete archivedData.imageUrls;
+  delete archivedData.videoUrl;
+  delete archivedData.sealedMedia;
+  if (imageUrls.length > 0) {
+    archivedData.imageUrls = imageUrls;
+  }
+  if (videoUrl) {
+    archivedData.videoUrl = videoUrl;
+  }
+  
+  await db.collection('archivedMessages').doc(messageDoc.id).set(archivedData);
+}
+
+/**
+ * Statuses of messages that still deliver, or have delivered, their sealed media
+ */
+const MEDIA_HOLDING_STATUSES = ['pending', 'processing', 'failed', 'held', 'dead_letter', 'delivered', 'group'];
+
+/**
+ * Checks whether the media sealed under a message is still needed
+ * Group copies and recurring occurrences use the files sealed for their group parent or first occurrence
+ * @param {string} ownerId - ID of the message the files were sealed for
+ * @returns {Promise<boolean>} Whether any message still holds the media
+ */
+async function isSealedMediaInUse(ownerId) {
+  const messages = admin.firestore().collection('scheduledMessages');
+  
+  const [ownerDoc, copies, occurrences] = await Promise.all([
+    messages.doc(ownerId).get(),
+    messages
+      .where('groupMessageId', '==', ownerId)
+      .where('status', 'in', MEDIA_HOLDING_STATUSES)
+      .limit(1)
+      .get(),
+    messages
+      .where('seriesId', '==', ownerId)
+      .where('status', 'in', MEDIA_HOLDING_STATUSES)
+      .limit(1)
+      .get(),
+  ]);
+  
+  return (ownerDoc.exists && MEDIA_HOLDING_STATUSES.includes(ownerDoc.data().status)) ||
+    !copies.empty ||
+    !occurrences.empty;
+}
+
+/**
+ * Removes the Storage objects of a cancelled, rejected or deleted message that nothing else uses
+ * @param {string} messageId - The message ID
+ * @param {Object} messageData - The message data
+ */
+async function cleanupMessageMedia(messageId, messageData) {
+  const bucket = admin.storage().bucket();
+  const ownerIds = [...new Set([messageId, messageData.groupMessageId, messageData.seriesId].filter(Boolean))];
+  
+  for (const ownerId of ownerIds) {
+    if (await isSealedMediaInUse(ownerId)) {
+      continue;
+    }
+    
+    // scheduled_messages/{messageId}/ is where media of older messages was stored
+    await Promise.all([
+      bucket.deleteFiles({ prefix: `sealed_capsules/${ownerId}/` }),
+      bucket.deleteFiles({ prefix: `scheduled_messages/${ownerId}/` }),
+    ]);
+  }
+  
+  // Uploads that were never sealed, e.g. of rejected messages, belong to this message alone
+  if (messageData.groupMessageId || messageData.seriesId) {
+    return;
+  }
+  
+  const uploadPrefix = `scheduled_messages/${messageData.senderId}/`;
+  const uploadPaths = [...(messageData.imagePaths || []), ...(messageData.videoPath ? [messageData.videoPath] : [])]
+    .filter((path) => typeof path === 'string' && path.startsWith(uploadPrefix));
+  
+  await Promise.all(uploadPaths.map((path) => bucket.file(path).delete({ ignoreNotFound: true })));
+}
+
+/**
+ * Trigger function that removes the Storage objects and inbox entries of deleted messages
+ */
+exports.onScheduledMessageDeleted = onDocumentDeleted({
+  document: "scheduledMessages/{messageId}",
+  memory: "256MiB",
+  retry: true,
+}, async (event) => {
+  const messageId = event.params.messageId;
+  
+  try {
+    await Promise.all([
+      cleanupMessageMedia(messageId, event.data.data()),
+      deleteQueryInBatches(admin.firestore().collection('notifications').where('data.messageId', '==', messageId)),
+    ]);
+  } catch (error) {
+    logger.error(`Error cleaning up media of deleted message ${messageId}:`, error);
+    throw error;
+  }
+});
+
+/**
+ * Error handling function for failed message deliveries
+ * This function implements retry logic for failed messages
+ */
+exports.retryFailedMessages = onCall({
+  memory: "256MiB",
+  enforceAppCheck: false, // Disable for development
+}, async (request) => {
+  // Verify user is authenticated
+  if (!request.auth) {
+    throw new Error("Authentication required");
+  }
+  
+  // Admins may retry failed messages of every sender
+  const retryAll = request.data && request.data.all === true;
+  
+  if (retryAll) {
+    requireAdmin(request);
+  }
+  
+  try {
+    const db = admin.firestore();
+    
+    // Failed messages are retried automatically with backoff; this lets a sender skip the wait
+    let failedQuery = db.collection('scheduledMessages')
+      .where('status', '==', 'failed');
+    
+    if (!retryAll) {
+      failedQuery = failedQuery.where('senderId', '==', request.auth.uid);
+    }
+    
+    // Only delivery failures carry nextAttemptAt
+    const failedMessages = await failedQuery
+      .orderBy('nextAttemptAt')
+      .limit(10) // Process small batches
+      .get();
+    
+    if (failedMessages.empty) {
+      return { message: "No failed messages to retry", retriedCount: 0 };
+    }
+    
+    let retriedCount = 0;
+    
+    // Retry each failed message
+    for (const doc of failedMessages.docs) {
+      try {
+        if (await claimAndDeliver(doc.ref, { ignoreSchedule: true })) {
+          retriedCount++;
+        }
+      } catch (error) {
+        // The failed attempt has already been recorded by deliverMessage
+        logger.error(`Retry failed for message ${doc.id}:`, error);
+      }
+    }
+    
+    if (retryAll) {
+      await recordAdminAction(request.auth.uid, 'retry_failed_messages', null, {
+        retriedCount: retriedCount,
+        totalFailed: failedMessages.docs.length,
+      });
+    }
+    
+    return { 
+      message: `Retried ${retriedCount} out of ${failedMessages.docs.length} failed messages`,
+      retriedCount: retriedCount,
+      totalFailed: failedMessages.docs.length,
+    };
+    
+  } catch (error) {
+    logger.error("Error in retry function:", error);
+    throw error;
+  }
+});
+
+/**
+ * Manual trigger function to process pending messages immediately
+ * This is useful for testing and manual intervention, and is restricted to admins
+ * because it delivers every user's due messages
+ */
+exports.triggerMessageDelivery = onCall({
+  memory: "256MiB",
+  // Temporarily disable App Check enforcement for development
+  // Set to true for production deployment
+  enforceAppCheck: false,
+}, async (request) => {
+  // Verify user is authenticated
+  if (!request.auth) {
+    throw new Error("Authentication required");
+  }
+  
+  requireAdmin(request);
+  
+  try {
+    // Callables time out after 60 seconds by default
+    const result = await drainDeliveryQueue(45 * 1000);
+    
+    await recordAdminAction(request.auth.uid, 'trigger_delivery', null, result);
+    
+    if (result.found === 0) {
+      return { message: "No messages ready for delivery", processedCount: 0 };
+    }
+    
+    return { 
+      message: `Processed ${result.delivered} messages, ${result.failed} failed`,
+      processedCount: result.delivered,
+      failedCount: result.failed,
+      skippedCount: result.skipped,
+      totalFound: result.found,
+    };
+    
+  } catch (error) {
+    logger.error("Error in manual trigger function:", error);
+    throw error;
+  }
+});
+
+/**
+ * Test function to validate Cloud Function message processing
+ * This function helps test the delivery mechanism and status updates
+ */
+exports.testMessageDelivery = onCall({
+  memory: "256MiB",
+  enforceAppCheck: false, // Disable for development
+}, async (request) => {
+  // Verify user is authenticated
+  if (!request.auth) {
+    throw new Error("Authentication required");
+  }
+  
+  const { messageId, forceDelivery } = request.data;
+  
+  if (!messageId) {
+    throw new Error("Message ID is required for testing");
+  }
+  
+  try {
+    const db = admin.firestore();
+    const messageDoc = await db.collection('scheduledMessages').doc(messageId).get();
+    
+    if (!messageDoc.exists) {
+      throw new Error("Message not found");
+    }
+    
+    const messageData = messageDoc.data();
+    const userId = request.auth.uid;
+    
+    // Test deliveries run ahead of schedule, so only the sender or an admin may start one
+    if (messageData.senderId !== userId && !isAdmin(request.auth)) {
+      throw new Error("Permission denied: You can only test your own messages");
+    }
+    
+    const releaseBlocker = getEarlyReleaseBlocker(messageData, admin.firestore.Timestamp.now(), true);
+    if (releaseBlocker) {
+      throw new Error(releaseBlocker);
+    }
+    
+    // Re-delivering a message that already left pending is an admin operation
+    if (forceDelivery) {
+      requireAdmin(request);
+      
+      // A second delivery of an occurrence would schedule its successor again
+      if (messageData.status !== 'pending' && (messageData.recurrence || messageData.seriesId)) {
+        throw new Error("Recurring messages cannot be force-delivered again");
+      }
+      
+      if (messageData.status === 'processing') {
+        throw new Error("Message is being delivered right now");
+      }
+    }
+    
+    // Validate message status
+    if (messageData.status !== 'pending' && !forceDelivery) {
+      return {
+        success: false,
+        message: `Message is already ${messageData.status}. Use forceDelivery=true to override.`,
+        currentStatus: messageData.status,
+        deliveredAt: messageData.deliveredAt ? messageData.deliveredAt.toDate().toISOString() : null,
+      };
+    }
+    
+    // Test the delivery process
+    const testStartTime = admin.firestore.Timestamp.now();
+    
+    try {
+      // If forcing delivery, reset status to pending unless the message changed since it was checked
+      if (forceDelivery && messageData.status !== 'pending') {
+        await db.runTransaction(async (transaction) => {
+          const currentDoc = await transaction.get(messageDoc.ref);
+          
+          if (!currentDoc.exists || currentDoc.data().status !== messageData.status) {
+            throw new Error("Message changed while preparing the test delivery");
+          }
+          
+          transaction.update(messageDoc.ref, {
+            status: 'pending',
+            testMode: true,
+            testStartedAt: testStartTime,
+          });
+        });
+      }
+      
+      // Perform the delivery
+      await claimAndDeliver(messageDoc.ref, { ignoreSchedule: true });
+      
+      // Verify the delivery was successful
+      const updatedDoc = await db.collection('scheduledMessages').doc(messageId).get();
+      const updatedData = updatedDoc.data();
+      
+      return {
+        success: true,
+        message: "Message delivery test completed successfully",
+        originalStatus: messageData.status,
+        newStatus: updatedData.status,
+        deliveredAt: updatedData.deliveredAt ? updatedData.deliveredAt.toDate().toISOString() : null,
+        processingTime: admin.firestore.Timestamp.now().toMillis() - testStartTime.toMillis(),
+        testMode: forceDelivery || false,
+      };
+      
+    } catch (deliveryError) {
+      logger.error(`Test delivery failed for message ${messageId}:`, deliveryError);
+      
+      return {
+        success: false,
+        message: `Delivery test failed: ${deliveryError.message}`,
+        originalStatus: messageData.status,
+        error: deliveryError.message,
+        processingTime: admin.firestore.Timestamp.now().toMillis() - testStartTime.toMillis(),
+      };
+    }
+    
+  } catch (error) {
+    logger.error(`Error in test message delivery for ${messageId}:`, error);
+    throw error;
+  }
+});
+
+/**
+ * Collection recording every action taken through the admin API
+ */
+const ADMIN_AUDIT_COLLECTION = 'adminAuditLog';
+
+/**
+ * Filters accepted by adminListMessages
+ * Each maps to a status and the timestamp the results are ordered by;
+ * stale filters only match messages whose timestamp is already in the past
+ */
+const ADMIN_MESSAGE_FILTERS = {
+  stuck: { status: 'processing', orderBy: 'leaseExpiresAt', stale: true },
+  overdue: { status: 'pending', orderBy: 'scheduledFor', stale: true },
+  failed: { status: 'failed', orderBy: 'nextAttemptAt', stale: false },
+  dead_letter: { status: 'dead_letter', orderBy: 'deadLetteredAt', stale: false },
+};
+
+/**
+ * Pending messages are only reported as overdue once the scheduler has missed them by this long
+ */
+const OVERDUE_GRACE_MS = 15 * 60 * 1000;
+
+/**
+ * Statuses an admin can force-cancel a message from
+ */
+const ADMIN_CANCELLABLE_STATUSES = ['pending', 'failed', 'held', 'dead_letter', 'group'];
+
+/**
+ * Checks whether the caller holds the admin custom claim
+ * @param {Object} auth - The auth context of a callable request
+ * @returns {boolean} Whether the caller is an admin
+ */
+function isAdmin(auth) {
+  return !!(auth && auth.token && auth.token.admin === true);
+}
+
+/**
+ * Throws unless the caller of a callable is an admin
+ * @param {Object} request - The callable request
+ */
+function requireAdmin(request) {
+  if (!request.auth) {
+    throw new Error("Authentication required");
+  }
+  
+  if (!isAdmin(request.auth)) {
+    throw new Error("Admin privileges required");
+  }
+}
+
+/**
+ * Appends an entry to the admin audit log
+ * @param {string} adminId - The admin who performed the action
+ * @param {string} action - Machine-readable action name
+ * @param {string|null} targetId - The user or message the action applied to
+ * @param {Object} [details] - Additional context for the entry
+ */
+async function recordAdminAction(adminId, action, targetId, details = {}) {
+  await admin.firestore().collection(ADMIN_AUDIT_COLLECTION).add({
+    adminId: adminId,
+    action: action,
+    targetId: targetId,
+    details: details,
+    createdAt: admin.firestore.Timestamp.now(),
+  });
+  
+  logger.info(`Admin ${adminId} performed ${action}${targetId ? ` on ${targetId}` : ''}`);
+}
+
+/**
+ * Sets or clears the admin custom claim of a user, keeping their other claims
+ * The user has to refresh their ID token before the change takes effect on the client
+ * @param {string} userId - The user to update
+ * @param {boolean} isAdminRole - Whether the user should be an admin
+ */
+async function setAdminClaim(userId, isAdminRole) {
+  const userRecord = await admin.auth().getUser(userId);
+  const claims = { ...(userRecord.customClaims || {}) };
+  
+  if (isAdminRole) {
+    claims.admin = true;
+  } else {
+    delete claims.admin;
+  }
+  
+  await admin.auth().setCustomUserClaims(userId, claims);
+}
+
+/**
+ * Callable function that grants the admin role to a user
+ * The first admin has to be granted with the Admin SDK, e.g. from a one-off script
+ */
+exports.grantAdminRole = onCall({
+  memory: "256MiB",
+  enforceAppCheck: false, // Disable for development
+}, async (request) => {
+  requireAdmin(request);
+  
+  const { userId } = request.data;
+  
+  if (!userId) {
+    throw new Error("User ID is required");
+  }
+  
+  try {
+    await setAdminClaim(userId, true);
+    await recordAdminAction(request.auth.uid, 'grant_admin', userId);
+    
+    return { success: true, userId: userId, admin: true };
+    
+  } catch (error) {
+    logger.error(`Error granting admin role to ${userId}:`, error);
+    throw error;
+  }
+});
+
+/**
+ * Callable function that revokes the admin role of a user
+ * Admins cannot revoke their own role so the project is never left without one by accident
+ */
+exports.revokeAdminRole = onCall({
+  memory: "256MiB",
+  enforceAppCheck: false, // Disable for development
+}, async (request) => {
+  requireAdmin(request);
+  
+  const { userId } = request.data;
+  
+  if (!userId) {
+    throw new Error("User ID is required");
+  }
+  
+  if (userId === request.auth.uid) {
+    throw new Error("Admins cannot revoke their own role");
+  }
+  
+  try {
+    await setAdminClaim(userId, false);
+    await recordAdminAction(request.auth.uid, 'revoke_admin', userId);
+    
+    return { success: true, userId: userId, admin: false };
+    
+  } catch (error) {
+    logger.error(`Error revoking admin role of ${userId}:`, error);
+    throw error;
+  }
+});
+
+/**
+ * Admin callable returning delivery statistics across all users
+ */
+exports.adminGetDeliveryStats = onCall({
+  memory: "256MiB",
+  enforceAppCheck: false, // Disable for development
+}, async (request) => {
+  requireAdmin(request);
+  
+  try {
+    const db = admin.firestore();
+    const messages = db.collection('scheduledMessages');
+    const now = admin.firestore.Timestamp.now();
+    const statuses = ['pending', 'processing', 'delivered', 'failed', 'dead_letter', 'cancelled', 'rejected', 'group'];
+    
+    const countQuery = async (query) => (await query.count().get()).data().count;
+    
+    const [statusCounts, stuck, overdue] = await Promise.all([
+      Promise.all(statuses.map((status) => countQuery(messages.where('status', '==', status)))),
+      countQuery(messages
+        .where('status', '==', 'processing')
+        .where('leaseExpiresAt', '<=', now)),
+      countQuery(messages
+        .where('status', '==', 'pending')
+        .where('scheduledFor', '<=', admin.firestore.Timestamp.fromMillis(now.toMillis() - OVERDUE_GRACE_MS))),
+    ]);
+    
+    const byStatus = {};
+    statuses.forEach((status, index) => {
+      byStatus[status] = statusCounts[index];
+    });
+    
+    await recordAdminAction(request.auth.uid, 'view_global_stats', null);
+    
+    return {
+      byStatus: byStatus,
+      stuck: stuck,
+      overdue: overdue,
+      // Group parents are not deliveries themselves, their copies are counted instead
+      total: statusCounts.reduce((sum, count) => sum + count, 0) - byStatus.group,
+      generatedAt: now.toDate().toISOString(),
+    };
+    
+  } catch (error) {
+    logger.error("Error getting global delivery stats:", error);
+    throw error;
+  }
+});
+
+/**
+ * Admin callable listing messages that need attention
+ * Accepts filter (stuck, overdue, failed or dead_letter), optional senderId or recipientId,
+ * limit (max 100) and startAfter (the ID of the last message of the previous page)
+ */
+exports.adminListMessages = onCall({
+  memory: "256MiB",
+  enforceAppCheck: false, // Disable for development
+}, async (request) => {
+  requireAdmin(request);
+  
+  const { filter, senderId, recipientId, startAfter } = request.data || {};
+  const spec = ADMIN_MESSAGE_FILTERS[filter];
+  
+  if (!spec) {
+    throw new Error(`Filter must be one of: ${Object.keys(ADMIN_MESSAGE_FILTERS).join(', ')}`);
+  }
+  
+  const limit = Math.min(Math.max(parseInt(request.data.limit, 10) || 50, 1), 100);
+  
+  try {
+    const db = admin.firestore();
+    let query = db.collection('scheduledMessages').where('status', '==', spec.status);
+    
+    if (senderId) {
+      query = query.where('senderId', '==', senderId);
+    }
+    
+    if (recipientId) {
+      query = query.where('recipientId', '==', recipientId);
+    }
+    
+    if (spec.stale) {
+      const grace = spec.status === 'pending' ? OVERDUE_GRACE_MS : 0;
+      query = query.where(spec.orderBy, '<=', admin.firestore.Timestamp.fromMillis(Date.now() - grace));
+    }
+    
+    query = query.orderBy(spec.orderBy).limit(limit);
+    
+    if (startAfter) {
+      const cursorDoc = await db.collection('scheduledMessages').doc(startAfter).get();
+      
+      if (cursorDoc.exists) {
+        query = query.startAfter(cursorDoc);
+      }
+    }
+    
+    const snapshot = await query.get();
+    
+    await recordAdminAction(request.auth.uid, 'list_messages', null, {
+      filter: filter,
+      senderId: senderId || null,
+      recipientId: recipientId || null,
+    });
+    
+    // Message text stays out of admin listings
+    const messages = snapshot.docs.map((doc) => {
+      const data = doc.data();
+      const toIso = (timestamp) => timestamp ? timestamp.toDate().toISOString() : null;
+      
+      return {
+        id: doc.id,
+        senderId: data.senderId,
+        recipientId: data.recipientId || null,
+        status: data.status,
+        scheduledFor: toIso(data.scheduledFor),
+        retryCount: data.retryCount || 0,
+        failureReason: data.failureReason || null,
+        nextAttemptAt: toIso(data.nextAttemptAt),
+        leaseExpiresAt: toIso(data.leaseExpiresAt),
+        deadLetteredAt: toIso(data.deadLetteredAt),
+        groupMessageId: data.groupMessageId || null,
+      };
+    });
+    
+    return {
+      messages: messages,
+      nextStartAfter: snapshot.size === limit ? snapshot.docs[snapshot.size - 1].id : null,
+    };
+    
+  } catch (error) {
+    logger.error(`Error listing ${filter} messages:`, error);
+    throw error;
+  }
+});
+
+/**
+ * Admin callable that delivers a specific message immediately
+ * Unlike deliverMessageManually this also takes failed and dead-lettered messages
+ */
+exports.adminForceDelivery = onCall({
+  memory: "256MiB",
+  enforceAppCheck: false, // Disable for development
+}, async (request) => {
+  requireAdmin(request);
+  
+  const { messageId } = request.data;
+  
+  if (!messageId) {
+    throw new Error("Message ID is required");
+  }
+  
+  try {
+    const messageRef = admin.firestore().collection('scheduledMessages').doc(messageId);
+    let delivered = false;
+    let deliveryError = null;
+    
+    try {
+      delivered = await claimAndDeliver(messageRef, { ignoreSchedule: true, force: true });
+    } catch (error) {
+      deliveryError = error.message;
+    }
+    
+    await recordAdminAction(request.auth.uid, 'force_delivery', messageId, {
+      delivered: delivered,
+      error: deliveryError,
+    });
+    
+    const messageDoc = await messageRef.get();
+    
+    return {
+      success: delivered,
+      status: messageDoc.exists ? messageDoc.data().status : null,
+      error: deliveryError || (delivered ? null : "Message is not in a deliverable state"),
+    };
+    
+  } catch (error) {
+    logger.error(`Error forcing delivery of message ${messageId}:`, error);
+    throw error;
+  }
+});
+
+/**
+ * Admin callable that cancels a specific message
+ * Cancelling a group message also cancels its undelivered copies through onScheduledMessageUpdated
+ */
+exports.adminCancelMessage = onCall({
+  memory: "256MiB",
+  enforceAppCheck: false, // Disable for development
+}, async (request) => {
+  requireAdmin(request);
+  
+  const { messageId, reason } = request.data;
+  
+  if (!messageId) {
+    throw new Error("Message ID is required");
+  }
+  
+  try {
+    const db = admin.firestore();
+    const messageRef = db.collection('scheduledMessages').doc(messageId);
+    
+    const previousStatus = await db.runTransaction(async (transaction) => {
+      const messageDoc = await transaction.get(messageRef);
+      
+      if (!messageDoc.exists) {
+        throw new Error("Message not found");
+      }
+      
+      const status = messageDoc.data().status;
+      
+      if (!ADMIN_CANCELLABLE_STATUSES.includes(status)) {
+        throw new Error(`Message cannot be cancelled while ${status}`);
+      }
+      
+      const now = admin.firestore.Timestamp.now();
+      transaction.update(messageRef, {
+        status: 'cancelled',
+        cancelledAt: now,
+        cancelledBy: request.auth.uid,
+        cancellationReason: reason || 'Cancelled by admin',
+        updatedAt: now,
+        nextAttemptAt: admin.firestore.FieldValue.delete(),
+      });
+      
+      return status;
+    });
+    
+    await recordAdminAction(request.auth.uid, 'cancel_message', messageId, {
+      previousStatus: previousStatus,
+      reason: reason || null,
+    });
+    
+    return { success: true, previousStatus: previousStatus };
+    
+  } catch (error) {
+    logger.error(`Error cancelling message ${messageId}:`, error);
+    throw error;
+  }
+});
+
+/**
+ * Bounds of the inactivity period of a dead man's switch capsule
+ */
+const MIN_INACTIVITY_DAYS = 7;
+const MAX_INACTIVITY_DAYS = 3650;
+
+/**
+ * Days before release at which the sender is warned to check in
+ */
+const INACTIVITY_WARNING_DAYS = [7, 1];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Works out when an inactivity capsule is released if the sender stays away from a given time on
+ * @param {Object} messageData - The message data
+ * @param {Object} activeAt - Firestore timestamp the sender was last active
+ * @returns {Object} Firestore timestamp of the release
+ */
+function getInactivityReleaseAt(messageData, activeAt) {
+  return admin.firestore.Timestamp.fromMillis(activeAt.toMillis() + messageData.inactivityDays * DAY_MS);
+}
+
+/**
+ * Sets scheduledFor of a new inactivity capsule
+ * Writing a capsule counts as activity, so the period starts at creation
+ * @param {Object} messageRef - Reference to the message
+ * @param {Object} messageData - The message data
+ * @returns {Promise<Object>} {scheduledFor} as stored on the message
+ */
+async function resolveInactivitySchedule(messageRef, messageData) {
+  const scheduledFor = getInactivityReleaseAt(messageData, admin.firestore.Timestamp.now());
+  
+  await messageRef.update({ scheduledFor: scheduledFor });
+  logger.info(`Inactivity capsule ${messageRef.id} releases at ${scheduledFor.toDate().toISOString()} without a check-in`);
+  
+  return { scheduledFor };
+}
+
+/**
+ * Callable function for a sender to check in, postponing the release of their inactivity capsules
+ * The app calls it on launch with source "app_open", and the "still here" button with "still_here"
+ */
+exports.checkIn = onCall({
+  memory: "256MiB",
+  enforceAppCheck: false, // Disable for development
+}, async (request) => {
+  // Verify user is authenticated
+  if (!request.auth) {
+    throw new Error("Authentication required");
+  }
+  
+  const userId = request.auth.uid;
+  const source = (request.data && request.data.source) === 'still_here' ? 'still_here' : 'app_open';
+  
+  try {
+    const db = admin.firestore();
+    const checkInAt = admin.firestore.Timestamp.now();
+    
+    await db.collection('users').doc(userId).set({
+      lastCheckInAt: checkInAt,
+      lastCheckInSource: source,
+      inactivityWarningsSent: admin.firestore.FieldValue.delete(),
+    }, { merge: true });
+    
+    const capsules = await db.collection('scheduledMessages')
+      .where('senderId', '==', userId)
+      .where('releaseTrigger', '==', 'inactivity')
+      .where('status', '==', 'pending')
+      .get();
+    
+    // The precondition leaves capsules alone that a delivery run claimed in the meantime
+    const results = await Promise.allSettled(capsules.docs.map((doc) => {
+      const scheduledFor = getInactivityReleaseAt(doc.data(), checkInAt);
+      return doc.ref.update({ scheduledFor: scheduledFor, updatedAt: checkInAt }, { lastUpdateTime: doc.updateTime });
+    }));
+    
+    const extendedCount = results.filter((result) => result.status === 'fulfilled').length;
+    const nextReleaseAt = capsules.docs.reduce((earliest, doc) => {
+      const releaseAt = checkInAt.toMillis() + doc.data().inactivityDays * DAY_MS;
+      return earliest === null || releaseAt < earliest ? releaseAt : earliest;
+    }, null);
+    
+    logger.info(`User ${userId} checked in (${source}), postponed ${extendedCount} inactivity capsules`);
+    
+    return {
+      success: true,
+      lastCheckInAt: checkInAt.toDate().toISOString(),
+      extendedCount: extendedCount,
+      nextReleaseAt: nextReleaseAt ? new Date(nextReleaseAt).toISOString() : null,
+    };
+    
+  } catch (error) {
+    logger.error(`Error checking in user ${userId}:`, error);
+    throw error;
+  }
+});
+
+/**
+ * Scheduled function that warns senders whose inactivity capsules are about to be released
+ * Each warning in INACTIVITY_WARNING_DAYS is sent once per check-in, by push and, when
+ * no device receives it, by email
+ */
+exports.sendInactivityWarnings = onSchedule({
+  schedule: "0 * * * *", // Every hour, on the hour
+  timeZone: "UTC",
+  memory: "256MiB",
+  timeoutSeconds: 540,
+  maxInstances: 1,
+}, async (event) => {
+  try {
+    const db = admin.firestore();
+    const now = Date.now();
+    const horizon = admin.firestore.Timestamp.fromMillis(now + Math.max(...INACTIVITY_WARNING_DAYS) * DAY_MS);
+    
+    const capsules = await db.collection('scheduledMessages')
+      .where('releaseTrigger', '==', 'inactivity')
+      .where('status', '==', 'pending')
+      .where('scheduledFor', '<=', horizon)
+      .get();
+    
+    // Warn each sender once about their earliest release
+    const earliestBySender = new Map();
+    capsules.docs.forEach((doc) => {
+      const { senderId, scheduledFor } = doc.data();
+      const earliest = earliestBySender.get(senderId);
+      if (!earliest || scheduledFor.toMillis() < earliest.toMillis()) {
+        earliestBySender.set(senderId, scheduledFor);
+      }
+    });
+    
+    let warnedCount = 0;
+    
+    for (const [senderId, releaseAt] of earliestBySender) {
+      try {
+        if (await sendInactivityWarning(senderId, releaseAt, now)) {
+          warnedCount++;
+        }
+      } catch (error) {
+        logger.error(`Failed to send inactivity warning to ${senderId}:`, error);
+      }
+    }
+    
+    logger.info(`Sent ${warnedCount} inactivity warnings for ${capsules.size} capsules close to release`);
+    
+  } catch (error) {
+    logger.error("Error in sendInactivityWarnings:", error);
+    throw error;
+  }
+});
+
+/**
+ * Sends the next due inactivity warning to a sender
+ * @param {string} senderId - The sender to warn
+ * @param {Object} releaseAt - Firestore timestamp of their earliest release
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<boolean>} Whether a warning was sent
+ */
+async function sendInactivityWarning(senderId, releaseAt, now) {
+  const db = admin.firestore();
+  const userRef = db.collection('users').doc(senderId);
+  const daysLeft = (releaseAt.toMillis() - now) / DAY_MS;
+  
+  // The tightest threshold already reached is the warning that is due
+  const dueWarning = INACTIVITY_WARNING_DAYS
+    .filter((days) => daysLeft <= days)
+    .sort((a, b) => a - b)[0];
+  
+  if (dueWarning === undefined) {
+    return false;
+  }
+  
+  const userDoc = await userRef.get();
+  
+  if (!userDoc.exists || (userDoc.data().inactivityWarningsSent || []).includes(dueWarning)) {
+    return false;
+  }
+  
+  const userData = userDoc.data();
+  
+  const timeLeft = describeTimeUntil(releaseAt.toMillis() - now);
+  const body = `Your time capsules will be released in ${timeLeft} unless you check in`;
+  
+  const message = buildPushMessage("Are you still there?", body, {
+    type: 'inactivity_warning',
+    releaseAt: releaseAt.toDate().toISOString(),
+  }, 'scheduled_messages');
+  
+  const checkedInAt = userData.lastCheckInAt ? userData.lastCheckInAt.toMillis() : null;
+  const result = await sendToUserDevices(senderId, message, {
+    eventKey: `inactivity_warning_${dueWarning}_${checkedInAt || 'never'}`,
+  });
+  let warned = result.successCount > 0;
+  
+  if (!warned) {
+    const transport = getEmailTransport();
+    const to = transport ? await getUserEmail(senderId, userData) : null;
+    
+    if (to) {
+      await transport.send({
+        to: to,
+        from: process.env.EMAIL_FROM || 'Time Capsule <no-reply@localhost>',
+        subject: "Are you still there?",
+        text: `${body}. Open the app or tap "I'm still here" to keep them sealed.`,
+        html: `<p>${escapeHtml(body)}.</p><p>Open the app or tap "I'm still here" to keep them sealed.</p>`,
+      });
+      warned = true;
+    }
+  }
+  
+  // Unsent warnings are not recorded, so the next run tries again
+  if (!warned) {
+    logger.warn(`No channel reached ${senderId} for the ${dueWarning}-day inactivity warning`);
+    return false;
+  }
+  
+  await db.runTransaction(async (transaction) => {
+    const currentDoc = await transaction.get(userRef);
+    const currentData = currentDoc.exists ? currentDoc.data() : null;
+    
+    // A check-in while sending starts a new round of warnings
+    if (!currentData || (currentData.lastCheckInAt ? currentData.lastCheckInAt.toMillis() : null) !== checkedInAt) {
+      return;
+    }
+    
+    const sent = currentData.inactivityWarningsSent || [];
+    
+    if (!sent.includes(dueWarning)) {
+      transaction.update(userRef, { inactivityWarningsSent: [...sent, dueWarning] });
+    }
+  });
+  
+  logger.info(`Sent ${dueWarning}-day inactivity warning to ${senderId}`);
+  return true;
+}
+
+/**
+ * Resolves the calendar date and hour of an instant in the given IANA time zone
+ * Unknown or missing zones fall back to UTC
+ * @param {Date} date - The instant to convert
+ * @param {string} [timeZone] - IANA time zone, e.g. "Europe/Berlin"
+ * @returns {Object} {year, month, day, hour, minute, second} in the local time of the zone
+ */
+function getLocalDateParts(date, timeZone) {
+  let formatter;
+  try {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone || 'UTC',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      hourCycle: 'h23',
+    });
+  } catch (error) {
+    logger.warn(`Unknown time zone ${timeZone}, falling back to UTC`);
+    return getLocalDateParts(date, 'UTC');
+  }
+  
+  const parts = {};
+  formatter.formatToParts(date).forEach((part) => {
+    if (part.type !== 'literal') {
+      parts[part.type] = Number(part.value);
+    }
+  });
+  
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+}
+
+/**
+ * Checks whether a string is an IANA time zone known to the runtime
+ * @param {string} timeZone - The time zone to check
+ * @returns {boolean} Whether the zone can be used with Intl
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+  
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Converts a wall-clock time in an IANA time zone to the instant it denotes
+ * Times skipped by a DST change are moved forward by the length of the gap
+ * @param {Object} local - {year, month, day, hour, minute} with month 1-based
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} The instant
+ */
+function zonedTimeToUtc(local, timeZone) {
+  const wallClock = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute || 0);
+  
+  const offsetAt = (millis) => {
+    const parts = getLocalDateParts(new Date(millis), timeZone);
+    const localMillis = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return localMillis - Math.floor(millis / 1000) * 1000;
+  };
+  
+  // The offset at the first guess can differ from the one at the result near DST changes
+  const guess = wallClock - offsetAt(wallClock);
+  return new Date(wallClock - offsetAt(guess));
+}
+
+/**
+ * Works out when a recipient's quiet hours end, if they are in them right now
+ * Quiet hours are set as users/{uid}.quietHours = {enabled, start, end} in whole local hours,
+ * where a start after the end spans midnight (e.g. 22 to 7)
+ * @param {Object} userData - The recipient's profile data
+ * @param {Date} now - The current instant
+ * @returns {Date|null} The end of the current quiet period, or null outside quiet hours
+ */
+function getQuietHoursEnd(userData, now) {
+  const quietHours = userData.quietHours;
+  
+  if (!quietHours || quietHours.enabled === false) {
+    return null;
+  }
+  
+  const { start, end } = quietHours;
+  const isHour = (value) => Number.isInteger(value) && value >= 0 && value <= 23;
+  
+  if (!isHour(start) || !isHour(end) || start === end) {
+    return null;
+  }
+  
+  const timeZone = isValidTimeZone(userData.timeZone) ? userData.timeZone : 'UTC';
+  const local = getLocalDateParts(now, timeZone);
+  const inQuietHours = start < end ?
+    local.hour >= start && local.hour < end :
+    local.hour >= start || local.hour < end;
+  
+  if (!inQuietHours) {
+    return null;
+  }
+  
+  // Before midnight an overnight window ends on the next local day
+  const endDay = new Date(Date.UTC(local.year, local.month - 1, local.day + (start > end && local.hour >= start ? 1 : 0)));
+  
+  return zonedTimeToUtc({
+    year: endDay.getUTCFullYear(),
+    month: endDay.getUTCMonth() + 1,
+    day: endDay.getUTCDate(),
+    hour: end,
+    minute: 0,
+  }, timeZone);
+}
+
+/**
+ * Pins a message scheduled in the recipient's local time to an instant
+ * localScheduledFor is a wall-clock time such as "2030-05-01T09:00" in the recipient's
+ * users.timeZone; without a usable zone the client's scheduledFor is kept as it is
+ * @param {Object} messageRef - Reference to the message
+ * @param {Object} messageData - The message data
+ * @returns {Promise<Object>} {scheduledFor, scheduledTimeZone} as stored on the message
+ */
+async function resolveLocalSchedule(messageRef, messageData) {
+  const schedule = await computeLocalSchedule(messageData);
+  await messageRef.update(schedule);
+  
+  if (schedule.scheduledTimeZone) {
+    logger.info(`Message ${messageRef.id} scheduled for ${messageData.localScheduledFor} in ${schedule.scheduledTimeZone}`);
+  } else {
+    logger.warn(`Cannot resolve local schedule of message ${messageRef.id}, keeping scheduledFor`);
+  }
+  
+  return schedule;
+}
+
+/**
+ * Computes the instant of a message's localScheduledFor in the recipient's time zone
+ * @param {Object} messageData - The message data
+ * @returns {Promise<Object>} {scheduledFor, scheduledTimeZone}, with the message's own
+ * scheduledFor and a null zone when the local time cannot be resolved
+ */
+async function computeLocalSchedule(messageData) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/.exec(messageData.localScheduledFor || '');
+  const recipientDoc = await admin.firestore().collection('users').doc(messageData.recipientId).get();
+  const timeZone = recipientDoc.exists ? recipientDoc.data().timeZone : null;
+  
+  if (!match || !isValidTimeZone(timeZone)) {
+    return { scheduledFor: messageData.scheduledFor, scheduledTimeZone: null };
+  }
+  
+  const [, year, month, day, hour, minute] = match.map(Number);
+  
+  return {
+    scheduledFor: admin.firestore.Timestamp.fromDate(zonedTimeToUtc({ year, month, day, hour, minute }, timeZone)),
+    scheduledTimeZone: timeZone,
+  };
+}
+
+/**
+ * Hour of the day (user's local time) at which nostalgia reminders are sent by default
+ */
+const DEFAULT_NOSTALGIA_HOUR = 9;
+
+/**
+ * Scheduled function that sends "On This Day" reminders for favorite diary entries
+ * Runs hourly and notifies each opted-in user once per day at their preferred local hour
+ * Users opt in via users/{uid}.nostalgiaReminders = {enabled, hour} and users/{uid}.timeZone
+ */
+exports.sendNostalgiaReminders = onSchedule({
+  schedule: "0 * * * *", // Every hour, on the hour
+  timeZone: "UTC",
+  memory: "256MiB",
+  timeoutSeconds: 540,
+  maxInstances: 1,
+}, async (event) => {
+  logger.info("Starting nostalgia reminder processing...");
+  
+  try {
+    const db = admin.firestore();
+    const now = new Date();
+    let lastDoc = null;
+    let checkedCount = 0;
+    let sentCount = 0;
+    
+    while (true) {
+      let query = db.collection('users')
+        .where('nostalgiaReminders.enabled', '==', true)
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .limit(200);
+      if (lastDoc) {
+        query = query.startAfter(lastDoc);
+      }
+      
+      const page = await query.get();
+      if (page.empty) {
+        break;
+      }
+      
+      const outcomes = await Promise.allSettled(page.docs.map((doc) => sendNostalgiaReminder(doc, now)));
+      outcomes.forEach((outcome, index) => {
+        if (outcome.status === 'rejected') {
+          logger.error(`Failed to send nostalgia reminder to user ${page.docs[index].id}:`, outcome.reason);
+        } else if (outcome.value) {
+          sentCount++;
+        }
+      });
+      
+      checkedCount += page.size;
+      lastDoc = page.docs[page.docs.length - 1];
+    }
+    
+    logger.info(`Nostalgia reminders sent to ${sentCount} of ${checkedCount} opted-in users`);
+    
+  } catch (error) {
+    logger.error("Error in sendNostalgiaReminders:", error);
+    throw error;
+  }
+});
+
+/**
+ * Sends today's nostalgia reminder to a single user if it is their preferred hour
+ * @param {Object} userDoc - The user's profile document
+ * @param {Date} now - The current time
+ * @returns {Promise<boolean>} Whether a notification was sent
+ */
+async function sendNostalgiaReminder(userDoc, now) {
+  const userData = userDoc.data();
+  const settings = userData.nostalgiaReminders || {};
+  const preferredHour = Number.isInteger(settings.hour) ? settings.hour : DEFAULT_NOSTALGIA_HOUR;
+  const today = getLocalDateParts(now, userData.timeZone);
+  const todayKey = `${today.year}-${String(today.month).padStart(2, '0')}-${String(today.day).padStart(2, '0')}`;
+  
+  if (today.hour !== preferredHour || settings.lastSentDate === todayKey) {
+    return false;
+  }
+  
+  const entries = await findOnThisDayEntries(userDoc.id, today, userData.timeZone);
+  
+  // Mark the day as handled even without matches so the user is not queried again today
+  await userDoc.ref.update({ 'nostalgiaReminders.lastSentDate': todayKey });
+  
+  if (entries.length === 0) {
+    return false;
+  }
+  
+  const oldestYear = Math.min(...entries.map((entry) => entry.year));
+  const yearsAgo = today.year - oldestYear;
+  const title = 'On This Day';
+  const body = entries.length === 1 ?
+    `You saved "${entries[0].title || 'a favorite memory'}" ${yearsAgo} ${yearsAgo === 1 ? 'year' : 'years'} ago today` :
+    `${entries.length} favorite memories from this day, going back ${yearsAgo} ${yearsAgo === 1 ? 'year' : 'years'}`;
+  
+  const message = buildPushMessage(title, body, {
+    type: 'nostalgia_reminder',
+    targetId: entries[0].id,
+    entryIds: entries.map((entry) => entry.id).join(','),
+    folderId: entries[0].folderId || '',
+    date: todayKey,
+  }, 'nostalgia_reminders');
+  
+  const sendResult = await sendToUserDevices(userDoc.id, message, { eventKey: `nostalgia_reminder_${todayKey}` });
+  logger.info(`Nostalgia reminder for ${entries.length} entries sent to ${sendResult.successCount} devices of user ${userDoc.id}`);
+  
+  return sendResult.successCount > 0;
+}
+
+/**
+ * Finds a user's favorite diary entries written on today's calendar day in previous years
+ * Entries from February 29 are included on February 28 in non-leap years
+ * @param {string} userId - The owner of the diary folders
+ * @param {Object} today - Local date parts from getLocalDateParts
+ * @param {string} [timeZone] - The user's IANA time zone
+ * @returns {Promise<Array<Object>>} Matching entries with id, folderId, title and year
+ */
+async function findOnThisDayEntries(userId, today, timeZone) {
+  const db = admin.firestore();
+  
+  const foldersSnapshot = await db.collection('folders')
+    .where('userId', '==', userId)
+    .get();
+  
+  const folderIds = foldersSnapshot.docs.map((doc) => doc.id);
+  const isLeapYear = new Date(Date.UTC(today.year, 1, 29)).getUTCMonth() === 1;
+  const includeLeapDay = today.month === 2 && today.day === 28 && !isLeapYear;
+  const entries = [];
+  
+  // Firestore "in" filters accept at most 30 values
+  for (let i = 0; i < folderIds.length; i += 30) {
+    const favoritesSnapshot = await db.collectionGroup('diary_entries')
+      .where('folderId', 'in', folderIds.slice(i, i + 30))
+      .where('isFavorite', '==', true)
+      .get();
+    
+    favoritesSnapshot.docs.forEach((doc) => {
+      const entryData = doc.data();
+      if (!entryData.diaryDate) {
+        return;
+      }
+      
+      const entryDate = getLocalDateParts(entryData.diaryDate.toDate(), timeZone);
+      const sameDay = entryDate.month === today.month &&
+        (entryDate.day === today.day || (includeLeapDay && entryDate.month === 2 && entryDate.day === 29));
+      
+      if (sameDay && entryDate.year < today.year) {
+        entries.push({
+          id: doc.id,
+          folderId: entryData.folderId,
+          title: entryData.title,
+          year: entryDate.year,
+        });
+      }
+    });
+  }
+  
+  // Oldest memories first
+  return entries.sort((a, b) => a.year - b.year);
+}
+
+/**
+ * Android notification channel for friend and other social events
+ */
+const SOCIAL_CHANNEL_ID = 'social';
+
+/**
+ * Looks up a user's username for use in notification text
+ * @param {string} userId - The user to look up
+ * @returns {Promise<string>} The username, or "Someone" if the profile is missing
+ */
+async function getUsername(userId) {
+  const userDoc = await admin.firestore().collection('users').doc(userId).get();
+  return (userDoc.exists && userDoc.data().username) || 'Someone';
+}
+
+/**
+ * Trigger function that notifies the receiver of a new friend request
+ */
+exports.onFriendRequestCreated = onDocumentCreated({
+  document: "friendRequests/{requestId}",
+  memory: "256MiB",
+}, async (event) => {
+  const requestData = event.data.data();
+  const requestId = event.params.requestId;
+  
+  try {
+    if (requestData.status !== 'pending' || !requestData.receiverId) {
+      return;
+    }
+    
+    const senderUsername = requestData.senderUsername || await getUsername(requestData.senderId);
+    
+    const message = buildPushMessage(
+      'New Friend Request',
+      `${senderUsername} wants to be your friend`,
+      {
+        type: 'friend_request',
+        targetId: requestId,
+        senderId: requestData.senderId,
+      },
+      SOCIAL_CHANNEL_ID,
+    );
+    
+    const sendResult = await sendToUserDevices(requestData.receiverId, message, { eventKey: `friend_request_${requestId}` });
+    logger.info(`Friend request ${requestId} notification sent to ${sendResult.successCount} devices`);
+    
+  } catch (error) {
+    logger.error(`Error sending friend request notification for ${requestId}:`, error);
+  }
+});
+
+/**
+ * Trigger function that notifies the sender when their friend request is accepted
+ * Declined requests are intentionally not announced to the sender
+ */
+exports.onFriendRequestUpdated = onDocumentUpdated({
+  document: "friendRequests/{requestId}",
+  memory: "256MiB",
+}, async (event) => {
+  const before = event.data.before.data();
+  const after = event.data.after.data();
+  const requestId = event.params.requestId;
+  
+  if (before.status === after.status || after.status !== 'accepted') {
+    return;
+  }
+  
+  try {
+    const receiverUsername = await getUsername(after.receiverId);
+    
+    const message = buildPushMessage(
+      'Friend Request Accepted',
+      `${receiverUsername} accepted your friend request`,
+      {
+        type: 'friend_request_accepted',
+        targetId: after.receiverId,
+        requestId: requestId,
+      },
+      SOCIAL_CHANNEL_ID,
+    );
+    
+    const sendResult = await sendToUserDevices(after.senderId, message, {
+      eventKey: `friend_request_accepted_${requestId}`,
+    });
+    logger.info(`Friend request ${requestId} acceptance notification sent to ${sendResult.successCount} devices`);
+    
+  } catch (error) {
+    logger.error(`Error sending friend acceptance notification for ${requestId}:`, error);
+  }
+});
+
+/**
+ * What happens to a sender's undelivered capsules to someone who is no longer their friend,
+ * set in users/{uid}.friendshipEndedCapsulePolicy
+ */
+const FRIENDSHIP_CAPSULE_POLICIES = ['hold', 'cancel', 'deliver'];
+const DEFAULT_FRIENDSHIP_CAPSULE_POLICY = 'hold';
+
+/**
+ * Statuses of capsules that the friendship policy still applies to
+ */
+const FRIENDSHIP_AFFECTED_STATUSES = ['pending', 'failed'];
+
+/**
+ * Checks whether two users are friends
+ * @param {string} userIdA - One user
+ * @param {string} userIdB - The other user
+ * @returns {Promise<boolean>} Whether a friendship document links them
+ */
+async function areFriends(userIdA, userIdB) {
+  // Friendships store their participants in sorted order
+  const [userId1, userId2] = [userIdA, userIdB].sort();
+  const snapshot = await admin.firestore().collection('friendships')
+    .where('userId1', '==', userId1)
+    .where('userId2', '==', userId2)
+    .limit(1)
+    .get();
+  
+  return !snapshot.empty;
+}
+
+/**
+ * Reads a sender's friendship policy for capsules
+ * @param {string} userId - The sender
+ * @returns {Promise<string>} hold, cancel or deliver
+ */
+async function getFriendshipCapsulePolicy(userId) {
+  const userDoc = await admin.firestore().collection('users').doc(userId).get();
+  const policy = userDoc.exists ? userDoc.data().friendshipEndedCapsulePolicy : null;
+  return FRIENDSHIP_CAPSULE_POLICIES.includes(policy) ? policy : DEFAULT_FRIENDSHIP_CAPSULE_POLICY;
+}
+
+/**
+ * Checks whether an Auth account has been deleted
+ * @param {string} userId - The user ID
+ * @returns {Promise<boolean>} Whether the account no longer exists
+ */
+async function isAccountDeleted(userId) {
+  try {
+    await admin.auth().getUser(userId);
+    return false;
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') {
+      return true;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Applies the sender's friendship policy to their undelivered capsules to a former friend
+ * @param {string} senderId - The sender
+ * @param {string} recipientId - The former friend
+ * @returns {Promise<Object>} {policy, count} of the capsules that were changed
+ */
+async function applyFriendshipCapsulePolicy(senderId, recipientId) {
+  const db = admin.firestore();
+  const policy = await getFriendshipCapsulePolicy(senderId);
+  
+  if (policy === 'deliver') {
+    return { policy, count: 0 };
+  }
+  
+  const capsules = await db.collection('scheduledMessages')
+    .where('senderId', '==', senderId)
+    .where('recipientId', '==', recipientId)
+    .where('status', 'in', FRIENDSHIP_AFFECTED_STATUSES)
+    .get();
+  
+  const now = admin.firestore.Timestamp.now();
+  const update = policy === 'hold' ?
+    { status: 'held', heldReason: 'friendship_ended', heldAt: now, updatedAt: now } :
+    { status: 'cancelled', cancellationReason: 'friendship_ended', cancelledAt: now, updatedAt: now };
+  
+  // The precondition skips capsules a delivery run claimed in the meantime
+  const results = await Promise.allSettled(capsules.docs.map((doc) =>
+    doc.ref.update(update, { lastUpdateTime: doc.updateTime })));
+  
+  return { policy, count: results.filter((result) => result.status === 'fulfilled').length };
+}
+
+/**
+ * Trigger function that keeps capsules and shared folders consistent when a friendship ends
+ * Each user's undelivered capsules to the other are held, cancelled or left to deliver as
+ * set in their friendshipEndedCapsulePolicy, and the former friend is removed from the shared
+ * folders of whoever ended the friendship (of both users when that is unknown)
+ */
+exports.onFriendshipDeleted = onDocumentDeletedWithAuthContext({
+  document: "friendships/{friendshipId}",
+  memory: "256MiB",
+  retry: true,
+}, async (event) => {
+  const friendship = event.data.data();
+  const friendshipId = event.params.friendshipId;
+  const { userId1, userId2 } = friendship;
+  
+  if (!userId1 || !userId2) {
+    return;
+  }
+  
+  try {
+    // Account deletion cleans up after itself according to accountDeletionCapsulePolicy
+    const [deleted1, deleted2] = await Promise.all([isAccountDeleted(userId1), isAccountDeleted(userId2)]);
+    
+    if (deleted1 || deleted2) {
+      logger.info(`Friendship ${friendshipId} ended by account deletion, skipping`);
+      return;
+    }
+    
+    const db = admin.firestore();
+    const remover = event.authType === 'app_user' && [userId1, userId2].includes(event.authId) ?
+      event.authId :
+      null;
+    const pairs = [[userId1, userId2], [userId2, userId1]];
+    
+    await Promise.all(pairs.map(async ([senderId, formerFriendId]) => {
+      const outcome = await applyFriendshipCapsulePolicy(senderId, formerFriendId);
+      
+      let removedFolders = 0;
+      if (!remover || remover === senderId) {
+        const sharedFolders = await db.collection('folders')
+          .where('userId', '==', senderId)
+          .where('contributorIds', 'array-contains', formerFriendId)
+          .get();
+        
+        await Promise.all(sharedFolders.docs.map((doc) => doc.ref.update({
+          contributorIds: admin.firestore.FieldValue.arrayRemove(formerFriendId),
+        })));
+        removedFolders = sharedFolders.size;
+      }
+      
+      if (outcome.count > 0 || removedFolders > 0) {
+        await notifyFriendshipEnded(senderId, formerFriendId, outcome, removedFolders, friendshipId);
+      }
+    }));
+    
+    logger.info(`Applied friendship policies after friendship ${friendshipId} between ${userId1} and ${userId2} ended`);
+    
+  } catch (error) {
+    logger.error(`Error handling ended friendship ${friendshipId}:`, error);
+    throw error;
+  }
+});
+
+/**
+ * Tells a user what changed after a friendship ended
+ * @param {string} userId - The user to notify
+ * @param {string} formerFriendId - The former friend
+ * @param {Object} outcome - {policy, count} from applyFriendshipCapsulePolicy
+ * @param {number} removedFolders - Shared folders the former friend was removed from
+ * @param {string} friendshipId - The deleted friendship
+ */
+async function notifyFriendshipEnded(userId, formerFriendId, outcome, removedFolders, friendshipId) {
+  const friendName = await getUsername(formerFriendId);
+  const changes = [];
+  
+  if (outcome.count > 0) {
+    const capsules = outcome.count === 1 ? '1 capsule' : `${outcome.count} capsules`;
+    changes.push(outcome.policy === 'hold' ?
+      `${capsules} to ${friendName} will be held until you are friends again` :
+      `${capsules} to ${friendName} ${outcome.count === 1 ? 'was' : 'were'} cancelled`);
+  }
+  
+  if (removedFolders > 0) {
+    changes.push(`${friendName} was removed from ${removedFolders === 1 ? '1 shared folder' : `${removedFolders} shared folders`}`);
+  }
+  
+  const body = changes.join(' and ');
+  const message = buildPushMessage('Friendship ended', body.charAt(0).toUpperCase() + body.slice(1), {
+    type: 'friendship_ended',
+    targetId: formerFriendId,
+    capsulePolicy: outcome.policy,
+    affectedCapsules: String(outcome.count),
+  }, SOCIAL_CHANNEL_ID);
+  
+  await sendToUserDevices(userId, message, { eventKey: `friendship_ended_${friendshipId}` });
+}
+
+/**
+ * Trigger function that releases capsules held because a friendship ended
+ * once the two users are friends again
+ */
+exports.onFriendshipCreated = onDocumentCreated({
+  document: "friendships/{friendshipId}",
+  memory: "256MiB",
+}, async (event) => {
+  const { userId1, userId2 } = event.data.data();
+  
+  if (!userId1 || !userId2) {
+    return;
+  }
+  
   try {
     const db = admin.firestore();
     const now = admin.firestore.Timestamp.now();
     
-    // Query for pending messages that are ready for delivery
-    const readyMessages = await db.collection('scheduledMessages')
-      .where('status', '==', 'pending')
-      .where('scheduledFor', '<=', now)
-      .limit(50) // Process in batches to avoid timeouts
-      .get();
+    const heldSnapshots = await Promise.all([[userId1, userId2], [userId2, userId1]].map(([senderId, recipientId]) =>
+      db.collection('scheduledMessages')
+        .where('senderId', '==', senderId)
+        .where('recipientId', '==', recipientId)
+        .where('status', '==', 'held')
+        .get()));
     
-    if (readyMessages.empty) {
-      logger.info("No messages ready for delivery");
+    const heldCapsules = heldSnapshots.flatMap((snapshot) => snapshot.docs)
+      .filter((doc) => ['friendship_ended', 'not_friends'].includes(doc.data().heldReason));
+    
+    // Capsules whose time has passed while held are picked up by the next delivery run
+    await Promise.allSettled(heldCapsules.map((doc) => doc.ref.update({
+      status: 'pending',
+      heldReason: admin.firestore.FieldValue.delete(),
+      heldAt: admin.firestore.FieldValue.delete(),
+      releasedFromHoldAt: now,
+      updatedAt: now,
+    }, { lastUpdateTime: doc.updateTime })));
+    
+    if (heldCapsules.length > 0) {
+      logger.info(`Released ${heldCapsules.length} held capsules between ${userId1} and ${userId2}`);
+    }
+    
+  } catch (error) {
+    logger.error(`Error releasing held capsules for friendship ${event.params.friendshipId}:`, error);
+  }
+});
+
+/**
+ * Android notification channel for shared folder activity
+ */
+const FOLDER_CHANNEL_ID = 'shared_folders';
+
+/**
+ * Singular and plural labels for media types used in folder activity summaries
+ */
+const MEDIA_TYPE_LABELS = {
+  image: ['photo', 'photos'],
+  video: ['video', 'videos'],
+  audio: ['audio recording', 'audio recordings'],
+  diary: ['diary entry', 'diary entries'],
+  other: ['item', 'items'],
+};
+
+/**
+ * Describes media counts for a notification, e.g. "5 new photos and 2 videos"
+ * @param {Object} mediaCounts - Map of media type to count
+ * @returns {string} Human readable summary
+ */
+function describeMediaCounts(mediaCounts) {
+  const parts = Object.entries(mediaCounts)
+    .filter(([, count]) => count > 0)
+    .map(([type, count]) => {
+      const [singular, plural] = MEDIA_TYPE_LABELS[type] || MEDIA_TYPE_LABELS.other;
+      return `${count} ${count === 1 ? singular : plural}`;
+    });
+  
+  if (parts.length === 0) {
+    return '';
+  }
+  
+  const list = parts.length === 1 ?
+    parts[0] :
+    `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}`;
+  return list.replace(/^(\d+) /, '$1 new ');
+}
+
+/**
+ * Notifies users about activity in a shared folder according to their preference
+ * Users choose via users/{uid}.folderNotificationMode: "immediate" (default), "digest" or "off"
+ * @param {Array<string>} userIds - Users affected by the activity
+ * @param {string} folderId - The shared folder
+ * @param {Object} folderData - The shared folder data
+ * @param {Object} activity - {kind: "invited"|"media_added"|"locked"|"revealed", actorId, mediaType, eventId},
+ * where eventId identifies the trigger event that reported the activity
+ */
+async function dispatchFolderActivity(userIds, folderId, folderData, activity) {
+  const db = admin.firestore();
+  const recipients = [...new Set(userIds)].filter((userId) => userId && userId !== activity.actorId);
+  
+  if (recipients.length === 0) {
+    return;
+  }
+  
+  const actorName = activity.actorId ? await getUsername(activity.actorId) : 'Someone';
+  const folderName = folderData.name || 'a shared folder';
+  
+  await Promise.allSettled(recipients.map(async (userId) => {
+    try {
+      const userDoc = await db.collection('users').doc(userId).get();
+      const mode = userDoc.exists ? (userDoc.data().folderNotificationMode || 'immediate') : 'off';
+      
+      if (mode === 'off') {
+        return;
+      }
+      
+      // A capsule reveal is the moment everyone waited for, so it skips the digest
+      if (mode === 'digest' && activity.kind !== 'revealed') {
+        await addToFolderDigest(userId, folderId, folderName, activity);
+        return;
+      }
+      
+      const mediaType = MEDIA_TYPE_LABELS[activity.mediaType] ? activity.mediaType : 'other';
+      const notification = {
+        invited: ['Shared Folder Invitation', `${actorName} invited you to contribute to "${folderName}"`],
+        media_added: [`New in "${folderName}"`, `${actorName} added a new ${MEDIA_TYPE_LABELS[mediaType][0]}`],
+        locked: ['Shared Folder Locked', activity.actorId ?
+          `"${folderName}" has been locked by its owner` :
+          `"${folderName}" has been sealed until its reveal date`],
+        revealed: ['Folder Capsule Revealed', `"${folderName}" is open, see what everyone added`],
+      }[activity.kind];
+      
+      const message = buildPushMessage(notification[0], notification[1], {
+        type: 'shared_folder',
+        event: activity.kind,
+        targetId: folderId,
+      }, FOLDER_CHANNEL_ID);
+      
+      await sendToUserDevices(userId, message, { eventKey: `shared_folder_${activity.kind}_${folderId}_${activity.eventId}` });
+    } catch (error) {
+      logger.error(`Failed to notify user ${userId} about ${activity.kind} in folder ${folderId}:`, error);
+    }
+  }));
+  
+  logger.info(`Dispatched ${activity.kind} activity for folder ${folderId} to ${recipients.length} users`);
+}
+
+/**
+ * Accumulates a folder activity into the user's pending daily digest
+ * @param {string} userId - The digest owner
+ * @param {string} folderId - The shared folder
+ * @param {string} folderName - The folder name at the time of the activity
+ * @param {Object} activity - The activity passed to dispatchFolderActivity
+ */
+async function addToFolderDigest(userId, folderId, folderName, activity) {
+  const digestUpdate = {
+    userId: userId,
+    folderId: folderId,
+    folderName: folderName,
+    updatedAt: admin.firestore.Timestamp.now(),
+  };
+  
+  if (activity.kind === 'media_added') {
+    const mediaType = MEDIA_TYPE_LABELS[activity.mediaType] ? activity.mediaType : 'other';
+    digestUpdate.mediaCounts = { [mediaType]: admin.firestore.FieldValue.increment(1) };
+  } else {
+    digestUpdate[activity.kind] = true;
+  }
+  
+  await admin.firestore().collection('folderActivityDigests')
+    .doc(`${userId}_${folderId}`)
+    .set(digestUpdate, { merge: true });
+}
+
+/**
+ * Trigger function that notifies contributors invited when a shared folder is created
+ */
+exports.onSharedFolderCreated = onDocumentCreated({
+  document: "folders/{folderId}",
+  memory: "256MiB",
+}, async (event) => {
+  const folderData = event.data.data();
+  const folderId = event.params.folderId;
+  
+  if (!folderData.isShared || !Array.isArray(folderData.contributorIds) || folderData.contributorIds.length === 0) {
+    return;
+  }
+  
+  try {
+    await dispatchFolderActivity(folderData.contributorIds, folderId, folderData, {
+      kind: 'invited',
+      actorId: folderData.userId,
+      eventId: event.id,
+    });
+  } catch (error) {
+    logger.error(`Error notifying contributors of new shared folder ${folderId}:`, error);
+  }
+});
+
+/**
+ * Trigger function that notifies newly invited contributors and tells
+ * contributors when the owner locks a shared folder
+ */
+exports.onSharedFolderUpdated = onDocumentUpdated({
+  document: "folders/{folderId}",
+  memory: "256MiB",
+}, async (event) => {
+  const before = event.data.before.data();
+  const after = event.data.after.data();
+  const folderId = event.params.folderId;
+  
+  if (!after.isShared) {
+    return;
+  }
+  
+  try {
+    const previousContributors = before.contributorIds || [];
+    const addedContributors = (after.contributorIds || [])
+      .filter((userId) => !previousContributors.includes(userId));
+    
+    if (addedContributors.length > 0) {
+      await dispatchFolderActivity(addedContributors, folderId, after, {
+        kind: 'invited',
+        actorId: after.userId,
+        eventId: event.id,
+      });
+    }
+    
+    if (!before.isLocked && after.isLocked) {
+      // Folder capsules are sealed by the scheduler, so the owner hears about it too
+      const sealedAutomatically = after.capsuleStatus === 'sealed' && before.capsuleStatus !== 'sealed';
+      await dispatchFolderActivity(
+        sealedAutomatically ? [after.userId, ...(after.contributorIds || [])] : after.contributorIds || [],
+        folderId,
+        after,
+        { kind: 'locked', actorId: sealedAutomatically ? null : after.userId, eventId: event.id },
+      );
+    }
+    
+  } catch (error) {
+    logger.error(`Error notifying contributors of changes to folder ${folderId}:`, error);
+  }
+});
+
+/**
+ * Trigger function that tells the owner and contributors of a shared folder about new media
+ */
+exports.onFolderMediaCreated = onDocumentCreated({
+  document: "folders/{folderId}/media/{mediaId}",
+  memory: "256MiB",
+}, async (event) => {
+  const mediaData = event.data.data();
+  const folderId = event.params.folderId;
+  
+  try {
+    const folderDoc = await admin.firestore().collection('folders').doc(folderId).get();
+    
+    if (!folderDoc.exists || !folderDoc.data().isShared) {
       return;
     }
     
-    logger.info(`Found ${readyMessages.docs.length} messages ready for delivery`);
+    const folderData = folderDoc.data();
+    await dispatchFolderActivity([folderData.userId, ...(folderData.contributorIds || [])], folderId, folderData, {
+      kind: 'media_added',
+      actorId: mediaData.uploadedBy || null,
+      mediaType: mediaData.type,
+      eventId: event.params.mediaId,
+    });
+    
+  } catch (error) {
+    logger.error(`Error notifying contributors about new media in folder ${folderId}:`, error);
+  }
+});
+
+/**
+ * Scheduled function that sends each digest subscriber one summary of the day's
+ * shared folder activity and clears their pending digest entries
+ */
+exports.sendFolderActivityDigests = onSchedule({
+  schedule: "0 18 * * *", // Run daily at 6 PM UTC
+  timeZone: "UTC",
+  memory: "256MiB",
+  timeoutSeconds: 540,
+  maxInstances: 1,
+}, async (event) => {
+  logger.info("Starting shared folder digest processing...");
+  
+  try {
+    const db = admin.firestore();
+    const digestsByUser = new Map();
+    let lastDoc = null;
     
-    // Process each message with enhanced error handling
-    const deliveryPromises = readyMessages.docs.map(async (doc) => {
-      const messageData = doc.data();
-      const messageId = doc.id;
+    // Collect every pending entry first so a user split across pages gets a single digest
+    while (true) {
+      let query = db.collection('folderActivityDigests').orderBy('userId').limit(500);
+      if (lastDoc) {
+        query = query.startAfter(lastDoc);
+      }
+      
+      const page = await query.get();
+      if (page.empty) {
+        break;
+      }
       
+      page.docs.forEach((doc) => {
+        const entries = digestsByUser.get(doc.data().userId) || [];
+        entries.push(doc);
+        digestsByUser.set(doc.data().userId, entries);
+      });
+      lastDoc = page.docs[page.docs.length - 1];
+    }
+    
+    if (digestsByUser.size === 0) {
+      logger.info("No folder activity digests to send");
+      return;
+    }
+    
+    let sentCount = 0;
+    for (const [userId, entries] of digestsByUser) {
       try {
-        // Validate message data before processing
-        if (!messageData.senderId || !messageData.recipientId || !messageData.textContent) {
-          throw new Error('Invalid message data: missing required fields');
-        }
+        const lines = entries.map((doc) => {
+          const digest = doc.data();
+          const folderLines = [];
+          if (digest.invited) {
+            folderLines.push(`you were invited to "${digest.folderName}"`);
+          }
+          const mediaSummary = describeMediaCounts(digest.mediaCounts || {});
+          if (mediaSummary) {
+            folderLines.push(`${mediaSummary} in "${digest.folderName}"`);
+          }
+          if (digest.locked) {
+            folderLines.push(`"${digest.folderName}" was locked`);
+          }
+          return folderLines.join(', ');
+        }).filter(Boolean);
         
-        // Check if message is still valid for delivery
-        const scheduledFor = messageData.scheduledFor;
-        const now = admin.firestore.Timestamp.now();
+        const body = lines.join('; ');
+        const message = buildPushMessage('Your shared folders today', body.charAt(0).toUpperCase() + body.slice(1), {
+          type: 'shared_folder',
+          event: 'digest',
+          targetId: entries[0].data().folderId,
+          folderIds: entries.map((doc) => doc.data().folderId).join(','),
+        }, FOLDER_CHANNEL_ID);
         
-        if (scheduledFor > now.toMillis() + (5 * 60 * 1000)) { // 5 minute buffer
-          logger.warn(`Message ${messageId} scheduled time is too far in future, skipping`);
-          return;
-        }
+        await sendToUserDevices(userId, message, {
+          eventKey: `shared_folder_digest_${entries.map((doc) => `${doc.id}@${doc.updateTime.toMillis()}`).join(',')}`,
+        });
         
-        await deliverMessage(messageId, messageData);
-        logger.info(`Successfully delivered message ${messageId}`);
+        // Entries that changed after they were read are kept and summarised again next time
+        await Promise.allSettled(entries.map((doc) => doc.ref.delete({ lastUpdateTime: doc.updateTime })));
+        sentCount++;
         
       } catch (error) {
-        logger.error(`Failed to deliver message ${messageId}:`, error);
-        // Error handling is now done within deliverMessage function
+        // Entries are kept and folded into tomorrow's digest
+        logger.error(`Failed to send folder digest to user ${userId}:`, error);
       }
+    }
+    
+    logger.info(`Sent folder activity digests to ${sentCount} users`);
+    
+  } catch (error) {
+    logger.error("Error in sendFolderActivityDigests:", error);
+    throw error;
+  }
+});
+
+/**
+ * Scheduled function that runs folder capsules: shared folders with capsuleStatus "open",
+ * a sealAt and a revealAt. At sealAt the folder and its child folders are locked and their
+ * media hidden (see firestore.rules); at revealAt the media become visible again and the
+ * owner and contributors are notified
+ */
+exports.processFolderCapsules = onSchedule({
+  schedule: "every 15 minutes",
+  timeZone: "UTC",
+  memory: "256MiB",
+  timeoutSeconds: 300,
+  maxInstances: 1,
+}, async (event) => {
+  try {
+    const db = admin.firestore();
+    const now = admin.firestore.Timestamp.now();
+    
+    const [dueToSeal, dueToReveal] = await Promise.all([
+      db.collection('folders')
+        .where('capsuleStatus', '==', 'open')
+        .where('sealAt', '<=', now)
+        .get(),
+      db.collection('folders')
+        .where('capsuleStatus', '==', 'sealed')
+        .where('revealAt', '<=', now)
+        .get(),
+    ]);
+    
+    const results = await Promise.allSettled([
+      ...dueToSeal.docs.map((doc) => transitionFolderCapsule(doc.ref, 'open', 'sealed')),
+      ...dueToReveal.docs.map((doc) => transitionFolderCapsule(doc.ref, 'sealed', 'revealed')),
+    ]);
+    
+    results.filter((result) => result.status === 'rejected').forEach((result) => {
+      logger.error("Failed to update folder capsule:", result.reason);
     });
     
-    await Promise.allSettled(deliveryPromises);
-    logger.info("Completed scheduled message processing");
+    if (results.length > 0) {
+      logger.info(`Folder capsules: ${dueToSeal.size} due to seal, ${dueToReveal.size} due to reveal`);
+    }
     
   } catch (error) {
-    logger.error("Error in processScheduledMessages:", error);
+    logger.error("Error in processFolderCapsules:", error);
     throw error;
   }
 });
 
 /**
- * Delivers a scheduled message and updates its status
- * @param {string} messageId - The ID of the message to deliver
- * @param {Object} messageData - The message data from Firestore
+ * Collects every folder nested below a folder
+ * @param {string} folderId - The root folder
+ * @returns {Promise<Array<Object>>} References to the descendant folders
  */
-async function deliverMessage(messageId, messageData) {
+async function getDescendantFolderRefs(folderId) {
   const db = admin.firestore();
-  const deliveredAt = admin.firestore.Timestamp.now();
+  const descendants = [];
+  let parentIds = [folderId];
   
-  try {
-    // Use atomic transaction to ensure status update is consistent
-    await db.runTransaction(async (transaction) => {
-      const messageRef = db.collection('scheduledMessages').doc(messageId);
-      const messageDoc = await transaction.get(messageRef);
-      
-      if (!messageDoc.exists) {
-        throw new Error(`Message ${messageId} not found`);
-      }
-      
-      const currentData = messageDoc.data();
-      
-      // Verify message is still pending before updating
-      if (currentData.status !== 'pending') {
-        logger.warn(`Message ${messageId} is no longer pending (status: ${currentData.status}), skipping delivery`);
-        return;
-      }
-      
-      // Atomic update with proper deliveredAt timestamp
-      transaction.update(messageRef, {
-        status: 'delivered',
-        deliveredAt: deliveredAt,
-        updatedAt: deliveredAt,
-        // Add processing metadata for debugging
-        processedBy: 'cloud-function',
-        processedAt: deliveredAt,
-      });
-      
-      logger.info(`Message ${messageId} status updated to delivered with timestamp ${deliveredAt.toDate().toISOString()}`);
-    });
-    
-    // Send push notification to recipient (outside transaction to avoid timeout)
-    try {
-      await sendDeliveryNotification(messageData, messageId);
-    } catch (notificationError) {
-      logger.error(`Failed to send notification for message ${messageId}:`, notificationError);
-      // Don't fail the entire delivery if notification fails
-    }
+  while (parentIds.length > 0) {
+    const snapshots = await Promise.all(parentIds.map((parentId) =>
+      db.collection('folders').where('parentFolderId', '==', parentId).get()));
+    const children = snapshots.flatMap((snapshot) => snapshot.docs);
     
-    logger.info(`Message ${messageId} delivered successfully at ${deliveredAt.toDate().toISOString()}`);
-    
-  } catch (error) {
-    logger.error(`Error delivering message ${messageId}:`, error);
+    descendants.push(...children.map((doc) => doc.ref));
+    parentIds = children.map((doc) => doc.id);
+  }
+  
+  return descendants;
+}
+
+/**
+ * Moves a folder capsule and its child folders from one stage to the next
+ * Sealing also locks the capsule folder, which notifies contributors through onSharedFolderUpdated
+ * @param {Object} folderRef - Reference to the capsule folder
+ * @param {string} fromStatus - The capsuleStatus the folder is expected in
+ * @param {string} toStatus - "sealed" or "revealed"
+ */
+async function transitionFolderCapsule(folderRef, fromStatus, toStatus) {
+  const db = admin.firestore();
+  const descendants = await getDescendantFolderRefs(folderRef.id);
+  const now = admin.firestore.Timestamp.now();
+  
+  const update = toStatus === 'sealed' ?
+    { capsuleStatus: 'sealed', isLocked: true, lockedAt: now, sealedAt: now } :
+    { capsuleStatus: 'revealed', revealedAt: now };
+  
+  const folderData = await db.runTransaction(async (transaction) => {
+    const folderDoc = await transaction.get(folderRef);
     
-    // Try to update message status to failed with proper error handling
-    try {
-      await db.runTransaction(async (transaction) => {
-        const messageRef = db.collection('scheduledMessages').doc(messageId);
-        const messageDoc = await transaction.get(messageRef);
-        
-        if (messageDoc.exists) {
-          const currentData = messageDoc.data();
-          
-          // Only update to failed if still pending
-          if (currentData.status === 'pending') {
-            transaction.update(messageRef, {
-              status: 'failed',
-              failureReason: error.message || 'Unknown delivery error',
-              failedAt: admin.firestore.Timestamp.now(),
-              updatedAt: admin.firestore.Timestamp.now(),
-              retryCount: (currentData.retryCount || 0) + 1,
-            });
-          }
-        }
-      });
-    } catch (updateError) {
-      logger.error(`Failed to update message ${messageId} to failed status:`, updateError);
+    // Another run or the owner deleting the folder got there first
+    if (!folderDoc.exists || folderDoc.data().capsuleStatus !== fromStatus) {
+      return null;
     }
     
-    throw error;
+    transaction.update(folderRef, update);
+    return folderDoc.data();
+  });
+  
+  if (!folderData) {
+    return;
+  }
+  
+  // Child folders only carry the status so firestore.rules can hide their media as well
+  const childUpdate = { capsuleStatus: toStatus };
+  
+  for (let i = 0; i < descendants.length; i += 400) {
+    const batch = db.batch();
+    descendants.slice(i, i + 400).forEach((ref) => batch.update(ref, childUpdate));
+    await batch.commit();
+  }
+  
+  logger.info(`Folder capsule ${folderRef.id} ${toStatus} with ${descendants.length} child folders`);
+  
+  if (toStatus === 'revealed') {
+    await dispatchFolderActivity([folderData.userId, ...(folderData.contributorIds || [])], folderRef.id, folderData, {
+      kind: 'revealed',
+      actorId: null,
+      eventId: 'reveal',
+    });
   }
 }
 
 /**
- * Sends a push notification when a scheduled message is delivered
- * @param {Object} messageData - The message data
- * @param {string} messageId - The message ID for tracking
+ * Longest lifetime of an expiring folder share link, in days
+ */
+const MAX_SHARE_LINK_EXPIRY_DAYS = 365;
+
+/**
+ * Most share links a folder can have active at the same time
+ */
+const MAX_ACTIVE_SHARE_LINKS_PER_FOLDER = 20;
+
+/**
+ * Most media items listed by a shared folder view
+ */
+const SHARED_FOLDER_MEDIA_LIMIT = 500;
+
+/**
+ * Lifetime of the signed media URLs in a shared folder view, so revoking the link
+ * also cuts off pages that were already loaded
+ */
+const SHARED_MEDIA_URL_TTL_MS = 15 * 60 * 1000;
+
+/**
+ * Hashes a share token into the ID of its folderShareLinks document
+ * Only the hash is stored, so the token cannot be read back from Firestore
+ * @param {string} token - The share token from the link
+ * @returns {string} Hex encoded SHA-256 of the token
+ */
+function hashShareToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Builds the public URL of a share token
+ * SHARE_LINK_BASE_URL overrides the default Cloud Functions URL, e.g. for a Hosting rewrite
+ * @param {string} token - The share token
+ * @returns {string} The share URL
+ */
+function buildShareUrl(token) {
+  const baseUrl = process.env.SHARE_LINK_BASE_URL ||
+    `https://us-central1-${process.env.GCLOUD_PROJECT}.cloudfunctions.net/viewSharedFolder`;
+  return `${baseUrl.replace(/\/+$/, '')}/${token}`;
+}
+
+/**
+ * Checks whether a share link can still be used
+ * @param {Object} linkData - The folderShareLinks document data
+ * @param {Object} now - Firestore Timestamp to compare against
+ * @returns {boolean} True if the link is neither revoked nor expired
+ */
+function isShareLinkActive(linkData, now) {
+  return !linkData.revokedAt && (!linkData.expiresAt || linkData.expiresAt.toMillis() > now.toMillis());
+}
+
+/**
+ * Issues a short-lived read URL for a file of a shared folder
+ * Signing requires the function's service account to hold the Token Creator role
+ * @param {Object} bucket - The default Storage bucket
+ * @param {string} url - Download URL stored on the media document
+ * @param {number} expiresAt - Expiry in milliseconds
+ * @returns {Promise<string|null>} The signed URL, or null for files outside the bucket
+ */
+async function signSharedMediaUrl(bucket, url, expiresAt) {
+  const path = typeof url === 'string' ? getStoragePathFromUrl(url, bucket.name) : null;
+  
+  if (!path) {
+    return null;
+  }
+  
+  const [signedUrl] = await bucket.file(path).getSignedUrl({
+    version: 'v4',
+    action: 'read',
+    expires: expiresAt,
+  });
+  
+  return signedUrl;
+}
+
+/**
+ * Callable function that creates a share link for a folder the caller owns
+ * The token is returned once and never stored; expiresInDays is optional
  */
-async function sendDeliveryNotification(messageData, messageId) {
+exports.createFolderShareLink = onCall({
+  memory: "256MiB",
+  enforceAppCheck: false, // Disable for development
+}, async (request) => {
+  // Verify user is authenticated
+  if (!request.auth) {
+    throw new Error("Authentication required");
+  }
+  
+  const { folderId, expiresInDays } = request.data;
+  
+  if (!folderId) {
+    throw new Error("Folder ID is required");
+  }
+  
+  if (expiresInDays !== undefined && expiresInDays !== null &&
+    (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_SHARE_LINK_EXPIRY_DAYS)) {
+    throw new Error(`Expiry must be a whole number of days between 1 and ${MAX_SHARE_LINK_EXPIRY_DAYS}`);
+  }
+  
   try {
     const db = admin.firestore();
+    const folderDoc = await db.collection('folders').doc(folderId).get();
     
-    // Get recipient's FCM token from user profile
-    const recipientDoc = await db.collection('users').doc(messageData.recipientId).get();
+    if (!folderDoc.exists) {
+      throw new Error("Folder not found");
+    }
     
-    if (!recipientDoc.exists) {
-      logger.warn(`Recipient ${messageData.recipientId} not found`);
-      return;
+    if (folderDoc.data().userId !== request.auth.uid) {
+      throw new Error("Only the folder owner can share it");
     }
     
-    const recipientData = recipientDoc.data();
-    const fcmToken = recipientData.fcmToken;
+    const now = admin.firestore.Timestamp.now();
+    const existingLinks = await db.collection('folderShareLinks')
+      .where('folderId', '==', folderId)
+      .get();
     
-    if (!fcmToken) {
-      logger.info(`No FCM token for recipient ${messageData.recipientId}`);
-      return;
+    if (existingLinks.docs.filter((doc) => isShareLinkActive(doc.data(), now)).length >= MAX_ACTIVE_SHARE_LINKS_PER_FOLDER) {
+      throw new Error(`A folder can have at most ${MAX_ACTIVE_SHARE_LINKS_PER_FOLDER} active share links`);
     }
     
-    // Get sender's username for notification
-    const senderDoc = await db.collection('users').doc(messageData.senderId).get();
-    const senderUsername = senderDoc.exists ? senderDoc.data().username : 'Someone';
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = expiresInDays ?
+      admin.firestore.Timestamp.fromMillis(now.toMillis() + expiresInDays * DAY_MS) :
+      null;
+    const linkRef = db.collection('folderShareLinks').doc(hashShareToken(token));
     
-    // Determine notification content
-    const isSelfMessage = messageData.senderId === messageData.recipientId;
-    const title = isSelfMessage ? 
-      "Time Capsule Message Delivered" : 
-      `Message from ${senderUsername}`;
+    await linkRef.create({
+      folderId: folderId,
+      ownerId: request.auth.uid,
+      createdAt: now,
+      expiresAt: expiresAt,
+      revokedAt: null,
+      viewCount: 0,
+      lastViewedAt: null,
+    });
     
-    const body = messageData.textContent.length > 100 ? 
-      `${messageData.textContent.substring(0, 100)}...` : 
-      messageData.textContent;
+    logger.info(`Created share link ${linkRef.id} for folder ${folderId}`);
     
-    // Create notification payload
-    const message = {
-      token: fcmToken,
-      notification: {
-        title: title,
-        body: body,
-      },
-      data: {
-        type: 'scheduled_message_delivered',
-        messageId: messageId || messageData.id || '',
-        senderId: messageData.senderId,
-        hasVideo: messageData.videoUrl ? 'true' : 'false',
-        hasImages: (messageData.imageUrls && messageData.imageUrls.length > 0) ? 'true' : 'false',
-        deliveredAt: new Date().toISOString(),
-      },
-      android: {
-        notification: {
-          icon: 'ic_notification',
-          color: '#FF6B35',
-          channelId: 'scheduled_messages',
-        },
-      },
-      apns: {
-        payload: {
-          aps: {
-            badge: 1,
-            sound: 'default',
-          },
-        },
-      },
+    return {
+      linkId: linkRef.id,
+      token: token,
+      url: buildShareUrl(token),
+      expiresAt: expiresAt ? expiresAt.toDate().toISOString() : null,
     };
     
-    // Send the notification
-    const response = await admin.messaging().send(message);
-    logger.info(`Notification sent successfully: ${response}`);
-    
   } catch (error) {
-    logger.error("Error sending delivery notification:", error);
-    // Don't throw error here - notification failure shouldn't fail message delivery
+    logger.error(`Error creating share link for folder ${folderId}:`, error);
+    throw error;
   }
-}
+});
 
 /**
- * Trigger function that runs when a new scheduled message is created
- * This function validates the message and sets up any necessary metadata
+ * Callable function that revokes share links of a folder the caller owns
+ * Pass linkId to revoke a single link, or folderId to revoke every link of the folder
  */
-exports.onScheduledMessageCreated = onDocumentCreated({
-  document: "scheduledMessages/{messageId}",
+exports.revokeFolderShareLink = onCall({
   memory: "256MiB",
-}, async (event) => {
-  const messageData = event.data.data();
-  const messageId = event.params.messageId;
+  enforceAppCheck: false, // Disable for development
+}, async (request) => {
+  // Verify user is authenticated
+  if (!request.auth) {
+    throw new Error("Authentication required");
+  }
   
-  logger.info(`New scheduled message created: ${messageId}`);
+  const { linkId, folderId } = request.data;
+  
+  if (!linkId && !folderId) {
+    throw new Error("Link ID or folder ID is required");
+  }
   
   try {
-    // Validate message data
-    if (!messageData.senderId || !messageData.recipientId || !messageData.textContent) {
-      logger.error(`Invalid message data for ${messageId}`);
-      return;
+    const db = admin.firestore();
+    let linkDocs;
+    
+    if (linkId) {
+      const linkDoc = await db.collection('folderShareLinks').doc(linkId).get();
+      
+      if (!linkDoc.exists) {
+        throw new Error("Share link not found");
+      }
+      
+      linkDocs = [linkDoc];
+    } else {
+      const snapshot = await db.collection('folderShareLinks')
+        .where('folderId', '==', folderId)
+        .where('ownerId', '==', request.auth.uid)
+        .get();
+      linkDocs = snapshot.docs;
+    }
+    
+    if (linkDocs.some((doc) => doc.data().ownerId !== request.auth.uid)) {
+      throw new Error("Permission denied");
     }
     
-    // Check if scheduled date is in the future
-    const scheduledFor = messageData.scheduledFor;
     const now = admin.firestore.Timestamp.now();
+    const activeLinks = linkDocs.filter((doc) => !doc.data().revokedAt);
     
-    if (scheduledFor <= now) {
-      logger.warn(`Message ${messageId} scheduled for past date, marking as failed`);
-      
-      await event.data.ref.update({
-        status: 'failed',
-        failureReason: 'Scheduled date is in the past',
-        failedAt: now,
-      });
-      return;
+    for (let i = 0; i < activeLinks.length; i += 400) {
+      const batch = db.batch();
+      activeLinks.slice(i, i + 400).forEach((doc) => batch.update(doc.ref, { revokedAt: now }));
+      await batch.commit();
     }
     
-    // Log successful creation
-    const deliveryTime = scheduledFor.toDate();
-    logger.info(`Message ${messageId} scheduled for delivery at ${deliveryTime.toISOString()}`);
+    logger.info(`Revoked ${activeLinks.length} share links for user ${request.auth.uid}`);
+    
+    return {
+      success: true,
+      revokedCount: activeLinks.length,
+    };
     
   } catch (error) {
-    logger.error(`Error processing new scheduled message ${messageId}:`, error);
+    logger.error("Error revoking share links:", error);
+    throw error;
   }
 });
 
 /**
- * Callable function to manually trigger message delivery (for testing)
- * This function allows manual delivery of a specific message
+ * Renders the read-only web view of a shared folder
+ * @param {Object} view - The JSON view returned by viewSharedFolder
+ * @returns {string} HTML page
  */
-exports.deliverMessageManually = onCall({
+function renderSharedFolderPage(view) {
+  const folder = view.folder;
+  let content;
+  
+  if (folder.capsuleStatus === 'sealed') {
+    const revealText = folder.revealAt ?
+      ` until ${new Date(folder.revealAt).toUTCString()}` :
+      '';
+    content = `<p>This time capsule is sealed${escapeHtml(revealText)}. Come back once it has been revealed.</p>`;
+  } else if (view.media.length === 0) {
+    content = '<p>This folder is empty.</p>';
+  } else {
+    content = view.media.map((item) => {
+      let body;
+      
+      if (item.type === 'image') {
+        body = `<img src="${escapeHtml(item.url)}" alt="${escapeHtml(item.title || '')}" style="max-width: 100%; border-radius: 8px;">`;
+      } else if (item.type === 'video') {
+        body = `<video src="${escapeHtml(item.url)}" controls preload="metadata" style="max-width: 100%; border-radius: 8px;"></video>`;
+      } else if (item.type === 'audio') {
+        body = `<audio src="${escapeHtml(item.url)}" controls preload="none"></audio>`;
+      } else {
+        body = `<a href="${escapeHtml(item.url)}" style="color: #FF6B35;">Open</a>`;
+      }
+      
+      return `<figure style="margin: 0 0 24px;">
+      ${body}
+      ${item.title ? `<figcaption style="font-weight: bold; margin-top: 8px;">${escapeHtml(item.title)}</figcaption>` : ''}
+      ${item.description ? `<p style="color: #555555; margin: 4px 0 0;">${escapeHtml(item.description)}</p>` : ''}
+    </figure>`;
+    }).join('\n    ');
+  }
+  
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(folder.name)}</title>
+  </head>
+  <body style="font-family: sans-serif; color: #333333; max-width: 720px; margin: 0 auto; padding: 24px;">
+    <h1 style="color: #FF6B35; font-size: 24px;">${escapeHtml(folder.name)}</h1>
+    <p style="color: #555555;">Shared by ${escapeHtml(folder.ownerUsername)}</p>
+    ${folder.description ? `<p>${escapeHtml(folder.description)}</p>` : ''}
+    ${content}
+  </body>
+</html>`;
+}
+
+/**
+ * HTTPS function that serves a shared folder to people without the app
+ * GET /viewSharedFolder/{token} returns a web page, and JSON when called with
+ * ?format=json or an Accept: application/json header. Every successful view is
+ * counted on the link. Media of a sealed folder capsule is withheld until reveal
+ */
+exports.viewSharedFolder = onRequest({
   memory: "256MiB",
-  enforceAppCheck: false, // Disable for development
-}, async (request) => {
-  // Verify user is authenticated
-  if (!request.auth) {
-    throw new Error("Authentication required");
+  cors: true,
+}, async (req, res) => {
+  const wantsJson = req.query.format === 'json' || (req.get('accept') || '').includes('application/json');
+  
+  // The token is part of the URL, so keep it out of caches, referrers and search results
+  res.set('Cache-Control', 'private, no-store');
+  res.set('Referrer-Policy', 'no-referrer');
+  res.set('X-Robots-Tag', 'noindex');
+  
+  const sendError = (statusCode, message) => {
+    if (wantsJson) {
+      res.status(statusCode).json({ error: message });
+    } else {
+      res.status(statusCode).type('html').send(`<!DOCTYPE html>
+<html>
+  <body style="font-family: sans-serif; color: #333333; max-width: 560px; margin: 0 auto; padding: 24px;">
+    <p>${escapeHtml(message)}</p>
+  </body>
+</html>`);
+    }
+  };
+  
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.set('Allow', 'GET, HEAD');
+    sendError(405, "Method not allowed");
+    return;
   }
   
-  const { messageId } = request.data;
+  // A token in the query wins. Hosting rewrites such as /share/{token} keep their prefix in
+  // the path, so otherwise the token is the last segment, unless that is the prefix itself
+  const segments = req.path.split('/').filter(Boolean);
+  const lastSegment = segments[segments.length - 1];
+  const token = req.query.token || (lastSegment !== 'share' ? lastSegment : null);
   
-  if (!messageId) {
-    throw new Error("Message ID is required");
+  if (!token || typeof token !== 'string') {
+    sendError(404, "This share link does not exist");
+    return;
   }
   
   try {
     const db = admin.firestore();
-    const messageDoc = await db.collection('scheduledMessages').doc(messageId).get();
+    const now = admin.firestore.Timestamp.now();
+    const linkRef = db.collection('folderShareLinks').doc(hashShareToken(token));
+    const linkDoc = await linkRef.get();
     
-    if (!messageDoc.exists) {
-      throw new Error("Message not found");
+    if (!linkDoc.exists) {
+      sendError(404, "This share link does not exist");
+      return;
     }
     
-    const messageData = messageDoc.data();
+    const linkData = linkDoc.data();
     
-    // Verify user has permission to deliver this message (sender or recipient)
-    const userId = request.auth.uid;
-    if (messageData.senderId !== userId && messageData.recipientId !== userId) {
-      throw new Error("Permission denied");
+    if (!isShareLinkActive(linkData, now)) {
+      sendError(410, linkData.revokedAt ? "This share link has been revoked" : "This share link has expired");
+      return;
     }
     
-    // Check if message is still pending
-    if (messageData.status !== 'pending') {
-      throw new Error(`Message is already ${messageData.status}`);
+    const folderRef = db.collection('folders').doc(linkData.folderId);
+    const folderDoc = await folderRef.get();
+    
+    if (!folderDoc.exists) {
+      sendError(404, "This folder no longer exists");
+      return;
     }
     
-    // Deliver the message
-    await deliverMessage(messageId, messageData);
+    const folderData = folderDoc.data();
+    const isSealed = folderData.capsuleStatus === 'sealed';
     
-    return { success: true, message: "Message delivered successfully" };
+    const [ownerUsername, mediaSnapshot] = await Promise.all([
+      getUsername(folderData.userId),
+      isSealed ?
+        Promise.resolve(null) :
+        folderRef.collection('media').orderBy('createdAt').limit(SHARED_FOLDER_MEDIA_LIMIT).get(),
+    ]);
+    
+    // Stored download URLs never expire, so the view hands out signed URLs that outlive neither
+    // the link nor a short window; files hosted elsewhere cannot be revoked and are left out
+    const bucket = admin.storage().bucket();
+    const urlExpiresAt = Math.min(
+      now.toMillis() + SHARED_MEDIA_URL_TTL_MS,
+      linkData.expiresAt ? linkData.expiresAt.toMillis() : Infinity,
+    );
+    const [coverImageUrl, mediaItems] = await Promise.all([
+      isSealed ? null : signSharedMediaUrl(bucket, folderData.coverImageUrl, urlExpiresAt),
+      Promise.all((mediaSnapshot ? mediaSnapshot.docs : []).map(async (doc) => ({
+        doc: doc,
+        url: await signSharedMediaUrl(bucket, doc.data().url, urlExpiresAt),
+      }))),
+    ]);
+    
+    const view = {
+      folder: {
+        id: folderDoc.id,
+        name: folderData.name,
+        description: folderData.description || null,
+        coverImageUrl: coverImageUrl,
+        ownerUsername: ownerUsername,
+        capsuleStatus: folderData.capsuleStatus || null,
+        revealAt: isSealed && folderData.revealAt ? folderData.revealAt.toDate().toISOString() : null,
+      },
+      // uploadedBy stays out of the public view
+      media: mediaItems
+        .filter(({ url }) => url)
+        .map(({ doc, url }) => {
+          const media = doc.data();
+          return {
+            id: doc.id,
+            type: media.type,
+            url: url,
+            title: media.title || null,
+            description: media.description || null,
+            createdAt: media.createdAt ? media.createdAt.toDate().toISOString() : null,
+          };
+        }),
+      mediaUrlsExpireAt: new Date(urlExpiresAt).toISOString(),
+      expiresAt: linkData.expiresAt ? linkData.expiresAt.toDate().toISOString() : null,
+    };
+    
+    await linkRef.update({
+      viewCount: admin.firestore.FieldValue.increment(1),
+      lastViewedAt: now,
+    });
+    
+    if (wantsJson) {
+      res.status(200).json(view);
+    } else {
+      res.status(200).type('html').send(renderSharedFolderPage(view));
+    }
     
   } catch (error) {
-    logger.error(`Error in manual message delivery for ${messageId}:`, error);
-    throw error;
+    logger.error("Error serving shared folder:", error);
+    sendError(500, "Something went wrong, please try again later");
+  }
+});
+
+/**
+ * Deletes every document matched by a query, one batch at a time
+ * @param {Object} query - Firestore query without a limit
+ * @param {number} [batchSize] - Documents deleted per batch
+ * @returns {Promise<number>} Number of deleted documents
+ */
+async function deleteQueryInBatches(query, batchSize = 400) {
+  const db = admin.firestore();
+  let deletedCount = 0;
+  
+  while (true) {
+    const snapshot = await query.limit(batchSize).get();
+    
+    if (snapshot.empty) {
+      return deletedCount;
+    }
+    
+    // Recursive so revisions and delivery history go with their message
+    await Promise.all(snapshot.docs.map((doc) => db.recursiveDelete(doc.ref)));
+    deletedCount += snapshot.size;
   }
-});
+}
 
 /**
- * Callable function to get delivery statistics
- * Returns counts of pending, delivered, and failed messages
+ * Trigger function that removes everything belonging to a deleted folder
+ * Child folders are deleted document by document so each one cascades through its
+ * own invocation, and every step is idempotent so retried events pick up where a
+ * timed out run stopped
  */
-exports.getDeliveryStats = onCall({
-  memory: "256MiB",
-  enforceAppCheck: false, // Disable for development
-}, async (request) => {
-  // Verify user is authenticated
-  if (!request.auth) {
-    throw new Error("Authentication required");
-  }
+exports.onFolderDeleted = onDocumentDeleted({
+  document: "folders/{folderId}",
+  memory: "512MiB",
+  timeoutSeconds: 540,
+  retry: true,
+}, async (event) => {
+  const folderId = event.params.folderId;
+  const db = admin.firestore();
+  const folderRef = db.collection('folders').doc(folderId);
+  
+  logger.info(`Cascading deletion of folder ${folderId}`);
   
   try {
-    const db = admin.firestore();
-    const userId = request.auth.uid;
+    // Child folders trigger this function again when they are deleted
+    const childCount = await deleteQueryInBatches(
+      db.collection('folders').where('parentFolderId', '==', folderId),
+    );
     
-    // Get counts for messages sent by this user
-    const [pendingSnapshot, deliveredSnapshot, failedSnapshot] = await Promise.all([
-      db.collection('scheduledMessages')
-        .where('senderId', '==', userId)
-        .where('status', '==', 'pending')
-        .get(),
-      db.collection('scheduledMessages')
-        .where('senderId', '==', userId)
-        .where('status', '==', 'delivered')
-        .get(),
-      db.collection('scheduledMessages')
-        .where('senderId', '==', userId)
-        .where('status', '==', 'failed')
-        .get(),
-    ]);
+    // recursiveDelete pages through the subcollections with a BulkWriter
+    await db.recursiveDelete(folderRef.collection('media'));
+    await db.recursiveDelete(folderRef.collection('diary_entries'));
     
-    return {
-      pending: pendingSnapshot.size,
-      delivered: deliveredSnapshot.size,
-      failed: failedSnapshot.size,
-      total: pendingSnapshot.size + deliveredSnapshot.size + failedSnapshot.size,
-    };
+    await admin.storage().bucket().deleteFiles({ prefix: `folders/${folderId}/` });
+    
+    await deleteQueryInBatches(db.collection('folderActivityDigests').where('folderId', '==', folderId));
+    await deleteQueryInBatches(db.collection('folderShareLinks').where('folderId', '==', folderId));
+    
+    logger.info(`Folder ${folderId} deleted with ${childCount} child folders, media and storage objects`);
     
   } catch (error) {
-    logger.error("Error getting delivery stats:", error);
+    logger.error(`Error cascading deletion of folder ${folderId}:`, error);
     throw error;
   }
 });
 
 /**
- * Cleanup function to remove old delivered messages (runs daily)
- * This helps keep the database size manageable
+ * Storage prefixes holding files owned by a user, keyed by user ID
  */
-exports.cleanupOldMessages = onSchedule({
-  schedule: "0 2 * * *", // Run daily at 2 AM UTC
-  timeZone: "UTC",
-  memory: "256MiB",
-  maxInstances: 1,
-}, async (event) => {
-  logger.info("Starting cleanup of old messages...");
+const USER_STORAGE_PREFIXES = [
+  'profile_pictures',
+  'users',
+  'diary',
+  'diaryMedia',
+  'diaryAudio',
+  'exports',
+];
+
+/**
+ * Message statuses that have not reached their recipient yet
+ * Group messages are settled separately, as they stay in status group after delivery
+ */
+const UNDELIVERED_MESSAGE_STATUSES = ['pending', 'processing', 'failed', 'held'];
+
+/**
+ * Deletes scheduled messages matched by a query together with media nothing else uses
+ * @param {Object} query - Firestore query without a limit
+ * @returns {Promise<number>} Number of deleted messages
+ */
+async function deleteMessagesWithMedia(query) {
+  const db = admin.firestore();
+  let deletedCount = 0;
   
-  try {
-    const db = admin.firestore();
+  while (true) {
+    const snapshot = await query.limit(200).get();
     
-    // Delete delivered messages older than 1 year
-    const oneYearAgo = new Date();
-    oneYearAgo.setFullYear(oneYearAgo.getFullYear() - 1);
-    const cutoffDate = admin.firestore.Timestamp.fromDate(oneYearAgo);
+    if (snapshot.empty) {
+      return deletedCount;
+    }
     
-    const oldMessages = await db.collection('scheduledMessages')
+    await Promise.all(snapshot.docs.map(async (doc) => {
+      await db.recursiveDelete(doc.ref);
+      // onScheduledMessageDeleted cleans up as well should this run stop in between
+      await cleanupMessageMedia(doc.id, doc.data());
+    }));
+    deletedCount += snapshot.size;
+  }
+}
+
+/**
+ * Removes the group messages of a deleted sender that have not reached anyone yet
+ * Groups with a delivered copy are cancelled instead, which cancels their undelivered
+ * copies and keeps the sealed media the delivered copies link to
+ * @param {string} senderId - ID of the deleted user
+ * @returns {Promise<number>} Number of deleted or cancelled group messages
+ */
+async function settleGroupMessagesOfDeletedSender(senderId) {
+  const db = admin.firestore();
+  const messages = db.collection('scheduledMessages');
+  const groupSnapshot = await messages
+    .where('senderId', '==', senderId)
+    .where('status', '==', 'group')
+    .get();
+  
+  await Promise.all(groupSnapshot.docs.map(async (doc) => {
+    const deliveredCopies = await messages
+      .where('groupMessageId', '==', doc.id)
       .where('status', '==', 'delivered')
-      .where('deliveredAt', '<', cutoffDate)
-      .limit(100) // Process in batches
+      .limit(1)
       .get();
     
-    if (oldMessages.empty) {
-      logger.info("No old messages to clean up");
+    if (deliveredCopies.empty) {
+      await deleteMessagesWithMedia(messages.where('groupMessageId', '==', doc.id));
+      await db.recursiveDelete(doc.ref);
+      await cleanupMessageMedia(doc.id, doc.data());
       return;
     }
     
-    // Delete old messages in batch
+    const undeliveredCopies = await messages
+      .where('groupMessageId', '==', doc.id)
+      .where('status', 'in', ['pending', 'failed', 'held'])
+      .get();
+    
     const batch = db.batch();
-    oldMessages.docs.forEach((doc) => {
-      batch.delete(doc.ref);
+    const now = admin.firestore.Timestamp.now();
+    [doc, ...undeliveredCopies.docs].forEach((messageDoc) => {
+      batch.update(messageDoc.ref, {
+        status: 'cancelled',
+        cancellationReason: 'account_deleted',
+        cancelledAt: now,
+        updatedAt: now,
+        nextAttemptAt: admin.firestore.FieldValue.delete(),
+      });
     });
-    
     await batch.commit();
+  }));
+  
+  return groupSnapshot.size;
+}
+
+/**
+ * Auth trigger that removes a deleted user's data
+ * Capsules the user addressed to other people are deleted unless the user chose
+ * users/{uid}.accountDeletionCapsulePolicy = "deliver", in which case they stay pending
+ * and are delivered as usual. Messages already delivered to other people are kept
+ * because they belong to their recipients, unless retention removed them from their view.
+ * Every step is idempotent and the event is retried on failure, so the profile document
+ * is removed last
+ */
+exports.onUserDeleted = functionsV1
+  .runWith({ memory: '512MB', timeoutSeconds: 540, failurePolicy: true })
+  .auth.user()
+  .onDelete(async (user) => {
+    const userId = user.uid;
+    const db = admin.firestore();
+    const bucket = admin.storage().bucket();
     
-    logger.info(`Cleaned up ${oldMessages.docs.length} old messages`);
+    logger.info(`Cleaning up data of deleted user ${userId}`);
     
-  } catch (error) {
-    logger.error("Error in cleanup function:", error);
-    throw error;
+    try {
+      const userRef = db.collection('users').doc(userId);
+      const userDoc = await userRef.get();
+      const capsulePolicy = userDoc.exists ? userDoc.data().accountDeletionCapsulePolicy : null;
+      
+      // Everything addressed to the deleted user can no longer be delivered or read
+      const receivedCount = await deleteMessagesWithMedia(
+        db.collection('scheduledMessages').where('recipientId', '==', userId),
+      );
+      
+      // Archived capsules are deleted with their copied media, which nothing else references
+      const archivedReceived = await db.collection('archivedMessages').where('recipientId', '==', userId).get();
+      await Promise.all(archivedReceived.docs.map(async (doc) => {
+        await bucket.deleteFiles({ prefix: `archived_capsules/${doc.id}/` });
+        await doc.ref.delete();
+      }));
+      
+      let sentCount = 0;
+      if (capsulePolicy !== 'deliver') {
+        // Partly delivered groups go first, so their undelivered copies are cancelled rather than deleted
+        sentCount = await settleGroupMessagesOfDeletedSender(userId);
+        sentCount += await deleteMessagesWithMedia(
+          db.collection('scheduledMessages')
+            .where('senderId', '==', userId)
+            .where('status', 'in', UNDELIVERED_MESSAGE_STATUSES),
+        );
+      }
+      
+      // Delivered capsules their recipients already removed were only kept for this user's history
+      sentCount += await deleteMessagesWithMedia(
+        db.collection('scheduledMessages')
+          .where('senderId', '==', userId)
+          .where('recipientRemovedAt', '!=', null),
+      );
+      
+      await Promise.all([
+        deleteQueryInBatches(db.collection('fcm_tokens').where('userId', '==', userId)),
+        deleteQueryInBatches(db.collection('friendships').where('userId1', '==', userId)),
+        deleteQueryInBatches(db.collection('friendships').where('userId2', '==', userId)),
+        deleteQueryInBatches(db.collection('friendRequests').where('senderId', '==', userId)),
+        deleteQueryInBatches(db.collection('friendRequests').where('receiverId', '==', userId)),
+        deleteQueryInBatches(db.collection('folderActivityDigests').where('userId', '==', userId)),
+        deleteQueryInBatches(db.collection('notifications').where('userId', '==', userId)),
+        db.collection('senderUsage').doc(userId).delete(),
+      ]);
+      
+      // Owned folders cascade to their media and Storage objects through onFolderDeleted
+      const folderCount = await deleteQueryInBatches(db.collection('folders').where('userId', '==', userId));
+      
+      // Leave shared folders owned by other people
+      const contributedFolders = await db.collection('folders')
+        .where('contributorIds', 'array-contains', userId)
+        .get();
+      await Promise.all(contributedFolders.docs.map((doc) => doc.ref.update({
+        contributorIds: admin.firestore.FieldValue.arrayRemove(userId),
+      })));
+      
+      await Promise.all(USER_STORAGE_PREFIXES.map((prefix) =>
+        bucket.deleteFiles({ prefix: `${prefix}/${userId}/` })));
+      
+      // Removes the profile together with subcollections such as diaryEntries
+      await db.recursiveDelete(userRef);
+      
+      logger.info(`Deleted user ${userId}: ${receivedCount} received and ${sentCount} sent messages, ${folderCount} folders`);
+      
+    } catch (error) {
+      logger.error(`Error cleaning up deleted user ${userId}:`, error);
+      throw error;
+    }
+  });
+
+/**
+ * How long the download link returned by exportMyData stays valid
+ */
+const EXPORT_LINK_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Converts Firestore values into JSON friendly values for data exports
+ * @param {*} value - A value read from Firestore
+ * @returns {*} The value with timestamps as ISO strings and references as paths
+ */
+function serializeForExport(value) {
+  if (value instanceof admin.firestore.Timestamp) {
+    return value.toDate().toISOString();
   }
-});
+  
+  if (value instanceof admin.firestore.DocumentReference) {
+    return value.path;
+  }
+  
+  if (value instanceof admin.firestore.GeoPoint) {
+    return { latitude: value.latitude, longitude: value.longitude };
+  }
+  
+  if (Array.isArray(value)) {
+    return value.map(serializeForExport);
+  }
+  
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, serializeForExport(item)]));
+  }
+  
+  return value;
+}
 
 /**
- * Error handling function for failed message deliveries
- * This function implements retry logic for failed messages
+ * Serializes the documents of a query snapshot for a data export
+ * @param {Object} snapshot - Firestore query snapshot
+ * @returns {Array<Object>} Document data including the document ID
  */
-exports.retryFailedMessages = onCall({
-  memory: "256MiB",
+function exportDocs(snapshot) {
+  return snapshot.docs.map((doc) => ({ id: doc.id, ...serializeForExport(doc.data()) }));
+}
+
+/**
+ * Callable function that assembles a user's data into a JSON archive in Storage
+ * Returns a signed download link that expires after an hour. The archive contains
+ * the profile, sent and received messages, diary entries, friendships and the
+ * metadata and media links of owned folders and of media uploaded to shared folders
+ */
+exports.exportMyData = onCall({
+  memory: "512MiB",
+  timeoutSeconds: 300,
   enforceAppCheck: false, // Disable for development
 }, async (request) => {
-  // Verify user is authenticated and is admin (you might want to add admin check)
+  // Verify user is authenticated
   if (!request.auth) {
     throw new Error("Authentication required");
   }
   
+  const userId = request.auth.uid;
+  
   try {
     const db = admin.firestore();
+    const bucket = admin.storage().bucket();
     
-    // Get failed messages that haven't been retried too many times
-    const failedMessages = await db.collection('scheduledMessages')
-      .where('status', '==', 'failed')
-      .where('retryCount', '<', 3) // Max 3 retries
-      .limit(10) // Process small batches
-      .get();
+    const [
+      userDoc,
+      diarySnapshot,
+      sentSnapshot,
+      receivedSnapshot,
+      archivedSnapshot,
+      friendships1,
+      friendships2,
+      ownedFolders,
+      contributedFolders,
+    ] = await Promise.all([
+      db.collection('users').doc(userId).get(),
+      db.collection('users').doc(userId).collection('diaryEntries').get(),
+      db.collection('scheduledMessages').where('senderId', '==', userId).get(),
+      // Capsules that have not been delivered yet stay sealed, even in an export
+      db.collection('scheduledMessages')
+        .where('recipientId', '==', userId)
+        .where('status', '==', 'delivered')
+        .get(),
+      db.collection('archivedMessages').where('recipientId', '==', userId).get(),
+      db.collection('friendships').where('userId1', '==', userId).get(),
+      db.collection('friendships').where('userId2', '==', userId).get(),
+      db.collection('folders').where('userId', '==', userId).get(),
+      db.collection('folders').where('contributorIds', 'array-contains', userId).get(),
+    ]);
     
-    if (failedMessages.empty) {
-      return { message: "No failed messages to retry", retriedCount: 0 };
-    }
+    const folders = await Promise.all([
+      ...ownedFolders.docs.map((doc) => ({ doc, owned: true })),
+      ...contributedFolders.docs.map((doc) => ({ doc, owned: false })),
+    ].map(async ({ doc, owned }) => {
+      const [mediaSnapshot, diaryEntriesSnapshot] = await Promise.all([
+        doc.ref.collection('media').get(),
+        doc.ref.collection('diary_entries').get(),
+      ]);
+      
+      // In other people's folders, and in any folder capsule while it is sealed, only the
+      // user's own uploads are exported
+      const ownOnly = !owned || doc.data().capsuleStatus === 'sealed';
+      const media = exportDocs(mediaSnapshot).filter((item) => !ownOnly || item.uploadedBy === userId);
+      const diaryEntries = exportDocs(diaryEntriesSnapshot).filter((item) => !ownOnly || item.uploadedBy === userId);
+      
+      return { id: doc.id, owned, ...serializeForExport(doc.data()), media, diaryEntries };
+    }));
     
-    let retriedCount = 0;
+    const archive = {
+      exportedAt: new Date().toISOString(),
+      userId: userId,
+      profile: userDoc.exists ? serializeForExport(userDoc.data()) : null,
+      diaryEntries: exportDocs(diarySnapshot),
+      scheduledMessages: {
+        sent: exportDocs(sentSnapshot),
+        received: exportDocs(receivedSnapshot),
+        archived: exportDocs(archivedSnapshot),
+      },
+      friends: [
+        ...friendships1.docs.map((doc) => doc.data().userId2),
+        ...friendships2.docs.map((doc) => doc.data().userId1),
+      ],
+      folders: folders,
+    };
     
-    // Retry each failed message
-    for (const doc of failedMessages.docs) {
-      const messageData = doc.data();
-      const messageId = doc.id;
-      
-      try {
-        // Reset status to pending and increment retry count
-        await doc.ref.update({
-          status: 'pending',
-          retryCount: (messageData.retryCount || 0) + 1,
-          lastRetryAt: admin.firestore.Timestamp.now(),
-        });
-        
-        // Attempt delivery
-        await deliverMessage(messageId, messageData);
-        retriedCount++;
-        
-      } catch (error) {
-        logger.error(`Retry failed for message ${messageId}:`, error);
-        
-        // Mark as failed again
-        await doc.ref.update({
-          status: 'failed',
-          failureReason: error.message,
-          failedAt: admin.firestore.Timestamp.now(),
-        });
-      }
-    }
+    // Only the latest export is kept; the random suffix keeps the path unguessable
+    await bucket.deleteFiles({ prefix: `exports/${userId}/` });
     
-    return { 
-      message: `Retried ${retriedCount} out of ${failedMessages.docs.length} failed messages`,
-      retriedCount: retriedCount,
-      totalFailed: failedMessages.docs.length,
+    const file = bucket.file(`exports/${userId}/${Date.now()}-${crypto.randomUUID()}.json`);
+    await file.save(JSON.stringify(archive, null, 2), {
+      contentType: 'application/json',
+      metadata: { contentDisposition: 'attachment; filename="time-capsule-export.json"' },
+    });
+    
+    // Signing requires the function's service account to hold the Token Creator role
+    const expiresAt = Date.now() + EXPORT_LINK_TTL_MS;
+    const [downloadUrl] = await file.getSignedUrl({
+      version: 'v4',
+      action: 'read',
+      expires: expiresAt,
+    });
+    
+    logger.info(`Exported data of user ${userId} to ${file.name}`);
+    
+    return {
+      success: true,
+      downloadUrl: downloadUrl,
+      expiresAt: new Date(expiresAt).toISOString(),
     };
     
   } catch (error) {
-    logger.error("Error in retry function:", error);
+    logger.error(`Error exporting data for user ${userId}:`, error);
     throw error;
   }
 });
 
 /**
- * Manual trigger function to process pending messages immediately
- * This is useful for testing and manual intervention
+ * Callable function that issues a key for sealing a capsule's text
+ * The client encrypts textContent with the returned key, stores
+ * encryption = {keyId, iv, algorithm} on the message and discards the key
  */
-exports.triggerMessageDelivery = onCall({
+exports.issueCapsuleKey = onCall({
   memory: "256MiB",
-  // Temporarily disable App Check enforcement for development
-  // Set to true for production deployment
-  enforceAppCheck: false,
+  enforceAppCheck: false, // Disable for development
 }, async (request) => {
   // Verify user is authenticated
   if (!request.auth) {
@@ -525,65 +6330,35 @@ exports.triggerMessageDelivery = onCall({
   }
   
   try {
-    const db = admin.firestore();
-    const now = admin.firestore.Timestamp.now();
-    
-    // Query for pending messages that are ready for delivery
-    const readyMessages = await db.collection('scheduledMessages')
-      .where('status', '==', 'pending')
-      .where('scheduledFor', '<=', now)
-      .limit(50) // Process in batches to avoid timeouts
-      .get();
-    
-    if (readyMessages.empty) {
-      return { message: "No messages ready for delivery", processedCount: 0 };
-    }
-    
-    logger.info(`Found ${readyMessages.docs.length} messages ready for delivery`);
+    const capsuleKey = createCapsuleKey(request.auth.uid);
+    await capsuleKey.ref.set(capsuleKey.data);
     
-    let processedCount = 0;
-    let failedCount = 0;
-    
-    // Process each message with enhanced validation
-    for (const doc of readyMessages.docs) {
-      const messageData = doc.data();
-      const messageId = doc.id;
-      
-      try {
-        // Validate message data before processing
-        if (!messageData.senderId || !messageData.recipientId || !messageData.textContent) {
-          throw new Error('Invalid message data: missing required fields');
-        }
-        
-        await deliverMessage(messageId, messageData);
-        processedCount++;
-        logger.info(`Successfully delivered message ${messageId}`);
-        
-      } catch (error) {
-        failedCount++;
-        logger.error(`Failed to deliver message ${messageId}:`, error);
-        // Error handling is now done within deliverMessage function
-      }
-    }
+    logger.info(`Issued capsule key ${capsuleKey.ref.id} to user ${request.auth.uid}`);
     
-    return { 
-      message: `Processed ${processedCount} messages, ${failedCount} failed`,
-      processedCount: processedCount,
-      failedCount: failedCount,
-      totalFound: readyMessages.docs.length,
+    return {
+      keyId: capsuleKey.ref.id,
+      key: capsuleKey.key,
+      algorithm: CAPSULE_CIPHER,
     };
     
   } catch (error) {
-    logger.error("Error in manual trigger function:", error);
+    logger.error("Error issuing capsule key:", error);
     throw error;
   }
 });
 
 /**
- * Test function to validate Cloud Function message processing
- * This function helps test the delivery mechanism and status updates
+ * Most messages one key rotation re-encrypts, within Firestore's 500 writes per transaction
  */
-exports.testMessageDelivery = onCall({
+const MAX_KEY_ROTATION_MESSAGES = 400;
+
+/**
+ * Callable function that rotates the key of a sender's pending sealed message
+ * A key can be shared by group copies, series occurrences and other messages, so the
+ * text of every message still sealed with it is re-encrypted with a fresh key before
+ * the old key is retired. Delivered messages already carry their released key.
+ */
+exports.rotateCapsuleKey = onCall({
   memory: "256MiB",
   enforceAppCheck: false, // Disable for development
 }, async (request) => {
@@ -592,82 +6367,84 @@ exports.testMessageDelivery = onCall({
     throw new Error("Authentication required");
   }
   
-  const { messageId, forceDelivery } = request.data;
+  const { messageId } = request.data;
   
   if (!messageId) {
-    throw new Error("Message ID is required for testing");
+    throw new Error("Message ID is required");
   }
   
   try {
     const db = admin.firestore();
-    const messageDoc = await db.collection('scheduledMessages').doc(messageId).get();
-    
-    if (!messageDoc.exists) {
-      throw new Error("Message not found");
-    }
-    
-    const messageData = messageDoc.data();
-    const userId = request.auth.uid;
+    const messageRef = db.collection('scheduledMessages').doc(messageId);
     
-    // Verify user has permission to test this message (sender or recipient)
-    if (messageData.senderId !== userId && messageData.recipientId !== userId) {
-      throw new Error("Permission denied: You can only test your own messages");
-    }
-    
-    // Validate message status
-    if (messageData.status !== 'pending' && !forceDelivery) {
-      return {
-        success: false,
-        message: `Message is already ${messageData.status}. Use forceDelivery=true to override.`,
-        currentStatus: messageData.status,
-        deliveredAt: messageData.deliveredAt ? messageData.deliveredAt.toDate().toISOString() : null,
-      };
-    }
-    
-    // Test the delivery process
-    const testStartTime = admin.firestore.Timestamp.now();
-    
-    try {
-      // If forcing delivery, temporarily reset status to pending
-      if (forceDelivery && messageData.status !== 'pending') {
-        await db.collection('scheduledMessages').doc(messageId).update({
-          status: 'pending',
-          testMode: true,
-          testStartedAt: testStartTime,
-        });
+    const rotation = await db.runTransaction(async (transaction) => {
+      const messageDoc = await transaction.get(messageRef);
+      
+      if (!messageDoc.exists) {
+        throw new Error("Message not found");
       }
       
-      // Perform the delivery
-      await deliverMessage(messageId, messageData);
+      const messageData = messageDoc.data();
       
-      // Verify the delivery was successful
-      const updatedDoc = await db.collection('scheduledMessages').doc(messageId).get();
-      const updatedData = updatedDoc.data();
+      if (messageData.senderId !== request.auth.uid) {
+        throw new Error("Permission denied");
+      }
       
-      return {
-        success: true,
-        message: "Message delivery test completed successfully",
-        originalStatus: messageData.status,
-        newStatus: updatedData.status,
-        deliveredAt: updatedData.deliveredAt ? updatedData.deliveredAt.toDate().toISOString() : null,
-        processingTime: admin.firestore.Timestamp.now().toMillis() - testStartTime.toMillis(),
-        testMode: forceDelivery || false,
-      };
+      if (messageData.status !== 'pending' || !messageData.encryption) {
+        throw new Error("Only pending sealed messages can be rotated");
+      }
       
-    } catch (deliveryError) {
-      logger.error(`Test delivery failed for message ${messageId}:`, deliveryError);
+      const oldKeyRef = db.collection('capsuleKeys').doc(messageData.encryption.keyId);
+      const oldKeyDoc = await transaction.get(oldKeyRef);
       
-      return {
-        success: false,
-        message: `Delivery test failed: ${deliveryError.message}`,
-        originalStatus: messageData.status,
-        error: deliveryError.message,
-        processingTime: admin.firestore.Timestamp.now().toMillis() - testStartTime.toMillis(),
-      };
-    }
+      if (!oldKeyDoc.exists) {
+        throw new Error("Encryption key for sealed content is missing");
+      }
+      
+      const sharingSnapshot = await transaction.get(db.collection('scheduledMessages')
+        .where('senderId', '==', messageData.senderId)
+        .where('encryption.keyId', '==', oldKeyRef.id)
+        .limit(MAX_KEY_ROTATION_MESSAGES + 1));
+      
+      // Released messages keep the old key on the message itself and need nothing
+      const sealedDocs = sharingSnapshot.docs.filter((doc) => !doc.data().encryption.key);
+      
+      if (sharingSnapshot.size > MAX_KEY_ROTATION_MESSAGES) {
+        throw new Error(`Keys shared by more than ${MAX_KEY_ROTATION_MESSAGES} messages cannot be rotated`);
+      }
+      
+      const capsuleKey = createCapsuleKey(messageData.senderId);
+      const now = admin.firestore.Timestamp.now();
+      
+      sealedDocs.forEach((doc) => {
+        const data = doc.data();
+        const plaintext = decryptCapsuleText(data.textContent, data.encryption.iv, oldKeyDoc.data().key);
+        const encrypted = encryptCapsuleText(plaintext, capsuleKey.key);
+        
+        transaction.update(doc.ref, {
+          textContent: encrypted.ciphertext,
+          encryption: {
+            keyId: capsuleKey.ref.id,
+            iv: encrypted.iv,
+            algorithm: CAPSULE_CIPHER,
+            rotatedAt: now,
+          },
+          updatedAt: now,
+        });
+      });
+      
+      transaction.set(capsuleKey.ref, { ...capsuleKey.data, rotatedFrom: oldKeyRef.id });
+      transaction.update(oldKeyRef, { status: 'retired', retiredAt: now });
+      
+      return { keyId: capsuleKey.ref.id, messageCount: sealedDocs.length };
+    });
+    
+    logger.info(`Rotated capsule key of message ${messageId} to ${rotation.keyId} on ${rotation.messageCount} messages`);
+    
+    return { success: true, keyId: rotation.keyId, rotatedCount: rotation.messageCount };
     
   } catch (error) {
-    logger.error(`Error in test message delivery for ${messageId}:`, error);
+    logger.error(`Error rotating capsule key for message ${messageId}:`, error);
     throw error;
   }
 });
@@ -0,0 +1,137 @@
+jest.mock('firebase-admin', () => require('./helpers/firebaseAdminFake'));
+jest.mock('firebase-admin/firestore', () => ({ AggregateField: require('./helpers/firebaseAdminFake').AggregateField }));
+jest.mock('firebase-functions/logger');
+
+const admin = require('firebase-admin');
+const myFunctions = require('../index');
+const { DAY, fromNow, addUser, befriend, addMessage, getMessage, call } = require('./helpers/fixtures');
+
+const bucket = () => admin.storage().bucket();
+const deleteAccount = (uid) => myFunctions.onUserDeleted.run({ uid: uid }, {});
+
+/**
+ * Writes a group message from alice with a sealed photo and one copy per recipient status
+ * @param {string} id - ID of the group message
+ * @param {Object} copyStatuses - Status of each recipient's copy, keyed by recipient
+ */
+async function addGroupMessage(id, copyStatuses) {
+  const path = `sealed_capsules/${id}/photo.jpg`;
+  await bucket().file(path).save('jpeg');
+  await addMessage(id, {
+    recipientId: null,
+    recipientIds: Object.keys(copyStatuses),
+    status: 'group',
+    sealedMedia: [{ path: path, kind: 'image' }],
+  });
+  await Promise.all(Object.entries(copyStatuses).map(([recipientId, status]) => addMessage(`${id}_${recipientId}`, {
+    recipientId: recipientId,
+    groupMessageId: id,
+    status: status,
+    sealedMedia: [{ path: path, kind: 'image' }],
+  })));
+}
+
+describe('account deletion', () => {
+  beforeEach(async () => {
+    admin.reset();
+    await addUser('alice');
+    await addUser('bob');
+    await addUser('carol');
+    await befriend('alice', 'bob');
+  });
+
+  test('removes the profile, received capsules and the user\'s undelivered capsules', async () => {
+    await admin.firestore().collection('users').doc('alice').collection('diaryEntries').doc('d1').set({ text: 'Dear diary' });
+    await admin.firestore().collection('fcm_tokens').doc('alice-phone').set({ userId: 'alice', token: 'token-alice' });
+    await bucket().file('profile_pictures/alice/me.jpg').save('jpeg');
+    await addMessage('sent-pending', { scheduledFor: fromNow(DAY) });
+    await addMessage('sent-delivered', { status: 'delivered' });
+    await addMessage('received', { senderId: 'bob', recipientId: 'alice', status: 'delivered' });
+
+    await deleteAccount('alice');
+
+    expect((await admin.firestore().collection('users').doc('alice').get()).exists).toBe(false);
+    expect((await admin.firestore().collection('users').doc('alice').collection('diaryEntries').doc('d1').get()).exists).toBe(false);
+    expect((await admin.firestore().collection('fcm_tokens').doc('alice-phone').get()).exists).toBe(false);
+    expect((await admin.firestore().collection('friendships').doc('alice_bob').get()).exists).toBe(false);
+    expect(bucket().files.has('profile_pictures/alice/me.jpg')).toBe(false);
+    expect(await getMessage('sent-pending')).toBeUndefined();
+    expect(await getMessage('received')).toBeUndefined();
+    // Delivered capsules belong to their recipient now
+    expect((await getMessage('sent-delivered')).status).toBe('delivered');
+  });
+
+  test('still delivers the user\'s capsules when they chose so', async () => {
+    await admin.firestore().collection('users').doc('alice').update({ accountDeletionCapsulePolicy: 'deliver' });
+    await addMessage('sent-pending', { scheduledFor: fromNow(DAY) });
+
+    await deleteAccount('alice');
+
+    expect((await getMessage('sent-pending')).status).toBe('pending');
+  });
+
+  test('deletes a group capsule nobody has received yet with its media', async () => {
+    await addGroupMessage('g1', { bob: 'pending', carol: 'failed' });
+
+    await deleteAccount('alice');
+
+    expect(await getMessage('g1')).toBeUndefined();
+    expect(await getMessage('g1_bob')).toBeUndefined();
+    expect(await getMessage('g1_carol')).toBeUndefined();
+    expect(bucket().files.has('sealed_capsules/g1/photo.jpg')).toBe(false);
+  });
+
+  test('cancels the rest of a partly delivered group capsule and keeps its media', async () => {
+    await addGroupMessage('g1', { bob: 'delivered', carol: 'pending' });
+
+    await deleteAccount('alice');
+
+    expect((await getMessage('g1')).status).toBe('cancelled');
+    expect((await getMessage('g1_carol')).status).toBe('cancelled');
+    expect((await getMessage('g1_bob')).status).toBe('delivered');
+    expect(bucket().files.has('sealed_capsules/g1/photo.jpg')).toBe(true);
+  });
+
+  test('keeps group media other recipients still need when a recipient is deleted', async () => {
+    await addGroupMessage('g1', { bob: 'pending', carol: 'pending' });
+
+    await deleteAccount('carol');
+
+    expect(await getMessage('g1_carol')).toBeUndefined();
+    expect((await getMessage('g1_bob')).status).toBe('pending');
+    expect(bucket().files.has('sealed_capsules/g1/photo.jpg')).toBe(true);
+  });
+});
+
+describe('data export', () => {
+  beforeEach(async () => {
+    admin.reset();
+    await addUser('alice');
+    await addUser('bob');
+    await befriend('alice', 'bob');
+  });
+
+  test('exports the user\'s data without capsules that are still sealed', async () => {
+    await addMessage('sent', { scheduledFor: fromNow(DAY) });
+    await addMessage('received', { senderId: 'bob', recipientId: 'alice', status: 'delivered' });
+    await addMessage('sealed', { senderId: 'bob', recipientId: 'alice', scheduledFor: fromNow(DAY) });
+
+    const result = await call(myFunctions.exportMyData, 'alice', {});
+
+    expect(result.downloadUrl).toContain('https://signed.example.test/');
+    const [path] = [...bucket().files.keys()].filter((name) => name.startsWith('exports/alice/'));
+    const archive = JSON.parse(bucket().files.get(path).contents);
+    expect(archive.profile.username).toBe('alice');
+    expect(archive.friends).toEqual(['bob']);
+    expect(archive.scheduledMessages.sent.map((message) => message.id)).toEqual(['sent']);
+    expect(archive.scheduledMessages.received.map((message) => message.id)).toEqual(['received']);
+    expect(typeof archive.scheduledMessages.sent[0].scheduledFor).toBe('string');
+  });
+
+  test('keeps only the latest export', async () => {
+    await call(myFunctions.exportMyData, 'alice', {});
+    await call(myFunctions.exportMyData, 'alice', {});
+
+    expect([...bucket().files.keys()].filter((name) => name.startsWith('exports/alice/'))).toHaveLength(1);
+  });
+});
@@ -0,0 +1,108 @@
+jest.mock('firebase-admin', () => require('./helpers/firebaseAdminFake'));
+jest.mock('firebase-admin/firestore', () => ({ AggregateField: require('./helpers/firebaseAdminFake').AggregateField }));
+jest.mock('firebase-functions/logger');
+
+const admin = require('firebase-admin');
+const myFunctions = require('../index');
+const { MINUTE, DAY, fromNow, addUser, addMessage, getMessage, call } = require('./helpers/fixtures');
+
+const ADMIN = { admin: true };
+
+/**
+ * Actions recorded in the admin audit log, oldest first
+ */
+async function auditedActions() {
+  const snapshot = await admin.firestore().collection('adminAuditLog').orderBy('createdAt').get();
+  return snapshot.docs.map((doc) => doc.data().action);
+}
+
+describe('admin role', () => {
+  beforeEach(async () => {
+    admin.reset();
+    admin.auth().users.set('root', { customClaims: { admin: true } });
+    admin.auth().users.set('alice', { customClaims: { beta: true } });
+  });
+
+  test('lets admins grant and revoke the role while keeping other claims', async () => {
+    await expect(call(myFunctions.grantAdminRole, 'alice', { userId: 'alice' })).rejects.toThrow('Admin privileges required');
+
+    await call(myFunctions.grantAdminRole, 'root', { userId: 'alice' }, ADMIN);
+    expect((await admin.auth().getUser('alice')).customClaims).toEqual({ beta: true, admin: true });
+
+    await expect(call(myFunctions.revokeAdminRole, 'root', { userId: 'root' }, ADMIN)).rejects.toThrow('Admins cannot revoke their own role');
+
+    await call(myFunctions.revokeAdminRole, 'root', { userId: 'alice' }, ADMIN);
+    expect((await admin.auth().getUser('alice')).customClaims).toEqual({ beta: true });
+    expect(await auditedActions()).toEqual(['grant_admin', 'revoke_admin']);
+  });
+});
+
+describe('operations API', () => {
+  beforeEach(async () => {
+    admin.reset();
+    await addUser('alice');
+    await addUser('bob');
+  });
+
+  test('lists stuck messages without their text', async () => {
+    await addMessage('m1', { status: 'processing', leaseExpiresAt: fromNow(-MINUTE) });
+    await addMessage('m2', { status: 'processing', leaseExpiresAt: fromNow(MINUTE) });
+
+    const result = await call(myFunctions.adminListMessages, 'root', { filter: 'stuck' }, ADMIN);
+
+    expect(result.messages.map((message) => message.id)).toEqual(['m1']);
+    expect(result.messages[0].textContent).toBeUndefined();
+    expect(await auditedActions()).toEqual(['list_messages']);
+  });
+
+  test('cancels dead-lettered messages but not ones being delivered', async () => {
+    await addMessage('m1', { status: 'dead_letter', deadLetteredAt: fromNow(-DAY) });
+    await addMessage('m2', { status: 'processing', leaseExpiresAt: fromNow(MINUTE) });
+
+    await call(myFunctions.adminCancelMessage, 'root', { messageId: 'm1', reason: 'Gave up' }, ADMIN);
+    await expect(call(myFunctions.adminCancelMessage, 'root', { messageId: 'm2' }, ADMIN))
+      .rejects.toThrow('Message cannot be cancelled while processing');
+
+    expect((await getMessage('m1')).cancellationReason).toBe('Gave up');
+    expect((await getMessage('m2')).status).toBe('processing');
+  });
+
+  test('lets only admins force a delivered message through again', async () => {
+    await addMessage('m1', { status: 'delivered', deliveredAt: fromNow(-DAY) });
+
+    const refused = await call(myFunctions.testMessageDelivery, 'alice', { messageId: 'm1' });
+    expect(refused.success).toBe(false);
+    await expect(call(myFunctions.testMessageDelivery, 'alice', { messageId: 'm1', forceDelivery: true }))
+      .rejects.toThrow('Admin privileges required');
+
+    const result = await call(myFunctions.testMessageDelivery, 'root', { messageId: 'm1', forceDelivery: true }, ADMIN);
+
+    expect(result.success).toBe(true);
+    expect(result.newStatus).toBe('delivered');
+    expect((await getMessage('m1')).deliveredAt.toMillis()).toBeGreaterThan(fromNow(-MINUTE).toMillis());
+  });
+
+  test('never forces a delivered occurrence of a recurring message through again', async () => {
+    await addMessage('m1', { recurrence: { frequency: 'yearly' } });
+    await myFunctions.processScheduledMessages.run({});
+    const next = await getMessage('m1_2');
+
+    await expect(call(myFunctions.testMessageDelivery, 'root', { messageId: 'm1', forceDelivery: true }, ADMIN))
+      .rejects.toThrow('Recurring messages cannot be force-delivered again');
+
+    expect((await getMessage('m1')).status).toBe('delivered');
+    expect(await getMessage('m1_2')).toEqual(next);
+  });
+
+  test('does not overwrite an occurrence that already exists when the series moves on', async () => {
+    await addMessage('m1', { recurrence: { frequency: 'yearly' } });
+    await addMessage('m1_2', { seriesId: 'm1', occurrenceNumber: 2, status: 'delivered', textContent: 'Already delivered' });
+
+    await myFunctions.processScheduledMessages.run({});
+
+    expect((await getMessage('m1')).status).toBe('failed');
+    const next = await getMessage('m1_2');
+    expect(next.status).toBe('delivered');
+    expect(next.textContent).toBe('Already delivered');
+  });
+});
@@ -0,0 +1,171 @@
+jest.mock('firebase-admin', () => require('./helpers/firebaseAdminFake'));
+jest.mock('firebase-admin/firestore', () => ({ AggregateField: require('./helpers/firebaseAdminFake').AggregateField }));
+jest.mock('firebase-functions/logger');
+
+const admin = require('firebase-admin');
+const myFunctions = require('../index');
+const { MINUTE, DAY, fromNow, addUser, befriend, addMessage, getMessage, createdEvent, call } = require('./helpers/fixtures');
+
+const bucket = () => admin.storage().bucket();
+
+/**
+ * Stores a client upload carrying a download token, as the app's upload would
+ */
+async function upload(path, contents = `contents of ${path}`) {
+  await bucket().file(path).save(contents, { metadata: { metadata: { firebaseStorageDownloadTokens: 'upload-token' } } });
+}
+
+/**
+ * Creates a message due tomorrow and runs the creation trigger on it
+ */
+async function createMessage(id, data) {
+  const ref = await addMessage(id, { scheduledFor: fromNow(DAY), ...data });
+  await myFunctions.onScheduledMessageCreated.run(await createdEvent(ref, { messageId: id }));
+  return ref;
+}
+
+/**
+ * Edits a message as its sender
+ */
+function edit(messageId, data) {
+  return call(myFunctions.updateScheduledMessage, 'alice', { messageId: messageId, ...data });
+}
+
+describe('editing pending capsules', () => {
+  beforeEach(async () => {
+    admin.reset();
+    await addUser('alice');
+    await addUser('bob');
+    await befriend('alice', 'bob');
+  });
+
+  test('reschedules a capsule and keeps the previous values as a revision', async () => {
+    const ref = await createMessage('m1', {});
+    const scheduledFor = new Date(Date.now() + 2 * DAY).toISOString();
+
+    const result = await edit('m1', { textContent: 'Edited', scheduledFor: scheduledFor });
+
+    const message = await getMessage('m1');
+    expect(result.changedFields).toEqual(['textContent', 'scheduledFor']);
+    expect(message.textContent).toBe('Edited');
+    expect(message.scheduledFor.toDate().toISOString()).toBe(scheduledFor);
+    expect(message.revisionCount).toBe(1);
+
+    const revisions = await ref.collection('revisions').get();
+    expect(revisions.size).toBe(1);
+    expect(revisions.docs[0].data().previous.textContent).toBe('Hello from the past');
+  });
+
+  test('refuses edits by others, of delivered capsules and close to delivery', async () => {
+    await createMessage('m1', {});
+    await addMessage('m2', { status: 'delivered', scheduledFor: fromNow(-DAY) });
+    await addMessage('m3', { scheduledFor: fromNow(5 * MINUTE) });
+
+    await expect(call(myFunctions.updateScheduledMessage, 'bob', { messageId: 'm1', textContent: 'Mine now' }))
+      .rejects.toThrow('Permission denied');
+    await expect(edit('m2', { textContent: 'Too late' }))
+      .rejects.toThrow('Message cannot be edited while delivered');
+    await expect(edit('m3', { textContent: 'Too late' }))
+      .rejects.toThrow('Message can no longer be edited this close to delivery');
+    await expect(edit('m1', { scheduledFor: new Date(Date.now() + MINUTE).toISOString() }))
+      .rejects.toThrow('The new delivery time must be at least 15 minutes away');
+  });
+
+  test('refuses an edit that empties the text', async () => {
+    await createMessage('m1', {});
+
+    await expect(edit('m1', { textContent: '   ' })).rejects.toThrow('Text content cannot be empty');
+    expect((await getMessage('m1')).textContent).toBe('Hello from the past');
+  });
+
+  test('checks the encryption key of an edited occurrence of a recurring capsule', async () => {
+    await admin.firestore().collection('capsuleKeys').doc('bobs-key').set({ senderId: 'bob', key: 'a2V5', status: 'active' });
+    await addMessage('s1_2', {
+      seriesId: 's1',
+      occurrenceNumber: 2,
+      scheduledFor: fromNow(DAY),
+      recurrence: { frequency: 'yearly' },
+    });
+
+    await expect(edit('s1_2', { textContent: 'c2VhbGVk', encryption: { keyId: 'bobs-key', iv: 'aXY=' } }))
+      .rejects.toThrow('Invalid encryption: unknown key');
+  });
+});
+
+describe('editing capsule media', () => {
+  beforeEach(async () => {
+    admin.reset();
+    await addUser('alice');
+    await addUser('bob');
+    await befriend('alice', 'bob');
+  });
+
+  test('swaps the media of an edited capsule and removes the replaced files', async () => {
+    await upload('scheduled_messages/alice/old.jpg');
+    await createMessage('m1', { imagePaths: ['scheduled_messages/alice/old.jpg'] });
+    await upload('scheduled_messages/alice/new.jpg');
+
+    await edit('m1', { imagePaths: ['scheduled_messages/alice/new.jpg'] });
+
+    const message = await getMessage('m1');
+    expect(message.sealedMedia).toEqual([{ path: 'sealed_capsules/m1/new.jpg', kind: 'image' }]);
+    expect(message.revisionCount).toBe(1);
+    expect(bucket().files.has('sealed_capsules/m1/new.jpg')).toBe(true);
+    expect(bucket().files.has('sealed_capsules/m1/old.jpg')).toBe(false);
+  });
+
+  test('leaves the capsule and the new upload untouched when an edit cannot seal its media', async () => {
+    await upload('scheduled_messages/alice/old.jpg');
+    await createMessage('m1', { imagePaths: ['scheduled_messages/alice/old.jpg'] });
+    await upload('scheduled_messages/alice/first.jpg');
+    await upload('scheduled_messages/alice/second.jpg');
+    bucket().failNext('scheduled_messages/alice/second.jpg', 'move');
+
+    await expect(edit('m1', {
+      imagePaths: ['scheduled_messages/alice/first.jpg', 'scheduled_messages/alice/second.jpg'],
+    })).rejects.toThrow('Media could not be attached, please try again');
+
+    const message = await getMessage('m1');
+    expect(message.sealedMedia).toEqual([{ path: 'sealed_capsules/m1/old.jpg', kind: 'image' }]);
+    expect(message.revisionCount).toBeUndefined();
+    expect(bucket().files.has('sealed_capsules/m1/old.jpg')).toBe(true);
+    expect(bucket().files.has('scheduled_messages/alice/first.jpg')).toBe(true);
+    expect(bucket().files.has('sealed_capsules/m1/first.jpg')).toBe(false);
+  });
+
+  test('never overwrites the sealed media with a new upload of the same name', async () => {
+    await upload('scheduled_messages/alice/photo.jpg', 'old photo');
+    await createMessage('m1', { imagePaths: ['scheduled_messages/alice/photo.jpg'] });
+    await upload('scheduled_messages/alice/photo.jpg', 'new photo');
+    await upload('scheduled_messages/alice/other.jpg');
+    bucket().failNext('scheduled_messages/alice/other.jpg', 'move');
+
+    await expect(edit('m1', {
+      imagePaths: ['scheduled_messages/alice/photo.jpg', 'scheduled_messages/alice/other.jpg'],
+    })).rejects.toThrow('Media could not be attached, please try again');
+
+    expect(bucket().files.get('sealed_capsules/m1/photo.jpg').contents).toBe('old photo');
+    expect(bucket().files.get('scheduled_messages/alice/photo.jpg').contents).toBe('new photo');
+
+    await edit('m1', { imagePaths: ['scheduled_messages/alice/photo.jpg'] });
+
+    const [sealed] = (await getMessage('m1')).sealedMedia;
+    expect(sealed.path).toMatch(/^sealed_capsules\/m1\/.+_photo\.jpg$/);
+    expect(bucket().files.get(sealed.path).contents).toBe('new photo');
+    expect(bucket().files.has('sealed_capsules/m1/photo.jpg')).toBe(false);
+  });
+
+  test('keeps the series media delivered occurrences link to when an occurrence is edited', async () => {
+    await bucket().file('sealed_capsules/s1/photo.jpg').save('jpeg');
+    const sealedMedia = [{ path: 'sealed_capsules/s1/photo.jpg', kind: 'image' }];
+    await addMessage('s1', { status: 'delivered', scheduledFor: fromNow(-DAY), sealedMedia: sealedMedia });
+    await addMessage('s1_2', { seriesId: 's1', occurrenceNumber: 2, scheduledFor: fromNow(DAY), sealedMedia: sealedMedia });
+    await upload('scheduled_messages/alice/photo.jpg');
+
+    await edit('s1_2', { imagePaths: ['scheduled_messages/alice/photo.jpg'] });
+
+    expect((await getMessage('s1_2')).sealedMedia).toEqual([{ path: 'sealed_capsules/s1/s1_2/photo.jpg', kind: 'image' }]);
+    expect(bucket().files.has('sealed_capsules/s1/photo.jpg')).toBe(true);
+    expect(bucket().files.has('sealed_capsules/s1/s1_2/photo.jpg')).toBe(true);
+  });
+});
@@ -0,0 +1,87 @@
+jest.mock('firebase-admin', () => require('./helpers/firebaseAdminFake'));
+jest.mock('firebase-admin/firestore', () => ({ AggregateField: require('./helpers/firebaseAdminFake').AggregateField }));
+jest.mock('firebase-functions/logger');
+
+const mockSendMail = jest.fn();
+jest.mock('nodemailer', () => ({ createTransport: jest.fn(() => ({ sendMail: mockSendMail })) }));
+
+process.env.SMTP_HOST = 'smtp.example.test';
+process.env.EMAIL_FROM = 'Time Capsule <capsules@example.test>';
+
+const nodemailer = require('nodemailer');
+const admin = require('firebase-admin');
+const myFunctions = require('../index');
+const { addUser, befriend, addMessage, getMessage } = require('./helpers/fixtures');
+
+const runScheduler = () => myFunctions.processScheduledMessages.run({});
+
+describe('email delivery channel', () => {
+  beforeEach(async () => {
+    admin.reset();
+    mockSendMail.mockReset();
+    mockSendMail.mockResolvedValue({ messageId: 'smtp-1' });
+    await addUser('alice');
+    await addUser('bob', { email: 'bob@example.test' });
+    await befriend('alice', 'bob');
+  });
+
+  test('emails recipients who chose email instead of a push', async () => {
+    await admin.firestore().collection('users').doc('bob').update({ deliveryChannels: 'email' });
+    await admin.firestore().collection('fcm_tokens').doc('bob-phone').set({ userId: 'bob', token: 'token-bob' });
+    await addMessage('m1', { textContent: 'See you in <b>2030</b>' });
+
+    await runScheduler();
+
+    expect(nodemailer.createTransport).toHaveBeenCalledWith(expect.objectContaining({ host: 'smtp.example.test', port: 587 }));
+    expect(admin.messaging().sent).toHaveLength(0);
+    expect(mockSendMail).toHaveBeenCalledTimes(1);
+    const [email] = mockSendMail.mock.calls[0];
+    expect(email).toMatchObject({ to: 'bob@example.test', from: 'Time Capsule <capsules@example.test>', subject: 'alice sent you a time capsule' });
+    expect(email.html).toContain('See you in &lt;b&gt;2030&lt;/b&gt;');
+    expect(email.text).toContain('See you in <b>2030</b>');
+
+    const message = await getMessage('m1');
+    expect(message.channelStatus.email).toMatchObject({ status: 'sent', providerMessageId: 'smtp-1' });
+    expect(message.channelStatus.push).toBeUndefined();
+  });
+
+  test('falls back to email when no device receives the push', async () => {
+    await addMessage('m1');
+
+    await runScheduler();
+
+    const message = await getMessage('m1');
+    expect(message.channelStatus.push).toMatchObject({ status: 'skipped', reason: 'no_devices' });
+    expect(message.channelStatus.email).toMatchObject({ status: 'sent', fallback: true });
+  });
+
+  test('emails alongside a delivered push only when the recipient asked for both', async () => {
+    await admin.firestore().collection('fcm_tokens').doc('bob-phone').set({ userId: 'bob', token: 'token-bob' });
+    await addMessage('m1');
+
+    await runScheduler();
+    expect(mockSendMail).not.toHaveBeenCalled();
+
+    await admin.firestore().collection('users').doc('bob').update({ deliveryChannels: 'both' });
+    await addMessage('m2');
+
+    await runScheduler();
+
+    expect(mockSendMail).toHaveBeenCalledTimes(1);
+    expect(admin.messaging().sent).toHaveLength(2);
+    expect(Object.keys((await getMessage('m2')).channelStatus).sort()).toEqual(['email', 'push']);
+  });
+
+  test('retries a notification whose email failed and reached no one', async () => {
+    await admin.firestore().collection('users').doc('bob').update({ deliveryChannels: 'email' });
+    mockSendMail.mockRejectedValue(new Error('Connection refused'));
+    await addMessage('m1');
+
+    await runScheduler();
+
+    const message = await getMessage('m1');
+    expect(message.status).toBe('delivered');
+    expect(message.channelStatus.email).toMatchObject({ status: 'failed', reason: 'Connection refused' });
+    expect(message.notificationHoldReason).toBe('retry');
+  });
+});
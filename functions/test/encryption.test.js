@@ -0,0 +1,117 @@
+jest.mock('firebase-admin', () => require('./helpers/firebaseAdminFake'));
+jest.mock('firebase-admin/firestore', () => ({ AggregateField: require('./helpers/firebaseAdminFake').AggregateField }));
+jest.mock('firebase-functions/logger');
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const myFunctions = require('../index');
+const { DAY, fromNow, addUser, befriend, addMessage, getMessage, call } = require('./helpers/fixtures');
+
+const keys = () => admin.firestore().collection('capsuleKeys');
+
+/**
+ * Encrypts text the way the app does with a key from issueCapsuleKey
+ */
+function seal(text, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', Buffer.from(key, 'base64'), iv);
+  const ciphertext = Buffer.concat([cipher.update(text, 'utf8'), cipher.final(), cipher.getAuthTag()]);
+  return { textContent: ciphertext.toString('base64'), iv: iv.toString('base64') };
+}
+
+/**
+ * Decrypts the text of a message with the given key
+ */
+function open(message, key) {
+  const data = Buffer.from(message.textContent, 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', Buffer.from(key, 'base64'), Buffer.from(message.encryption.iv, 'base64'));
+  decipher.setAuthTag(data.subarray(data.length - 16));
+  return Buffer.concat([decipher.update(data.subarray(0, data.length - 16)), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Writes a message from alice sealed with the key
+ */
+async function addSealedMessage(id, keyId, key, data = {}) {
+  const sealed = seal(`Secret ${id}`, key);
+  return addMessage(id, {
+    textContent: sealed.textContent,
+    encryption: { keyId: keyId, iv: sealed.iv, algorithm: 'aes-256-gcm' },
+    ...data,
+  });
+}
+
+describe('sealed capsules', () => {
+  let keyId;
+  let key;
+
+  beforeEach(async () => {
+    admin.reset();
+    await addUser('alice');
+    await addUser('bob');
+    await addUser('carol');
+    await befriend('alice', 'bob');
+    ({ keyId, key } = await call(myFunctions.issueCapsuleKey, 'alice', {}));
+  });
+
+  test('escrows the key and releases it onto the message on delivery', async () => {
+    expect((await keys().doc(keyId).get()).data()).toMatchObject({ senderId: 'alice', key: key, status: 'active' });
+    await addSealedMessage('m1', keyId, key);
+
+    await myFunctions.processScheduledMessages.run({});
+
+    const message = await getMessage('m1');
+    expect(message.status).toBe('delivered');
+    expect(message.encryption.key).toBe(key);
+    expect(open(message, message.encryption.key)).toBe('Secret m1');
+  });
+
+  test('never releases sealed content early, not even for an admin', async () => {
+    await addSealedMessage('m1', keyId, key, { scheduledFor: fromNow(DAY) });
+
+    await expect(call(myFunctions.deliverMessageManually, 'alice', { messageId: 'm1' }))
+      .rejects.toThrow('Sealed messages cannot be delivered before their scheduled time');
+    await expect(call(myFunctions.deliverMessageManually, 'admin', { messageId: 'm1' }, { admin: true }))
+      .rejects.toThrow('Sealed messages cannot be delivered before their scheduled time');
+    expect((await getMessage('m1')).status).toBe('pending');
+  });
+
+  test('re-keys every message still sealed with a rotated key', async () => {
+    const later = { scheduledFor: fromNow(DAY) };
+    await addSealedMessage('m1', keyId, key, later);
+    await addSealedMessage('g1', keyId, key, { ...later, recipientId: null, recipientIds: ['bob', 'carol'], status: 'group' });
+    await addSealedMessage('g1_carol', keyId, key, { ...later, recipientId: 'carol', groupMessageId: 'g1' });
+    await addSealedMessage('s1_2', keyId, key, { ...later, seriesId: 's1', occurrenceNumber: 2, recurrence: { frequency: 'yearly' } });
+    const delivered = await addSealedMessage('s1', keyId, key, { status: 'delivered' });
+    await delivered.update({ 'encryption.key': key });
+
+    const result = await call(myFunctions.rotateCapsuleKey, 'alice', { messageId: 'm1' });
+
+    expect(result.rotatedCount).toBe(4);
+    expect((await keys().doc(keyId).get()).data().status).toBe('retired');
+    const newKey = (await keys().doc(result.keyId).get()).data().key;
+    for (const id of ['m1', 'g1', 'g1_carol', 's1_2']) {
+      const message = await getMessage(id);
+      expect(message.encryption.keyId).toBe(result.keyId);
+      expect(open(message, newKey)).toBe(`Secret ${id}`);
+    }
+    const released = await getMessage('s1');
+    expect(released.encryption.keyId).toBe(keyId);
+    expect(open(released, released.encryption.key)).toBe('Secret s1');
+  });
+
+  test('refuses rotation by others and sealing new text with a retired key', async () => {
+    await addSealedMessage('m1', keyId, key, { scheduledFor: fromNow(DAY) });
+
+    await expect(call(myFunctions.rotateCapsuleKey, 'bob', { messageId: 'm1' })).rejects.toThrow('Permission denied');
+
+    await call(myFunctions.rotateCapsuleKey, 'alice', { messageId: 'm1' });
+    const sealed = seal('Sealed again', key);
+
+    await expect(call(myFunctions.updateScheduledMessage, 'alice', {
+      messageId: 'm1',
+      textContent: sealed.textContent,
+      encryption: { keyId: keyId, iv: sealed.iv },
+    })).rejects.toThrow('Invalid encryption: key has been rotated');
+  });
+});
@@ -0,0 +1,77 @@
+jest.mock('firebase-admin', () => require('./helpers/firebaseAdminFake'));
+jest.mock('firebase-admin/firestore', () => ({ AggregateField: require('./helpers/firebaseAdminFake').AggregateField }));
+jest.mock('firebase-functions/logger');
+
+const admin = require('firebase-admin');
+const myFunctions = require('../index');
+const { addUser, createdEvent } = require('./helpers/fixtures');
+
+const folder = () => admin.firestore().collection('folders').doc('f1');
+const digests = () => admin.firestore().collection('folderActivityDigests');
+
+/**
+ * Adds a media item to the shared folder and runs the media trigger on it
+ */
+async function addMedia(id, type, uploadedBy) {
+  const ref = folder().collection('media').doc(id);
+  await ref.set({ type: type, uploadedBy: uploadedBy });
+  await myFunctions.onFolderMediaCreated.run(await createdEvent(ref, { folderId: 'f1', mediaId: id }));
+}
+
+/**
+ * Push notifications sent to a user
+ */
+function pushesTo(userId) {
+  return admin.messaging().sent.filter((push) => push.token === `token-${userId}`);
+}
+
+describe('shared folder activity', () => {
+  beforeEach(async () => {
+    admin.reset();
+    await addUser('alice');
+    await addUser('bob');
+    await addUser('carol', { folderNotificationMode: 'digest' });
+    await addUser('dave', { folderNotificationMode: 'off' });
+    await Promise.all(['alice', 'bob', 'carol', 'dave'].map((uid) =>
+      admin.firestore().collection('fcm_tokens').doc(`${uid}-phone`).set({ userId: uid, token: `token-${uid}` })));
+    await folder().set({ userId: 'alice', name: 'Summer', isShared: true, contributorIds: ['bob', 'carol', 'dave'] });
+  });
+
+  test('tells everyone but the uploader about new media, following their preference', async () => {
+    await addMedia('m1', 'image', 'bob');
+
+    expect(pushesTo('alice')).toHaveLength(1);
+    expect(pushesTo('alice')[0].notification).toEqual({ title: 'New in "Summer"', body: 'bob added a new photo' });
+    expect(pushesTo('bob')).toHaveLength(0);
+    expect(pushesTo('carol')).toHaveLength(0);
+    expect(pushesTo('dave')).toHaveLength(0);
+    expect((await digests().doc('carol_f1').get()).data().mediaCounts).toEqual({ image: 1 });
+  });
+
+  test('sends one daily digest per subscriber and clears it', async () => {
+    await addMedia('m1', 'image', 'bob');
+    await addMedia('m2', 'image', 'bob');
+    await addMedia('m3', 'video', 'alice');
+    await digests().doc('carol_f2').set({ userId: 'carol', folderId: 'f2', folderName: 'Winter', invited: true });
+
+    await myFunctions.sendFolderActivityDigests.run({});
+
+    expect(pushesTo('carol')).toHaveLength(1);
+    expect(pushesTo('carol')[0].notification.body).toBe('2 new photos and 1 video in "Summer"; you were invited to "Winter"');
+    expect((await digests().get()).size).toBe(0);
+  });
+
+  test('tells newly invited contributors and announces a lock', async () => {
+    await admin.firestore().collection('users').doc('carol').update({ folderNotificationMode: 'immediate' });
+    const before = await folder().get();
+    await folder().update({ contributorIds: ['bob', 'carol', 'dave', 'erin'], isLocked: true });
+    await addUser('erin');
+    await admin.firestore().collection('fcm_tokens').doc('erin-phone').set({ userId: 'erin', token: 'token-erin' });
+
+    await myFunctions.onSharedFolderUpdated.run({ id: 'e1', data: { before: before, after: await folder().get() }, params: { folderId: 'f1' } });
+
+    expect(pushesTo('erin').map((push) => push.notification.title).sort()).toEqual(['Shared Folder Invitation', 'Shared Folder Locked']);
+    expect(pushesTo('bob').map((push) => push.notification.body)).toEqual(['"Summer" has been locked by its owner']);
+    expect(pushesTo('alice')).toHaveLength(0);
+  });
+});
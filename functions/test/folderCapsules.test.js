@@ -0,0 +1,75 @@
+jest.mock('firebase-admin', () => require('./helpers/firebaseAdminFake'));
+jest.mock('firebase-admin/firestore', () => ({ AggregateField: require('./helpers/firebaseAdminFake').AggregateField }));
+jest.mock('firebase-functions/logger');
+
+const admin = require('firebase-admin');
+const myFunctions = require('../index');
+const { MINUTE, DAY, fromNow, addUser } = require('./helpers/fixtures');
+
+const folders = () => admin.firestore().collection('folders');
+const runCapsules = () => myFunctions.processFolderCapsules.run({});
+
+/**
+ * Reads the current data of a folder
+ */
+async function getFolder(id) {
+  return (await folders().doc(id).get()).data();
+}
+
+describe('folder capsules', () => {
+  beforeEach(async () => {
+    admin.reset();
+    await addUser('alice');
+    await addUser('bob');
+    await Promise.all(['alice', 'bob'].map((uid) =>
+      admin.firestore().collection('fcm_tokens').doc(`${uid}-phone`).set({ userId: uid, token: `token-${uid}` })));
+    await folders().doc('f1').set({
+      userId: 'alice',
+      name: 'Class of 2025',
+      isShared: true,
+      contributorIds: ['bob'],
+      capsuleStatus: 'open',
+      sealAt: fromNow(-MINUTE),
+      revealAt: fromNow(DAY),
+    });
+    await folders().doc('f2').set({ userId: 'alice', name: 'Photos', parentFolderId: 'f1' });
+    await folders().doc('f3').set({ userId: 'alice', name: 'Best of', parentFolderId: 'f2' });
+  });
+
+  test('seals and locks the capsule with every folder below it', async () => {
+    await folders().doc('f4').set({ userId: 'alice', capsuleStatus: 'open', sealAt: fromNow(DAY), revealAt: fromNow(2 * DAY) });
+
+    await runCapsules();
+
+    expect(await getFolder('f1')).toMatchObject({ capsuleStatus: 'sealed', isLocked: true });
+    expect((await getFolder('f2')).capsuleStatus).toBe('sealed');
+    expect((await getFolder('f3')).capsuleStatus).toBe('sealed');
+    expect((await getFolder('f4')).capsuleStatus).toBe('open');
+  });
+
+  test('reveals the capsule when its time comes and tells everyone', async () => {
+    await runCapsules();
+    await folders().doc('f1').update({ revealAt: fromNow(-MINUTE) });
+
+    await runCapsules();
+    await runCapsules();
+
+    expect((await getFolder('f1')).capsuleStatus).toBe('revealed');
+    expect((await getFolder('f3')).capsuleStatus).toBe('revealed');
+    expect(admin.messaging().sent.map((push) => push.token).sort()).toEqual(['token-alice', 'token-bob']);
+    expect(admin.messaging().sent[0].notification).toEqual({
+      title: 'Folder Capsule Revealed',
+      body: '"Class of 2025" is open, see what everyone added',
+    });
+  });
+
+  test('announces the reveal even to contributors who chose the digest', async () => {
+    await admin.firestore().collection('users').doc('bob').update({ folderNotificationMode: 'digest' });
+    await folders().doc('f1').update({ capsuleStatus: 'sealed', revealAt: fromNow(-MINUTE) });
+
+    await runCapsules();
+
+    expect(admin.messaging().sent.map((push) => push.token).sort()).toEqual(['token-alice', 'token-bob']);
+    expect((await admin.firestore().collection('folderActivityDigests').get()).size).toBe(0);
+  });
+});
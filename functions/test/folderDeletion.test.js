@@ -0,0 +1,74 @@
+jest.mock('firebase-admin', () => require('./helpers/firebaseAdminFake'));
+jest.mock('firebase-admin/firestore', () => ({ AggregateField: require('./helpers/firebaseAdminFake').AggregateField }));
+jest.mock('firebase-functions/logger');
+
+const admin = require('firebase-admin');
+const myFunctions = require('../index');
+
+const folders = () => admin.firestore().collection('folders');
+const bucket = () => admin.storage().bucket();
+
+/**
+ * Deletes a folder document and runs the deletion trigger on it, as Firestore would
+ */
+async function deleteFolder(folderId) {
+  const snapshot = await folders().doc(folderId).get();
+  await folders().doc(folderId).delete();
+  await myFunctions.onFolderDeleted.run({ data: snapshot, params: { folderId: folderId } });
+}
+
+/**
+ * Writes a folder with one media item, one diary entry and their storage objects
+ */
+async function addFolder(folderId, data = {}) {
+  await folders().doc(folderId).set({ userId: 'alice', name: folderId, ...data });
+  await folders().doc(folderId).collection('media').doc('m1').set({ type: 'image' });
+  await folders().doc(folderId).collection('media').doc('m1').collection('comments').doc('c1').set({ text: 'Nice' });
+  await folders().doc(folderId).collection('diary_entries').doc('d1').set({ text: 'Dear diary' });
+  await bucket().file(`folders/${folderId}/photo.jpg`).save('jpeg');
+}
+
+describe('folder deletion', () => {
+  beforeEach(() => {
+    admin.reset();
+  });
+
+  test('removes the folder\'s media, entries, files, digests and share links', async () => {
+    await addFolder('f1');
+    await addFolder('f10');
+    await admin.firestore().collection('folderActivityDigests').doc('bob_f1').set({ userId: 'bob', folderId: 'f1' });
+    await admin.firestore().collection('folderShareLinks').doc('l1').set({ folderId: 'f1' });
+
+    await deleteFolder('f1');
+
+    const media = folders().doc('f1').collection('media').doc('m1');
+    expect((await media.get()).exists).toBe(false);
+    expect((await media.collection('comments').doc('c1').get()).exists).toBe(false);
+    expect((await folders().doc('f1').collection('diary_entries').doc('d1').get()).exists).toBe(false);
+    expect(bucket().files.has('folders/f1/photo.jpg')).toBe(false);
+    expect((await admin.firestore().collection('folderActivityDigests').doc('bob_f1').get()).exists).toBe(false);
+    expect((await admin.firestore().collection('folderShareLinks').doc('l1').get()).exists).toBe(false);
+    // A folder whose ID merely starts with the same characters is untouched
+    expect((await folders().doc('f10').collection('media').doc('m1').get()).exists).toBe(true);
+    expect(bucket().files.has('folders/f10/photo.jpg')).toBe(true);
+  });
+
+  test('cascades through child folders, whose deletion fires the trigger again', async () => {
+    await addFolder('f1');
+    await addFolder('f2', { parentFolderId: 'f1' });
+    await addFolder('f3', { parentFolderId: 'f2' });
+    const children = [await folders().doc('f2').get(), await folders().doc('f3').get()];
+
+    await deleteFolder('f1');
+
+    expect((await folders().doc('f2').get()).exists).toBe(false);
+    expect((await folders().doc('f3').get()).exists).toBe(true);
+
+    // Firestore reports the deleted child, which removes its contents and its own children
+    await myFunctions.onFolderDeleted.run({ data: children[0], params: { folderId: 'f2' } });
+
+    expect((await folders().doc('f3').get()).exists).toBe(false);
+    expect((await folders().doc('f2').collection('media').doc('m1').get()).exists).toBe(false);
+    expect(bucket().files.has('folders/f2/photo.jpg')).toBe(false);
+  });
+});
@@ -0,0 +1,52 @@
+jest.mock('firebase-admin', () => require('./helpers/firebaseAdminFake'));
+jest.mock('firebase-admin/firestore', () => ({ AggregateField: require('./helpers/firebaseAdminFake').AggregateField }));
+jest.mock('firebase-functions/logger');
+
+const admin = require('firebase-admin');
+const myFunctions = require('../index');
+const { addUser, createdEvent, updatedEvent } = require('./helpers/fixtures');
+
+const requests = () => admin.firestore().collection('friendRequests');
+
+/**
+ * Moves a friend request to a new status and runs the update trigger on it
+ */
+async function answerRequest(id, status) {
+  const before = await requests().doc(id).get();
+  await requests().doc(id).update({ status: status });
+  await myFunctions.onFriendRequestUpdated.run(await updatedEvent(before, { requestId: id }));
+}
+
+describe('friend request notifications', () => {
+  beforeEach(async () => {
+    admin.reset();
+    await addUser('alice');
+    await addUser('bob');
+    await admin.firestore().collection('fcm_tokens').doc('alice-phone').set({ userId: 'alice', token: 'token-alice' });
+    await admin.firestore().collection('fcm_tokens').doc('bob-phone').set({ userId: 'bob', token: 'token-bob' });
+    await requests().doc('r1').set({ senderId: 'alice', receiverId: 'bob', status: 'pending' });
+  });
+
+  test('tells the receiver about a new request', async () => {
+    await myFunctions.onFriendRequestCreated.run(await createdEvent(requests().doc('r1'), { requestId: 'r1' }));
+
+    expect(admin.messaging().sent).toHaveLength(1);
+    const [push] = admin.messaging().sent;
+    expect(push.token).toBe('token-bob');
+    expect(push.notification.body).toBe('alice wants to be your friend');
+    expect(push.data).toMatchObject({ type: 'friend_request', targetId: 'r1', senderId: 'alice' });
+  });
+
+  test('tells the sender when the request is accepted but not when it is declined', async () => {
+    await requests().doc('r2').set({ senderId: 'alice', receiverId: 'bob', status: 'pending' });
+
+    await answerRequest('r1', 'declined');
+    await answerRequest('r2', 'accepted');
+
+    expect(admin.messaging().sent).toHaveLength(1);
+    const [push] = admin.messaging().sent;
+    expect(push.token).toBe('token-alice');
+    expect(push.notification.body).toBe('bob accepted your friend request');
+    expect(push.data).toMatchObject({ type: 'friend_request_accepted', targetId: 'bob', requestId: 'r2' });
+  });
+});
@@ -0,0 +1,83 @@
+jest.mock('firebase-admin', () => require('./helpers/firebaseAdminFake'));
+jest.mock('firebase-admin/firestore', () => ({ AggregateField: require('./helpers/firebaseAdminFake').AggregateField }));
+jest.mock('firebase-functions/logger');
+
+const admin = require('firebase-admin');
+const myFunctions = require('../index');
+const { DAY, fromNow, addUser, befriend, addMessage, getMessage, createdEvent } = require('./helpers/fixtures');
+
+const friendship = () => admin.firestore().collection('friendships').doc('alice_bob');
+const folders = () => admin.firestore().collection('folders');
+
+/**
+ * Deletes the friendship of alice and bob as the given user and runs the deletion trigger
+ * @param {string|null} authId - The user who ended the friendship, or null for a server-side deletion
+ */
+async function unfriend(authId) {
+  const snapshot = await friendship().get();
+  await friendship().delete();
+  await myFunctions.onFriendshipDeleted.run({
+    data: snapshot,
+    params: { friendshipId: 'alice_bob' },
+    authType: authId ? 'app_user' : 'service_account',
+    authId: authId || undefined,
+  });
+}
+
+describe('ended friendships', () => {
+  beforeEach(async () => {
+    admin.reset();
+    await addUser('alice');
+    await addUser('bob', { friendshipEndedCapsulePolicy: 'cancel' });
+    await befriend('alice', 'bob');
+    await admin.firestore().collection('fcm_tokens').doc('alice-phone').set({ userId: 'alice', token: 'token-alice' });
+    await addMessage('from-alice', { scheduledFor: fromNow(DAY) });
+    await addMessage('from-bob', { senderId: 'bob', recipientId: 'alice', scheduledFor: fromNow(DAY) });
+    await addMessage('delivered', { status: 'delivered' });
+    await folders().doc('alices').set({ userId: 'alice', isShared: true, contributorIds: ['bob', 'carol'] });
+    await folders().doc('bobs').set({ userId: 'bob', isShared: true, contributorIds: ['alice'] });
+  });
+
+  test('applies each sender\'s capsule policy and removes the former friend from the remover\'s folders', async () => {
+    await unfriend('alice');
+
+    expect(await getMessage('from-alice')).toMatchObject({ status: 'held', heldReason: 'friendship_ended' });
+    expect(await getMessage('from-bob')).toMatchObject({ status: 'cancelled', cancellationReason: 'friendship_ended' });
+    expect((await getMessage('delivered')).status).toBe('delivered');
+    expect((await folders().doc('alices').get()).data().contributorIds).toEqual(['carol']);
+    expect((await folders().doc('bobs').get()).data().contributorIds).toEqual(['alice']);
+
+    expect(admin.messaging().sent).toHaveLength(1);
+    expect(admin.messaging().sent[0].notification.body)
+      .toBe('1 capsule to bob will be held until you are friends again and bob was removed from 1 shared folder');
+  });
+
+  test('cleans up the folders of both users when it is unknown who ended the friendship', async () => {
+    await unfriend(null);
+
+    expect((await folders().doc('alices').get()).data().contributorIds).toEqual(['carol']);
+    expect((await folders().doc('bobs').get()).data().contributorIds).toEqual([]);
+  });
+
+  test('leaves everything to account deletion when one of them deleted their account', async () => {
+    admin.auth().users.delete('bob');
+
+    await unfriend(null);
+
+    expect((await getMessage('from-alice')).status).toBe('pending');
+    expect((await folders().doc('alices').get()).data().contributorIds).toEqual(['bob', 'carol']);
+  });
+
+  test('releases held capsules when they become friends again', async () => {
+    await unfriend('alice');
+
+    await befriend('alice', 'bob');
+    await myFunctions.onFriendshipCreated.run(await createdEvent(friendship(), { friendshipId: 'alice_bob' }));
+
+    const message = await getMessage('from-alice');
+    expect(message.status).toBe('pending');
+    expect(message.heldReason).toBeUndefined();
+    expect(message.releasedFromHoldAt).toBeDefined();
+    expect((await getMessage('from-bob')).status).toBe('cancelled');
+  });
+});
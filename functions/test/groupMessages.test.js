@@ -0,0 +1,122 @@
+jest.mock('firebase-admin', () => require('./helpers/firebaseAdminFake'));
+jest.mock('firebase-admin/firestore', () => ({ AggregateField: require('./helpers/firebaseAdminFake').AggregateField }));
+jest.mock('firebase-functions/logger');
+
+const admin = require('firebase-admin');
+const myFunctions = require('../index');
+const {
+  MINUTE,
+  HOUR,
+  fromNow,
+  addUser,
+  addMessage,
+  getMessage,
+  createdEvent,
+  updatedEvent,
+} = require('./helpers/fixtures');
+
+const messages = () => admin.firestore().collection('scheduledMessages');
+
+/**
+ * Creates a group message and runs the creation trigger on it
+ */
+async function createGroupMessage(id, recipientIds) {
+  const ref = await addMessage(id, { recipientId: admin.firestore.FieldValue.delete(), recipientIds, scheduledFor: fromNow(HOUR) });
+  await myFunctions.onScheduledMessageCreated.run(await createdEvent(ref, { messageId: id }));
+  return ref;
+}
+
+/**
+ * Applies a change to a message and runs the update trigger for it
+ */
+async function changeMessage(id, change) {
+  const before = await messages().doc(id).get();
+  await change();
+  await myFunctions.onScheduledMessageUpdated.run(await updatedEvent(before, { messageId: id }));
+}
+
+describe('group messages', () => {
+  beforeEach(async () => {
+    admin.reset();
+    await addUser('alice');
+    await addUser('bob');
+    await addUser('carol');
+  });
+
+  test('fans out one pending copy per distinct recipient', async () => {
+    await createGroupMessage('g1', ['bob', 'carol', 'bob', '']);
+
+    const parent = await getMessage('g1');
+    expect(parent.status).toBe('group');
+    expect(parent.groupStatus).toBe('pending');
+    expect(parent.recipientIds).toEqual(['bob', 'carol']);
+    expect(parent.recipientCounts).toEqual({ pending: 2 });
+
+    const copies = await messages().where('groupMessageId', '==', 'g1').get();
+    expect(copies.docs.map((doc) => doc.id)).toEqual(['g1_bob', 'g1_carol']);
+    expect(copies.docs.map((doc) => doc.data().recipientId)).toEqual(['bob', 'carol']);
+    expect(copies.docs.every((doc) => doc.data().recipientIds === undefined)).toBe(true);
+  });
+
+  test('leaves existing copies alone when the trigger fires again', async () => {
+    const ref = await createGroupMessage('g1', ['bob', 'carol']);
+    await messages().doc('g1_bob').update({ status: 'delivered' });
+
+    await myFunctions.onScheduledMessageCreated.run(await createdEvent(ref, { messageId: 'g1' }));
+
+    expect((await messages().where('groupMessageId', '==', 'g1').get()).size).toBe(2);
+    expect((await getMessage('g1_bob')).status).toBe('delivered');
+    expect((await getMessage('g1')).recipientCounts).toEqual({ delivered: 1, pending: 1 });
+  });
+
+  test('rejects a group message without valid recipients', async () => {
+    await createGroupMessage('g1', ['', null]);
+
+    const parent = await getMessage('g1');
+    expect(parent.status).toBe('rejected');
+    expect(parent.rejectionReason).toBe('invalid_message');
+    expect((await messages().where('groupMessageId', '==', 'g1').get()).empty).toBe(true);
+  });
+
+  test('recounts the parent as its copies are delivered or fail', async () => {
+    await createGroupMessage('g1', ['bob', 'carol']);
+    await admin.firestore().collection('users').doc('carol').delete();
+
+    const before = await Promise.all(['g1_bob', 'g1_carol'].map((id) => messages().doc(id).get()));
+    await Promise.all(before.map((doc) => doc.ref.update({ scheduledFor: fromNow(-MINUTE) })));
+    await myFunctions.processScheduledMessages.run({});
+
+    await myFunctions.onScheduledMessageUpdated.run(await updatedEvent(before[0], { messageId: 'g1_bob' }));
+
+    let parent = await getMessage('g1');
+    expect(parent.recipientCounts).toEqual({ delivered: 1, dead_letter: 1 });
+    expect(parent.groupStatus).toBe('partially_delivered');
+
+    // Events can arrive late and repeatedly; each one recounts from the copies
+    await myFunctions.onScheduledMessageUpdated.run(await updatedEvent(before[1], { messageId: 'g1_carol' }));
+
+    parent = await getMessage('g1');
+    expect(parent.recipientCounts).toEqual({ delivered: 1, dead_letter: 1 });
+    expect(parent.groupStatus).toBe('partially_delivered');
+  });
+
+  test('reports the group delivered once every copy is', async () => {
+    await createGroupMessage('g1', ['bob', 'carol']);
+
+    await changeMessage('g1_bob', () => messages().doc('g1_bob').update({ status: 'delivered' }));
+    expect((await getMessage('g1')).groupStatus).toBe('partially_delivered');
+
+    await changeMessage('g1_carol', () => messages().doc('g1_carol').update({ status: 'delivered' }));
+    expect((await getMessage('g1')).groupStatus).toBe('delivered');
+  });
+
+  test('cancelling the group cancels only the copies not yet delivered', async () => {
+    await createGroupMessage('g1', ['bob', 'carol']);
+    await messages().doc('g1_bob').update({ status: 'delivered' });
+
+    await changeMessage('g1', () => messages().doc('g1').update({ status: 'cancelled' }));
+
+    expect((await getMessage('g1_bob')).status).toBe('delivered');
+    expect((await getMessage('g1_carol')).status).toBe('cancelled');
+  });
+});
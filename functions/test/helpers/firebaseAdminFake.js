@@ -0,0 +1,916 @@
+/**
+ * In-memory stand-in for the parts of firebase-admin the functions use
+ * Firestore keeps documents in a map keyed by path and runs transactions optimistically,
+ * retrying when a document read in the transaction changed before commit. Storage,
+ * messaging and auth record what the functions did so tests can assert on it.
+ * Triggers do not fire on writes; tests call the trigger they want to exercise.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Firestore timestamp with the subset of the real API the functions use
+ */
+class Timestamp {
+  constructor(seconds, nanoseconds) {
+    this.seconds = seconds;
+    this.nanoseconds = nanoseconds;
+  }
+
+  static now() {
+    return Timestamp.fromMillis(Date.now());
+  }
+
+  static fromMillis(millis) {
+    const seconds = Math.floor(millis / 1000);
+    return new Timestamp(seconds, Math.round((millis - seconds * 1000) * 1e6));
+  }
+
+  static fromDate(date) {
+    return Timestamp.fromMillis(date.getTime());
+  }
+
+  toMillis() {
+    return this.seconds * 1000 + Math.floor(this.nanoseconds / 1e6);
+  }
+
+  toDate() {
+    return new Date(this.toMillis());
+  }
+
+  isEqual(other) {
+    return other instanceof Timestamp && other.seconds === this.seconds && other.nanoseconds === this.nanoseconds;
+  }
+}
+
+class GeoPoint {
+  constructor(latitude, longitude) {
+    this.latitude = latitude;
+    this.longitude = longitude;
+  }
+}
+
+/**
+ * Marker for a FieldValue transform, resolved when the write is applied
+ */
+class FieldValueSentinel {
+  constructor(kind, operand) {
+    this.kind = kind;
+    this.operand = operand;
+  }
+}
+
+const FieldValue = {
+  delete: () => new FieldValueSentinel('delete'),
+  serverTimestamp: () => new FieldValueSentinel('serverTimestamp'),
+  increment: (amount) => new FieldValueSentinel('increment', amount),
+  arrayUnion: (...elements) => new FieldValueSentinel('arrayUnion', elements),
+  arrayRemove: (...elements) => new FieldValueSentinel('arrayRemove', elements),
+};
+
+const DOCUMENT_ID = '__name__';
+
+const FieldPath = {
+  documentId: () => DOCUMENT_ID,
+};
+
+const AggregateField = {
+  sum: (field) => ({ aggregateType: 'sum', field }),
+  count: () => ({ aggregateType: 'count' }),
+};
+
+/**
+ * Error with the gRPC status code Firestore reports
+ * @param {number} code - gRPC status code
+ * @param {string} message - Error message
+ * @returns {Error} The error
+ */
+function firestoreError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+const NOT_FOUND = 5;
+const ALREADY_EXISTS = 6;
+const ABORTED = 10;
+
+/**
+ * Copies document data so callers never share state with the store
+ * Timestamps, references and sentinels are immutable and kept as they are
+ * @param {*} value - The value to copy
+ * @returns {*} The copy
+ */
+function clone(value) {
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+
+  return value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+function getField(data, path, id) {
+  if (path === DOCUMENT_ID) {
+    return id;
+  }
+
+  return path.split('.').reduce((value, key) => (isPlainObject(value) ? value[key] : undefined), data);
+}
+
+function valuesEqual(a, b) {
+  if (a instanceof Timestamp || b instanceof Timestamp) {
+    return a instanceof Timestamp && a.isEqual(b);
+  }
+
+  if (a instanceof DocumentReference || b instanceof DocumentReference) {
+    return a instanceof DocumentReference && b instanceof DocumentReference && a.path === b.path;
+  }
+
+  if (Array.isArray(a) || isPlainObject(a)) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  return a === b;
+}
+
+/**
+ * Orders values the way Firestore does across types
+ */
+function typeRank(value) {
+  if (value === null || value === undefined) return 0;
+  if (typeof value === 'boolean') return 1;
+  if (typeof value === 'number') return 2;
+  if (value instanceof Timestamp) return 3;
+  if (typeof value === 'string') return 4;
+  if (value instanceof DocumentReference) return 5;
+  if (Array.isArray(value)) return 6;
+  return 7;
+}
+
+function compareValues(a, b) {
+  const rankDifference = typeRank(a) - typeRank(b);
+
+  if (rankDifference !== 0) {
+    return rankDifference;
+  }
+
+  if (a instanceof Timestamp) {
+    return a.toMillis() - b.toMillis() || a.nanoseconds - b.nanoseconds;
+  }
+
+  if (a instanceof DocumentReference) {
+    return a.path < b.path ? -1 : a.path > b.path ? 1 : 0;
+  }
+
+  if (typeof a === 'number' || typeof a === 'boolean') {
+    return Number(a) - Number(b);
+  }
+
+  if (typeof a === 'string') {
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+
+  return 0;
+}
+
+function matchesFilter(data, id, { field, op, value }) {
+  const fieldValue = getField(data, field, id);
+
+  switch (op) {
+    case '==':
+      return fieldValue !== undefined && valuesEqual(fieldValue, value);
+    case '!=':
+      return fieldValue !== undefined && fieldValue !== null && !valuesEqual(fieldValue, value);
+    case 'in':
+      return fieldValue !== undefined && value.some((item) => valuesEqual(fieldValue, item));
+    case 'not-in':
+      return fieldValue !== undefined && fieldValue !== null && !value.some((item) => valuesEqual(fieldValue, item));
+    case 'array-contains':
+      return Array.isArray(fieldValue) && fieldValue.some((item) => valuesEqual(item, value));
+    case 'array-contains-any':
+      return Array.isArray(fieldValue) && fieldValue.some((item) => value.some((other) => valuesEqual(item, other)));
+    case '<':
+    case '<=':
+    case '>':
+    case '>=': {
+      if (fieldValue === undefined || typeRank(fieldValue) !== typeRank(value)) {
+        return false;
+      }
+      const comparison = compareValues(fieldValue, value);
+      return op === '<' ? comparison < 0 : op === '<=' ? comparison <= 0 : op === '>' ? comparison > 0 : comparison >= 0;
+    }
+    default:
+      throw new Error(`Unsupported query operator ${op}`);
+  }
+}
+
+/**
+ * Applies a FieldValue transform or plain value to the current value of a field
+ */
+function resolveValue(current, value) {
+  if (!(value instanceof FieldValueSentinel)) {
+    return clone(value);
+  }
+
+  switch (value.kind) {
+    case 'serverTimestamp':
+      return Timestamp.now();
+    case 'increment':
+      return (typeof current === 'number' ? current : 0) + value.operand;
+    case 'arrayUnion': {
+      const result = Array.isArray(current) ? [...current] : [];
+      value.operand.forEach((item) => {
+        if (!result.some((existing) => valuesEqual(existing, item))) {
+          result.push(clone(item));
+        }
+      });
+      return result;
+    }
+    case 'arrayRemove':
+      return (Array.isArray(current) ? current : []).filter((item) => !value.operand.some((removed) => valuesEqual(item, removed)));
+    default:
+      throw new Error(`Unsupported field value ${value.kind}`);
+  }
+}
+
+function setPath(data, path, value) {
+  const keys = path.split('.');
+  let target = data;
+
+  keys.slice(0, -1).forEach((key) => {
+    if (!isPlainObject(target[key])) {
+      target[key] = {};
+    }
+    target = target[key];
+  });
+
+  const last = keys[keys.length - 1];
+
+  if (value instanceof FieldValueSentinel && value.kind === 'delete') {
+    delete target[last];
+  } else {
+    target[last] = resolveValue(target[last], value);
+  }
+}
+
+function mergeInto(target, source) {
+  Object.entries(source).forEach(([key, value]) => {
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      mergeInto(target[key], value);
+    } else if (isPlainObject(value)) {
+      target[key] = {};
+      mergeInto(target[key], value);
+    } else if (value instanceof FieldValueSentinel && value.kind === 'delete') {
+      delete target[key];
+    } else {
+      target[key] = resolveValue(target[key], value);
+    }
+  });
+}
+
+/**
+ * The document store shared by every reference, query and transaction
+ */
+class Store {
+  constructor() {
+    this.documents = new Map();
+    this.writeCount = 0;
+  }
+
+  nextUpdateTime() {
+    this.writeCount++;
+    const now = Timestamp.now();
+    return new Timestamp(now.seconds, now.nanoseconds + (this.writeCount % 1e6));
+  }
+
+  /**
+   * Checks a list of writes against the store without applying any of them
+   */
+  validate(writes) {
+    const exists = new Map();
+    const existsNow = (path) => (exists.has(path) ? exists.get(path) : this.documents.has(path));
+
+    writes.forEach(({ type, ref }) => {
+      if (type === 'create' && existsNow(ref.path)) {
+        throw firestoreError(ALREADY_EXISTS, `Document already exists: ${ref.path}`);
+      }
+      if (type === 'update' && !existsNow(ref.path)) {
+        throw firestoreError(NOT_FOUND, `No document to update: ${ref.path}`);
+      }
+      exists.set(ref.path, type !== 'delete');
+    });
+  }
+
+  apply(writes) {
+    this.validate(writes);
+
+    writes.forEach(({ type, ref, data, options }) => {
+      const existing = this.documents.get(ref.path);
+      const updateTime = this.nextUpdateTime();
+
+      if (type === 'delete') {
+        this.documents.delete(ref.path);
+        return;
+      }
+
+      let nextData;
+      if (type === 'update') {
+        nextData = clone(existing.data);
+        Object.entries(data).forEach(([path, value]) => setPath(nextData, path, value));
+      } else if (type === 'set' && options && options.merge && existing) {
+        nextData = clone(existing.data);
+        mergeInto(nextData, data);
+      } else {
+        nextData = {};
+        mergeInto(nextData, data);
+      }
+
+      this.documents.set(ref.path, {
+        data: nextData,
+        createTime: existing ? existing.createTime : updateTime,
+        updateTime: updateTime,
+      });
+    });
+  }
+}
+
+class DocumentSnapshot {
+  constructor(ref, entry) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = Boolean(entry);
+    this.createTime = entry ? entry.createTime : undefined;
+    this.updateTime = entry ? entry.updateTime : undefined;
+    this.readTime = Timestamp.now();
+    this._data = entry ? clone(entry.data) : undefined;
+  }
+
+  data() {
+    return this.exists ? clone(this._data) : undefined;
+  }
+
+  get(field) {
+    return this.exists ? clone(getField(this._data, field, this.id)) : undefined;
+  }
+}
+
+class QuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+class Query {
+  constructor(firestore, collectionPath, options = {}) {
+    this.firestore = firestore;
+    this._collectionPath = collectionPath;
+    this._collectionGroup = options.collectionGroup || false;
+    this._filters = options.filters || [];
+    this._orders = options.orders || [];
+    this._limit = options.limit === undefined ? null : options.limit;
+    this._startAfter = options.startAfter || null;
+  }
+
+  _with(changes) {
+    return new Query(this.firestore, this._collectionPath, {
+      collectionGroup: this._collectionGroup,
+      filters: this._filters,
+      orders: this._orders,
+      limit: this._limit,
+      startAfter: this._startAfter,
+      ...changes,
+    });
+  }
+
+  where(field, op, value) {
+    return this._with({ filters: [...this._filters, { field, op, value }] });
+  }
+
+  orderBy(field, direction = 'asc') {
+    return this._with({ orders: [...this._orders, { field, direction }] });
+  }
+
+  limit(limit) {
+    return this._with({ limit });
+  }
+
+  startAfter(snapshot) {
+    return this._with({ startAfter: snapshot });
+  }
+
+  select() {
+    return this;
+  }
+
+  _inCollection(path) {
+    const segments = path.split('/');
+    const parent = segments.slice(0, -1).join('/');
+
+    return this._collectionGroup ?
+      segments.length >= 2 && segments[segments.length - 2] === this._collectionPath :
+      parent === this._collectionPath;
+  }
+
+  _compare(a, b) {
+    for (const { field, direction } of this._orders) {
+      const comparison = compareValues(getField(a.data, field, a.id), getField(b.data, field, b.id));
+      if (comparison !== 0) {
+        return direction === 'desc' ? -comparison : comparison;
+      }
+    }
+    return a.path < b.path ? -1 : a.path > b.path ? 1 : 0;
+  }
+
+  _run() {
+    const store = this.firestore._store;
+    let rows = [...store.documents.entries()]
+      .filter(([path]) => this._inCollection(path))
+      .map(([path, entry]) => ({ path, entry, data: entry.data, id: path.split('/').pop() }))
+      .filter((row) => this._filters.every((filter) => matchesFilter(row.data, row.id, filter)))
+      // Ordering by a field leaves out documents without it
+      .filter((row) => this._orders.every(({ field }) => getField(row.data, field, row.id) !== undefined))
+      .sort((a, b) => this._compare(a, b));
+
+    if (this._startAfter) {
+      const cursor = {
+        path: this._startAfter.ref.path,
+        id: this._startAfter.id,
+        data: this._startAfter.data() || {},
+      };
+      rows = rows.filter((row) => this._compare(row, cursor) > 0);
+    }
+
+    if (this._limit !== null) {
+      rows = rows.slice(0, this._limit);
+    }
+
+    return rows.map((row) => new DocumentSnapshot(this.firestore.doc(row.path), row.entry));
+  }
+
+  async get() {
+    return new QuerySnapshot(this._run());
+  }
+
+  count() {
+    return {
+      get: async () => {
+        const count = this._run().length;
+        return { data: () => ({ count }) };
+      },
+    };
+  }
+
+  aggregate(spec) {
+    return {
+      get: async () => {
+        const docs = this._run();
+        const result = {};
+
+        Object.entries(spec).forEach(([alias, field]) => {
+          result[alias] = field.aggregateType === 'count' ?
+            docs.length :
+            docs.reduce((sum, doc) => {
+              const value = doc.get(field.field);
+              return sum + (typeof value === 'number' ? value : 0);
+            }, 0);
+        });
+
+        return { data: () => result };
+      },
+    };
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(firestore, path) {
+    super(firestore, path);
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  get parent() {
+    const segments = this.path.split('/');
+    return segments.length > 1 ? this.firestore.doc(segments.slice(0, -1).join('/')) : null;
+  }
+
+  doc(id) {
+    return new DocumentReference(this.firestore, `${this.path}/${id || autoId()}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+class DocumentReference {
+  constructor(firestore, path) {
+    this.firestore = firestore;
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  get parent() {
+    return new CollectionReference(this.firestore, this.path.split('/').slice(0, -1).join('/'));
+  }
+
+  collection(name) {
+    return new CollectionReference(this.firestore, `${this.path}/${name}`);
+  }
+
+  isEqual(other) {
+    return other instanceof DocumentReference && other.path === this.path;
+  }
+
+  async get() {
+    return new DocumentSnapshot(this, this.firestore._store.documents.get(this.path));
+  }
+
+  async set(data, options) {
+    this.firestore._store.apply([{ type: 'set', ref: this, data, options }]);
+  }
+
+  async create(data) {
+    this.firestore._store.apply([{ type: 'create', ref: this, data }]);
+  }
+
+  async update(data) {
+    this.firestore._store.apply([{ type: 'update', ref: this, data }]);
+  }
+
+  async delete() {
+    this.firestore._store.apply([{ type: 'delete', ref: this }]);
+  }
+}
+
+function autoId() {
+  return crypto.randomBytes(15).toString('base64url').slice(0, 20);
+}
+
+/**
+ * Collects writes and applies them together
+ */
+class WriteBatch {
+  constructor(firestore) {
+    this.firestore = firestore;
+    this.writes = [];
+  }
+
+  set(ref, data, options) {
+    this.writes.push({ type: 'set', ref, data, options });
+    return this;
+  }
+
+  create(ref, data) {
+    this.writes.push({ type: 'create', ref, data });
+    return this;
+  }
+
+  update(ref, data) {
+    this.writes.push({ type: 'update', ref, data });
+    return this;
+  }
+
+  delete(ref) {
+    this.writes.push({ type: 'delete', ref });
+    return this;
+  }
+
+  async commit() {
+    this.firestore._store.apply(this.writes);
+  }
+}
+
+class Transaction extends WriteBatch {
+  constructor(firestore) {
+    super(firestore);
+    this.reads = new Map();
+  }
+
+  _recordRead(snapshot) {
+    this.reads.set(snapshot.ref.path, snapshot.exists ? snapshot.updateTime : null);
+  }
+
+  async get(refOrQuery) {
+    if (refOrQuery instanceof DocumentReference) {
+      const snapshot = await refOrQuery.get();
+      this._recordRead(snapshot);
+      return snapshot;
+    }
+
+    const snapshot = await refOrQuery.get();
+    snapshot.docs.forEach((doc) => this._recordRead(doc));
+    return snapshot;
+  }
+
+  async getAll(...refs) {
+    return Promise.all(refs.map((ref) => this.get(ref)));
+  }
+
+  _isCurrent() {
+    const documents = this.firestore._store.documents;
+
+    return [...this.reads.entries()].every(([path, updateTime]) => {
+      const entry = documents.get(path);
+      return updateTime ? Boolean(entry) && entry.updateTime.isEqual(updateTime) : !entry;
+    });
+  }
+}
+
+const MAX_TRANSACTION_ATTEMPTS = 5;
+
+class Firestore {
+  constructor() {
+    this._store = new Store();
+  }
+
+  collection(path) {
+    return new CollectionReference(this, path);
+  }
+
+  collectionGroup(collectionId) {
+    return new Query(this, collectionId, { collectionGroup: true });
+  }
+
+  doc(path) {
+    return new DocumentReference(this, path);
+  }
+
+  batch() {
+    return new WriteBatch(this);
+  }
+
+  async getAll(...refs) {
+    return Promise.all(refs.map((ref) => ref.get()));
+  }
+
+  async runTransaction(updateFunction) {
+    for (let attempt = 1; attempt <= MAX_TRANSACTION_ATTEMPTS; attempt++) {
+      const transaction = new Transaction(this);
+      const result = await updateFunction(transaction);
+
+      // Checking and applying happen in one synchronous step, so no other write can slip in between
+      if (transaction._isCurrent()) {
+        this._store.apply(transaction.writes);
+        return result;
+      }
+    }
+
+    throw firestoreError(ABORTED, 'Transaction contention, too many retries');
+  }
+
+  async recursiveDelete(ref) {
+    const prefix = `${ref.path}/`;
+
+    [...this._store.documents.keys()]
+      .filter((path) => path === ref.path || path.startsWith(prefix))
+      .forEach((path) => this._store.documents.delete(path));
+  }
+}
+
+/**
+ * Cloud Storage bucket holding files as {contents, metadata, metageneration}
+ */
+class Bucket {
+  constructor(name) {
+    this.name = name;
+    this.files = new Map();
+    this.failures = new Map();
+  }
+
+  file(path) {
+    return new File(this, path);
+  }
+
+  async deleteFiles({ prefix }) {
+    [...this.files.keys()]
+      .filter((path) => path.startsWith(prefix))
+      .forEach((path) => this.files.delete(path));
+  }
+
+  async getFiles({ prefix } = {}) {
+    const files = [...this.files.keys()]
+      .filter((path) => !prefix || path.startsWith(prefix))
+      .map((path) => this.file(path));
+    return [files];
+  }
+
+  /**
+   * Makes the next calls of a File method on a path fail, e.g. failNext('a.jpg', 'move')
+   */
+  failNext(path, method, error = Object.assign(new Error(`${method} failed`), { code: 503 })) {
+    this.failures.set(`${method}:${path}`, error);
+  }
+
+  _checkFailure(path, method) {
+    const error = this.failures.get(`${method}:${path}`);
+
+    if (error) {
+      this.failures.delete(`${method}:${path}`);
+      throw error;
+    }
+  }
+}
+
+function notFound(path) {
+  return Object.assign(new Error(`No such object: ${path}`), { code: 404 });
+}
+
+class File {
+  constructor(bucket, path) {
+    this.bucket = bucket;
+    this.name = path;
+  }
+
+  async save(contents, options = {}) {
+    this.bucket._checkFailure(this.name, 'save');
+    this.bucket.files.set(this.name, {
+      contents: String(contents),
+      metadata: { ...(options.metadata && options.metadata.metadata) },
+      metageneration: 1,
+    });
+  }
+
+  async exists() {
+    this.bucket._checkFailure(this.name, 'exists');
+    return [this.bucket.files.has(this.name)];
+  }
+
+  async getMetadata() {
+    this.bucket._checkFailure(this.name, 'getMetadata');
+    const file = this.bucket.files.get(this.name);
+
+    if (!file) {
+      throw notFound(this.name);
+    }
+
+    return [{
+      name: this.name,
+      size: String(file.contents.length),
+      metageneration: String(file.metageneration),
+      metadata: { ...file.metadata },
+    }];
+  }
+
+  async setMetadata({ metadata }, options = {}) {
+    this.bucket._checkFailure(this.name, 'setMetadata');
+    const file = this.bucket.files.get(this.name);
+
+    if (!file) {
+      throw notFound(this.name);
+    }
+
+    if (options.ifMetagenerationMatch !== undefined && Number(options.ifMetagenerationMatch) !== file.metageneration) {
+      throw Object.assign(new Error('Precondition failed'), { code: 412 });
+    }
+
+    file.metageneration++;
+    Object.entries(metadata || {}).forEach(([key, value]) => {
+      if (value === null) {
+        delete file.metadata[key];
+      } else {
+        file.metadata[key] = value;
+      }
+    });
+  }
+
+  async copy(destination) {
+    this.bucket._checkFailure(this.name, 'copy');
+    const file = this.bucket.files.get(this.name);
+
+    if (!file) {
+      throw notFound(this.name);
+    }
+
+    this.bucket.files.set(destination, { contents: file.contents, metadata: { ...file.metadata }, metageneration: 1 });
+  }
+
+  async move(destination) {
+    this.bucket._checkFailure(this.name, 'move');
+    await this.copy(destination);
+    this.bucket.files.delete(this.name);
+  }
+
+  async delete(options = {}) {
+    this.bucket._checkFailure(this.name, 'delete');
+
+    if (!this.bucket.files.has(this.name) && !options.ignoreNotFound) {
+      throw notFound(this.name);
+    }
+
+    this.bucket.files.delete(this.name);
+  }
+
+  async getSignedUrl({ expires }) {
+    this.bucket._checkFailure(this.name, 'getSignedUrl');
+    return [`https://signed.example.test/${this.bucket.name}/${encodeURIComponent(this.name)}?expires=${expires}`];
+  }
+}
+
+const firestoreInstance = new Firestore();
+const bucket = new Bucket('test-bucket.appspot.com');
+
+/**
+ * Push messages handed to FCM, and the tokens FCM should reject
+ */
+const messaging = {
+  sent: [],
+  tokenErrors: new Map(),
+
+  async sendEachForMulticast(message) {
+    const responses = message.tokens.map((token) => {
+      const code = this.tokenErrors.get(token);
+
+      if (code) {
+        return { success: false, error: { code, message: code } };
+      }
+
+      this.sent.push({ ...message, tokens: undefined, token });
+      return { success: true, messageId: `fcm-${this.sent.length}` };
+    });
+
+    return {
+      responses,
+      successCount: responses.filter((response) => response.success).length,
+      failureCount: responses.filter((response) => !response.success).length,
+    };
+  },
+
+  async send(message) {
+    this.sent.push(message);
+    return `fcm-${this.sent.length}`;
+  },
+};
+
+/**
+ * Auth accounts by uid; users missing here are reported as deleted
+ */
+const auth = {
+  users: new Map(),
+
+  async getUser(uid) {
+    const user = this.users.get(uid);
+
+    if (!user) {
+      throw Object.assign(new Error(`No user record for ${uid}`), { code: 'auth/user-not-found' });
+    }
+
+    return { uid, ...user };
+  },
+
+  async setCustomUserClaims(uid, claims) {
+    const user = await this.getUser(uid);
+    this.users.set(uid, { ...user, customClaims: claims });
+  },
+};
+
+function firestore() {
+  return firestoreInstance;
+}
+
+firestore.Timestamp = Timestamp;
+firestore.FieldValue = FieldValue;
+firestore.FieldPath = FieldPath;
+firestore.GeoPoint = GeoPoint;
+firestore.DocumentReference = DocumentReference;
+
+/**
+ * Clears every document, file, push and account between tests
+ */
+function reset() {
+  firestoreInstance._store = new Store();
+  bucket.files.clear();
+  bucket.failures.clear();
+  messaging.sent.length = 0;
+  messaging.tokenErrors.clear();
+  auth.users.clear();
+}
+
+module.exports = {
+  initializeApp: () => ({}),
+  firestore: firestore,
+  storage: () => ({ bucket: () => bucket }),
+  messaging: () => messaging,
+  auth: () => auth,
+  AggregateField: AggregateField,
+  Timestamp: Timestamp,
+  FieldValue: FieldValue,
+  db: firestoreInstance,
+  bucket: bucket,
+  reset: reset,
+};
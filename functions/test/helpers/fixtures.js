@@ -0,0 +1,115 @@
+/**
+ * Builders for the documents, events and requests the tests feed to the functions
+ */
+
+const admin = require('firebase-admin');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+/**
+ * Firestore timestamp relative to now
+ * @param {number} millis - Offset from now, negative for the past
+ * @returns {Object} The timestamp
+ */
+function fromNow(millis) {
+  return admin.firestore.Timestamp.fromMillis(Date.now() + millis);
+}
+
+/**
+ * Creates a user profile and its Auth account
+ * @param {string} uid - The user ID
+ * @param {Object} [data] - Extra profile fields
+ */
+async function addUser(uid, data = {}) {
+  admin.auth().users.set(uid, { email: null });
+  await admin.firestore().collection('users').doc(uid).set({ username: uid, ...data });
+}
+
+/**
+ * Records a friendship the way the app stores it, with the participants sorted
+ * @param {string} userIdA - One friend
+ * @param {string} userIdB - The other friend
+ */
+async function befriend(userIdA, userIdB) {
+  const [userId1, userId2] = [userIdA, userIdB].sort();
+  await admin.firestore().collection('friendships').doc(`${userId1}_${userId2}`).set({ userId1, userId2 });
+}
+
+/**
+ * Writes a scheduled message from alice to bob that is due a minute ago unless overridden
+ * @param {string} id - The message ID
+ * @param {Object} [data] - Fields that replace the defaults
+ * @returns {Promise<Object>} Reference to the message
+ */
+async function addMessage(id, data = {}) {
+  const ref = admin.firestore().collection('scheduledMessages').doc(id);
+
+  await ref.set({
+    senderId: 'alice',
+    recipientId: 'bob',
+    textContent: 'Hello from the past',
+    scheduledFor: fromNow(-MINUTE),
+    status: 'pending',
+    createdAt: fromNow(-DAY),
+    ...data,
+  });
+
+  return ref;
+}
+
+/**
+ * Reads the current data of a message
+ * @param {string} id - The message ID
+ * @returns {Promise<Object|undefined>} The message data
+ */
+async function getMessage(id) {
+  return (await admin.firestore().collection('scheduledMessages').doc(id).get()).data();
+}
+
+/**
+ * Builds the event of a document trigger for the current state of a document
+ * @param {Object} ref - The document reference
+ * @param {Object} params - Path parameters of the trigger
+ * @returns {Promise<Object>} The event
+ */
+async function createdEvent(ref, params) {
+  return { data: await ref.get(), params: params };
+}
+
+/**
+ * Builds the event of an update trigger from a snapshot taken before the change
+ * @param {Object} before - Snapshot before the change
+ * @param {Object} params - Path parameters of the trigger
+ * @returns {Promise<Object>} The event
+ */
+async function updatedEvent(before, params) {
+  return { data: { before: before, after: await before.ref.get() }, params: params };
+}
+
+/**
+ * Calls a callable function as the given user
+ * @param {Object} callable - The exported callable
+ * @param {string|null} uid - The caller, or null for an unauthenticated call
+ * @param {Object} data - The request data
+ * @param {Object} [token] - Custom claims of the caller
+ * @returns {Promise<Object>} The callable's result
+ */
+function call(callable, uid, data, token = {}) {
+  return callable.run({ auth: uid ? { uid: uid, token: token } : null, data: data });
+}
+
+module.exports = {
+  MINUTE,
+  HOUR,
+  DAY,
+  fromNow,
+  addUser,
+  befriend,
+  addMessage,
+  getMessage,
+  createdEvent,
+  updatedEvent,
+  call,
+};
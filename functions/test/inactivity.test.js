@@ -0,0 +1,84 @@
+jest.mock('firebase-admin', () => require('./helpers/firebaseAdminFake'));
+jest.mock('firebase-admin/firestore', () => ({ AggregateField: require('./helpers/firebaseAdminFake').AggregateField }));
+jest.mock('firebase-functions/logger');
+
+const admin = require('firebase-admin');
+const myFunctions = require('../index');
+const { MINUTE, HOUR, DAY, fromNow, addUser, befriend, addMessage, getMessage, createdEvent, call } = require('./helpers/fixtures');
+
+const sendWarnings = () => myFunctions.sendInactivityWarnings.run({});
+
+/**
+ * Writes an inactivity capsule of alice with a 30 day period that releases at the given time
+ */
+async function addInactivityCapsule(id, scheduledFor, data = {}) {
+  return addMessage(id, { releaseTrigger: 'inactivity', inactivityDays: 30, scheduledFor: scheduledFor, ...data });
+}
+
+describe('inactivity capsules', () => {
+  beforeEach(async () => {
+    admin.reset();
+    await addUser('alice');
+    await addUser('bob');
+    await befriend('alice', 'bob');
+    await admin.firestore().collection('fcm_tokens').doc('alice-phone').set({ userId: 'alice', token: 'token-alice' });
+  });
+
+  test('starts the inactivity period when the capsule is written and never releases it early', async () => {
+    const ref = await addInactivityCapsule('m1', fromNow(DAY));
+
+    await myFunctions.onScheduledMessageCreated.run(await createdEvent(ref, { messageId: 'm1' }));
+
+    const message = await getMessage('m1');
+    expect(message.status).toBe('pending');
+    expect(Math.abs(message.scheduledFor.toMillis() - fromNow(30 * DAY).toMillis())).toBeLessThan(MINUTE);
+    await expect(call(myFunctions.deliverMessageManually, 'alice', { messageId: 'm1' }))
+      .rejects.toThrow('Inactivity capsules are only released when the sender stops checking in');
+  });
+
+  test('rejects periods out of range and recurring inactivity capsules', async () => {
+    const short = await addInactivityCapsule('m1', fromNow(DAY), { inactivityDays: 3 });
+    const recurring = await addInactivityCapsule('m2', fromNow(DAY), { recurrence: { frequency: 'yearly' } });
+
+    await myFunctions.onScheduledMessageCreated.run(await createdEvent(short, { messageId: 'm1' }));
+    await myFunctions.onScheduledMessageCreated.run(await createdEvent(recurring, { messageId: 'm2' }));
+
+    expect((await getMessage('m1')).failureReason).toBe('Inactivity period must be between 7 and 3650 days');
+    expect((await getMessage('m2')).failureReason).toBe('Inactivity capsules cannot recur');
+  });
+
+  test('postpones every pending capsule of the sender on check-in', async () => {
+    await addInactivityCapsule('m1', fromNow(DAY));
+    await addInactivityCapsule('m2', fromNow(2 * DAY), { inactivityDays: 60 });
+    await addMessage('m3', { scheduledFor: fromNow(DAY) });
+    await admin.firestore().collection('users').doc('alice').update({ inactivityWarningsSent: [7] });
+
+    const result = await call(myFunctions.checkIn, 'alice', { source: 'still_here' });
+
+    expect(result.extendedCount).toBe(2);
+    expect(Math.abs((await getMessage('m1')).scheduledFor.toMillis() - fromNow(30 * DAY).toMillis())).toBeLessThan(MINUTE);
+    expect(Math.abs((await getMessage('m2')).scheduledFor.toMillis() - fromNow(60 * DAY).toMillis())).toBeLessThan(MINUTE);
+    expect((await getMessage('m3')).scheduledFor.toMillis()).toBeLessThan(fromNow(2 * DAY).toMillis());
+    const profile = (await admin.firestore().collection('users').doc('alice').get()).data();
+    expect(profile.lastCheckInSource).toBe('still_here');
+    expect(profile.inactivityWarningsSent).toBeUndefined();
+  });
+
+  test('warns the sender once per threshold before the earliest release', async () => {
+    await addInactivityCapsule('m1', fromNow(5 * DAY + HOUR));
+    await addInactivityCapsule('m2', fromNow(6 * DAY));
+
+    await sendWarnings();
+    await sendWarnings();
+
+    expect(admin.messaging().sent).toHaveLength(1);
+    expect(admin.messaging().sent[0].notification.body).toBe('Your time capsules will be released in 5 days unless you check in');
+
+    await admin.firestore().collection('scheduledMessages').doc('m1').update({ scheduledFor: fromNow(12 * HOUR) });
+    await sendWarnings();
+
+    expect(admin.messaging().sent).toHaveLength(2);
+    expect(admin.messaging().sent[1].notification.body).toBe('Your time capsules will be released in 12 hours unless you check in');
+    expect((await admin.firestore().collection('users').doc('alice').get()).data().inactivityWarningsSent).toEqual([7, 1]);
+  });
+});
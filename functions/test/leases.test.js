@@ -0,0 +1,78 @@
+jest.mock('firebase-admin', () => require('./helpers/firebaseAdminFake'));
+jest.mock('firebase-admin/firestore', () => ({ AggregateField: require('./helpers/firebaseAdminFake').AggregateField }));
+jest.mock('firebase-functions/logger');
+
+const admin = require('firebase-admin');
+const myFunctions = require('../index');
+const { MINUTE, HOUR, DAY, fromNow, addUser, addMessage, getMessage, call } = require('./helpers/fixtures');
+
+const runScheduler = () => myFunctions.processScheduledMessages.run({});
+
+describe('scheduled delivery', () => {
+  beforeEach(async () => {
+    admin.reset();
+    await addUser('alice');
+    await addUser('bob');
+    await admin.firestore().collection('fcm_tokens').doc('bob-phone').set({ userId: 'bob', token: 'token-bob' });
+  });
+
+  test('delivers a due message exactly once when two runs race for it', async () => {
+    await addMessage('m1');
+
+    await Promise.all([runScheduler(), runScheduler()]);
+
+    const message = await getMessage('m1');
+    expect(message.status).toBe('delivered');
+    expect(message.leaseId).toBeUndefined();
+    expect(admin.messaging().sent).toHaveLength(1);
+    expect((await admin.firestore().collection('notifications').where('userId', '==', 'bob').get()).size).toBe(1);
+  });
+
+  test('leaves messages that are not due yet alone', async () => {
+    await addMessage('m1', { scheduledFor: fromNow(HOUR) });
+
+    const result = await call(myFunctions.triggerMessageDelivery, 'admin', {}, { admin: true });
+
+    expect(result.processedCount).toBe(0);
+    expect((await getMessage('m1')).status).toBe('pending');
+  });
+
+  test('does not take over a message whose lease is still held', async () => {
+    await addMessage('m1', { status: 'processing', leaseId: 'live', leaseExpiresAt: fromNow(MINUTE) });
+
+    await runScheduler();
+
+    const message = await getMessage('m1');
+    expect(message.status).toBe('processing');
+    expect(message.leaseId).toBe('live');
+  });
+
+  test('reclaims a message whose lease expired and counts the lost attempt', async () => {
+    await addMessage('m1', { status: 'processing', leaseId: 'crashed', leaseExpiresAt: fromNow(-MINUTE) });
+
+    await runScheduler();
+
+    const message = await getMessage('m1');
+    expect(message.status).toBe('delivered');
+    expect(message.retryCount).toBe(1);
+    expect(message.deliveryAttempts).toEqual([
+      expect.objectContaining({ error: 'Delivery lease expired', permanent: false }),
+    ]);
+  });
+
+  test('dead-letters a message that keeps losing its lease', async () => {
+    await addMessage('m1', {
+      status: 'processing',
+      leaseId: 'crashed',
+      leaseExpiresAt: fromNow(-MINUTE),
+      retryCount: 4,
+    });
+
+    await runScheduler();
+
+    const message = await getMessage('m1');
+    expect(message.status).toBe('dead_letter');
+    expect(message.failureReason).toBe('Delivery lease expired');
+    expect(message.retryCount).toBe(5);
+  });
+});
@@ -0,0 +1,80 @@
+jest.mock('firebase-admin', () => require('./helpers/firebaseAdminFake'));
+jest.mock('firebase-admin/firestore', () => ({ AggregateField: require('./helpers/firebaseAdminFake').AggregateField }));
+jest.mock('firebase-functions/logger');
+
+const admin = require('firebase-admin');
+const myFunctions = require('../index');
+const { addUser } = require('./helpers/fixtures');
+
+const sendReminders = () => myFunctions.sendNostalgiaReminders.run({});
+
+/**
+ * Freezes the clock at the given instant while leaving timers real
+ */
+function setNow(iso) {
+  jest.useFakeTimers({
+    now: new Date(iso),
+    doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'queueMicrotask'],
+  });
+}
+
+/**
+ * Writes a diary entry into one of alice's folders
+ */
+async function addEntry(id, diaryDate, data = {}) {
+  await admin.firestore().collection('diary_entries').doc(id).set({
+    folderId: 'f1',
+    title: `Entry ${id}`,
+    isFavorite: true,
+    diaryDate: admin.firestore.Timestamp.fromDate(new Date(diaryDate)),
+    ...data,
+  });
+}
+
+describe('nostalgia reminders', () => {
+  beforeEach(async () => {
+    admin.reset();
+    await addUser('alice', { timeZone: 'America/New_York', nostalgiaReminders: { enabled: true, hour: 9 } });
+    await addUser('bob', { timeZone: 'UTC' });
+    await admin.firestore().collection('folders').doc('f1').set({ userId: 'alice', name: 'Diary' });
+    await admin.firestore().collection('fcm_tokens').doc('alice-phone').set({ userId: 'alice', token: 'token-alice' });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('reminds of favorites from this day in earlier years at the user\'s local hour, once a day', async () => {
+    await addEntry('e1', '2019-06-15T12:00:00Z');
+    await addEntry('e2', '2022-06-15T12:00:00Z');
+    await addEntry('e3', '2022-06-15T12:00:00Z', { isFavorite: false });
+    await addEntry('e4', '2022-06-16T12:00:00Z');
+    await addEntry('e5', '2025-06-15T08:00:00Z');
+
+    // 08:30 in New York
+    setNow('2025-06-15T12:30:00Z');
+    await sendReminders();
+    expect(admin.messaging().sent).toHaveLength(0);
+
+    // 09:30 in New York
+    setNow('2025-06-15T13:30:00Z');
+    await sendReminders();
+    await sendReminders();
+
+    expect(admin.messaging().sent).toHaveLength(1);
+    const [push] = admin.messaging().sent;
+    expect(push.notification.body).toBe('2 favorite memories from this day, going back 6 years');
+    expect(push.data.entryIds).toBe('e1,e2');
+    expect((await admin.firestore().collection('users').doc('alice').get()).data().nostalgiaReminders.lastSentDate).toBe('2025-06-15');
+  });
+
+  test('includes leap day memories on February 28 of other years', async () => {
+    await addEntry('e1', '2024-02-29T12:00:00Z');
+
+    setNow('2025-02-28T14:30:00Z');
+    await sendReminders();
+
+    expect(admin.messaging().sent).toHaveLength(1);
+    expect(admin.messaging().sent[0].notification.body).toBe('You saved "Entry e1" 1 year ago today');
+  });
+});
@@ -0,0 +1,78 @@
+jest.mock('firebase-admin', () => require('./helpers/firebaseAdminFake'));
+jest.mock('firebase-admin/firestore', () => ({ AggregateField: require('./helpers/firebaseAdminFake').AggregateField }));
+jest.mock('firebase-functions/logger');
+
+const admin = require('firebase-admin');
+const myFunctions = require('../index');
+const { addUser, befriend, addMessage, getMessage, call } = require('./helpers/fixtures');
+
+const notifications = () => admin.firestore().collection('notifications');
+const runScheduler = () => myFunctions.processScheduledMessages.run({});
+
+/**
+ * Notifications in a user's inbox
+ */
+async function inboxOf(userId) {
+  return (await notifications().where('userId', '==', userId).get()).docs;
+}
+
+describe('notification inbox', () => {
+  beforeEach(async () => {
+    admin.reset();
+    await addUser('alice');
+    await addUser('bob');
+    await befriend('alice', 'bob');
+  });
+
+  test('keeps an entry without the capsule\'s text, even when no device is registered', async () => {
+    await addMessage('m1');
+
+    await runScheduler();
+
+    const [entry] = await inboxOf('bob');
+    expect(entry.data()).toMatchObject({
+      type: 'scheduled_message_delivered',
+      title: 'Message from alice',
+      body: 'A time capsule has been delivered to you',
+      read: false,
+    });
+    expect((await getMessage('m1')).notificationId).toBe(entry.id);
+  });
+
+  test('badges each push with the unread count and records an event once', async () => {
+    await admin.firestore().collection('fcm_tokens').doc('bob-phone').set({ userId: 'bob', token: 'token-bob' });
+    await addMessage('m1');
+    await runScheduler();
+    await addMessage('m2');
+    await runScheduler();
+
+    // A retried send of the same event finds the entry it already wrote
+    await admin.firestore().collection('scheduledMessages').doc('m1').update({
+      notificationHeldUntil: admin.firestore.Timestamp.now(),
+      notificationHoldReason: 'retry',
+    });
+    await myFunctions.releaseHeldNotifications.run({});
+
+    expect(await inboxOf('bob')).toHaveLength(2);
+    expect(admin.messaging().sent.map((push) => push.apns.payload.aps.badge)).toEqual([1, 2, 2]);
+    expect(admin.messaging().sent.map((push) => push.android.notification.notificationCount)).toEqual([1, 2, 2]);
+    expect(admin.messaging().sent[2].data.notificationId).toBe((await getMessage('m1')).notificationId);
+  });
+
+  test('marks chosen or all notifications read and returns the new unread count', async () => {
+    await Promise.all(['n1', 'n2', 'n3'].map((id) => notifications().doc(id).set({ userId: 'bob', read: false })));
+    await notifications().doc('other').set({ userId: 'alice', read: false });
+
+    await expect(call(myFunctions.markNotificationsRead, 'bob', {}))
+      .rejects.toThrow('Notification IDs or all = true are required');
+    await expect(call(myFunctions.markNotificationsRead, 'bob', { notificationIds: ['n1', 'other'] }))
+      .rejects.toThrow('Permission denied');
+
+    const some = await call(myFunctions.markNotificationsRead, 'bob', { notificationIds: ['n1', 'n1', 'missing'] });
+    expect(some).toMatchObject({ updatedCount: 1, unreadCount: 2 });
+
+    const rest = await call(myFunctions.markNotificationsRead, 'bob', { all: true });
+    expect(rest).toMatchObject({ updatedCount: 2, unreadCount: 0 });
+    expect((await notifications().doc('other').get()).data().read).toBe(false);
+  });
+});
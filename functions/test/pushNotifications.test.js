@@ -0,0 +1,57 @@
+jest.mock('firebase-admin', () => require('./helpers/firebaseAdminFake'));
+jest.mock('firebase-admin/firestore', () => ({ AggregateField: require('./helpers/firebaseAdminFake').AggregateField }));
+jest.mock('firebase-functions/logger');
+
+const admin = require('firebase-admin');
+const myFunctions = require('../index');
+const { addUser, befriend, addMessage, getMessage } = require('./helpers/fixtures');
+
+const tokens = () => admin.firestore().collection('fcm_tokens');
+const runScheduler = () => myFunctions.processScheduledMessages.run({});
+
+describe('push notifications', () => {
+  beforeEach(async () => {
+    admin.reset();
+    await addUser('alice');
+    await addUser('bob');
+    await befriend('alice', 'bob');
+  });
+
+  test('notifies every registered device once, including a token only on the profile', async () => {
+    await tokens().doc('bob-phone').set({ userId: 'bob', token: 'token-phone', platform: 'android' });
+    await tokens().doc('bob-tablet').set({ userId: 'bob', token: 'token-tablet', platform: 'ios' });
+    await tokens().doc('bob-phone-again').set({ userId: 'bob', token: 'token-phone', platform: 'android' });
+    await tokens().doc('alice-phone').set({ userId: 'alice', token: 'token-alice' });
+    await admin.firestore().collection('users').doc('bob').update({ fcmToken: 'token-legacy' });
+    await addMessage('m1');
+
+    await runScheduler();
+
+    expect(admin.messaging().sent.map((push) => push.token).sort()).toEqual(['token-legacy', 'token-phone', 'token-tablet']);
+    expect(admin.messaging().sent[0].notification).toEqual({ title: 'Message from alice', body: 'Hello from the past' });
+
+    const message = await getMessage('m1');
+    expect(message.notificationSuccessCount).toBe(3);
+    expect(message.channelStatus.push.status).toBe('sent');
+    // Results point at the token documents, never at the raw tokens
+    expect(JSON.stringify(message.notificationResults)).not.toContain('token-');
+    expect(message.notificationResults.map((result) => result.source).sort()).toEqual(['fcm_tokens', 'fcm_tokens', 'profile']);
+  });
+
+  test('prunes tokens FCM no longer accepts and keeps the others', async () => {
+    await tokens().doc('bob-phone').set({ userId: 'bob', token: 'token-phone' });
+    await tokens().doc('bob-old').set({ userId: 'bob', token: 'token-old' });
+    await admin.firestore().collection('users').doc('bob').update({ fcmToken: 'token-invalid' });
+    admin.messaging().tokenErrors.set('token-old', 'messaging/registration-token-not-registered');
+    admin.messaging().tokenErrors.set('token-invalid', 'messaging/invalid-registration-token');
+    await addMessage('m1');
+
+    await runScheduler();
+
+    expect(admin.messaging().sent.map((push) => push.token)).toEqual(['token-phone']);
+    expect((await tokens().doc('bob-phone').get()).exists).toBe(true);
+    expect((await tokens().doc('bob-old').get()).exists).toBe(false);
+    expect((await admin.firestore().collection('users').doc('bob').get()).data().fcmToken).toBeUndefined();
+    expect((await getMessage('m1')).notificationResults.filter((result) => result.pruned)).toHaveLength(2);
+  });
+});
@@ -0,0 +1,83 @@
+jest.mock('firebase-admin', () => require('./helpers/firebaseAdminFake'));
+jest.mock('firebase-admin/firestore', () => ({ AggregateField: require('./helpers/firebaseAdminFake').AggregateField }));
+jest.mock('firebase-functions/logger');
+
+const admin = require('firebase-admin');
+const myFunctions = require('../index');
+const { DAY, fromNow, addUser, befriend, addMessage, getMessage, createdEvent } = require('./helpers/fixtures');
+
+const usage = () => admin.firestore().collection('senderUsage').doc('alice');
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Creates a message due tomorrow and runs the creation trigger on it
+ */
+async function createMessage(id, data = {}) {
+  const ref = await addMessage(id, { scheduledFor: fromNow(DAY), ...data });
+  await myFunctions.onScheduledMessageCreated.run(await createdEvent(ref, { messageId: id }));
+  return getMessage(id);
+}
+
+describe('sender quotas', () => {
+  beforeEach(async () => {
+    admin.reset();
+    await addUser('alice');
+    await addUser('bob');
+    await addUser('carol');
+    await befriend('alice', 'bob');
+    await befriend('alice', 'carol');
+  });
+
+  test('counts each new capsule once towards the daily limit', async () => {
+    const ref = admin.firestore().collection('scheduledMessages').doc('m1');
+    const message = await createMessage('m1');
+
+    expect(message.status).toBe('pending');
+    expect(message.quotaCheckedAt).toBeDefined();
+    expect((await usage().get()).data()).toMatchObject({ day: today(), createdCount: 1 });
+
+    // A retried trigger finds the message already counted
+    await myFunctions.onScheduledMessageCreated.run(await createdEvent(ref, { messageId: 'm1' }));
+    expect((await usage().get()).data().createdCount).toBe(1);
+  });
+
+  test('rejects capsules beyond the daily limit, counting group capsules per recipient', async () => {
+    await usage().set({ day: today(), createdCount: 99 });
+
+    const group = await createMessage('g1', { recipientId: null, recipientIds: ['bob', 'carol'] });
+
+    expect(group.status).toBe('rejected');
+    expect(group.rejectionReason).toBe('daily_limit_exceeded');
+    expect(group.rejectionDetails).toEqual({ limit: 100, current: 99 });
+    expect(await getMessage('g1_bob')).toBeUndefined();
+
+    expect((await createMessage('m1')).status).toBe('pending');
+    expect((await createMessage('m2')).rejectionReason).toBe('daily_limit_exceeded');
+  });
+
+  test('starts a new day with a fresh count', async () => {
+    await usage().set({ day: '2020-01-01', createdCount: 100 });
+
+    expect((await createMessage('m1')).status).toBe('pending');
+    expect((await usage().get()).data()).toMatchObject({ day: today(), createdCount: 1 });
+  });
+
+  test('limits the capsules waiting for one recipient', async () => {
+    await Promise.all(Array.from({ length: 50 }, (_, index) => addMessage(`old${index}`, { scheduledFor: fromNow(DAY) })));
+
+    const message = await createMessage('m1');
+
+    expect(message.rejectionReason).toBe('max_per_recipient_exceeded');
+    expect((await createMessage('m2', { recipientId: 'carol' })).status).toBe('pending');
+  });
+
+  test('limits the media a sender keeps in capsules', async () => {
+    await addMessage('old', { status: 'delivered', mediaBytes: 1024 * 1024 * 1024 - 2 });
+    await admin.storage().bucket().file('scheduled_messages/alice/photo.jpg').save('jpeg');
+
+    const message = await createMessage('m1', { imagePaths: ['scheduled_messages/alice/photo.jpg'] });
+
+    expect(message.rejectionReason).toBe('media_quota_exceeded');
+    expect((await createMessage('m2')).status).toBe('pending');
+  });
+});
@@ -0,0 +1,68 @@
+jest.mock('firebase-admin', () => require('./helpers/firebaseAdminFake'));
+jest.mock('firebase-admin/firestore', () => ({ AggregateField: require('./helpers/firebaseAdminFake').AggregateField }));
+jest.mock('firebase-functions/logger');
+
+const admin = require('firebase-admin');
+const myFunctions = require('../index');
+const { DAY, fromNow, addUser, befriend, addMessage, getMessage, call } = require('./helpers/fixtures');
+
+describe('read receipts', () => {
+  beforeEach(async () => {
+    admin.reset();
+    await addUser('alice');
+    await addUser('bob');
+    await addUser('carol', { readReceiptsEnabled: false });
+    await befriend('alice', 'bob');
+    await admin.firestore().collection('fcm_tokens').doc('alice-phone').set({ userId: 'alice', token: 'token-alice' });
+  });
+
+  test('tells the sender once when the recipient opens a capsule', async () => {
+    await addMessage('m1', { status: 'delivered' });
+
+    await expect(call(myFunctions.markMessageOpened, 'alice', { messageId: 'm1' })).rejects.toThrow('Permission denied');
+    const first = await call(myFunctions.markMessageOpened, 'bob', { messageId: 'm1' });
+    const second = await call(myFunctions.markMessageOpened, 'bob', { messageId: 'm1' });
+
+    expect(first.receiptSent).toBe(true);
+    expect(second.alreadyOpened).toBe(true);
+    expect((await getMessage('m1')).openedAt).toBeDefined();
+    expect(admin.messaging().sent).toHaveLength(1);
+    expect(admin.messaging().sent[0].notification.title).toBe('Your capsule was opened');
+    expect(admin.messaging().sent[0].token).toBe('token-alice');
+  });
+
+  test('records nothing for recipients who turned receipts off and refuses undelivered capsules', async () => {
+    await addMessage('m1', { recipientId: 'carol', status: 'delivered' });
+    await addMessage('m2', { scheduledFor: fromNow(DAY) });
+
+    const result = await call(myFunctions.markMessageOpened, 'carol', { messageId: 'm1' });
+
+    expect(result.receiptSent).toBe(false);
+    expect((await getMessage('m1')).openedAt).toBeUndefined();
+    await expect(call(myFunctions.markMessageOpened, 'bob', { messageId: 'm2' })).rejects.toThrow('Message is pending, not delivered');
+    expect(admin.messaging().sent).toHaveLength(0);
+  });
+
+  test('counts opens over the same per-recipient messages as the totals', async () => {
+    await addMessage('g1', { recipientId: null, recipientIds: ['bob', 'carol'], status: 'group' });
+    await addMessage('g1_bob', { groupMessageId: 'g1', status: 'delivered', openedAt: fromNow(-DAY) });
+    await addMessage('g1_carol', { recipientId: 'carol', groupMessageId: 'g1', status: 'delivered' });
+    await addMessage('m1', { status: 'delivered', openedAt: fromNow(-DAY) });
+    await addMessage('m2', { scheduledFor: fromNow(DAY) });
+    await addMessage('m3', { senderId: 'bob', recipientId: 'alice', status: 'delivered', openedAt: fromNow(-DAY) });
+
+    const stats = await call(myFunctions.getDeliveryStats, 'alice', {});
+
+    expect(stats).toEqual({
+      pending: 1,
+      delivered: 3,
+      opened: 2,
+      unopened: 1,
+      failed: 0,
+      deadLetter: 0,
+      total: 4,
+      groupMessages: 1,
+      rejected: 0,
+    });
+  });
+});
@@ -0,0 +1,92 @@
+jest.mock('firebase-admin', () => require('./helpers/firebaseAdminFake'));
+jest.mock('firebase-admin/firestore', () => ({ AggregateField: require('./helpers/firebaseAdminFake').AggregateField }));
+jest.mock('firebase-functions/logger');
+
+const admin = require('firebase-admin');
+const myFunctions = require('../index');
+const { MINUTE, DAY, fromNow, addUser, befriend, addMessage, getMessage, createdEvent } = require('./helpers/fixtures');
+
+const runScheduler = () => myFunctions.processScheduledMessages.run({});
+
+/**
+ * Entries of a series' delivery history, keyed by occurrence number
+ */
+async function deliveryHistory(seriesId) {
+  const snapshot = await admin.firestore().collection('scheduledMessages').doc(seriesId).collection('deliveryHistory').get();
+  return Object.fromEntries(snapshot.docs.map((doc) => [doc.id, doc.data()]));
+}
+
+describe('recurring capsules', () => {
+  beforeEach(async () => {
+    admin.reset();
+    await addUser('alice');
+    await addUser('bob');
+    await befriend('alice', 'bob');
+  });
+
+  test('schedules the next occurrence without the delivery state of the last one', async () => {
+    await addMessage('m1', { recurrence: { frequency: 'yearly' }, retryCount: 2 });
+
+    await runScheduler();
+
+    const first = await getMessage('m1');
+    const next = await getMessage('m1_2');
+    expect(first.status).toBe('delivered');
+    expect(next).toMatchObject({ seriesId: 'm1', occurrenceNumber: 2, status: 'pending', textContent: 'Hello from the past' });
+    expect(next.seriesStartAt).toEqual(first.scheduledFor);
+    expect(next.scheduledFor.toDate().getUTCFullYear()).toBe(first.scheduledFor.toDate().getUTCFullYear() + 1);
+    expect(next.retryCount).toBeUndefined();
+    expect(next.deliveredAt).toBeUndefined();
+    expect((await deliveryHistory('m1'))['1']).toMatchObject({ messageId: 'm1', nextMessageId: 'm1_2' });
+  });
+
+  test('skips occurrences missed while overdue but counts them', async () => {
+    await addMessage('m1', { scheduledFor: fromNow(-10 * DAY + MINUTE), recurrence: { rrule: 'RRULE:FREQ=DAILY;COUNT=20' } });
+
+    await runScheduler();
+
+    const [next] = (await admin.firestore().collection('scheduledMessages').where('seriesId', '==', 'm1').get()).docs;
+    expect(next.id).toBe('m1_11');
+    expect(next.data().scheduledFor.toMillis()).toBeGreaterThan(Date.now());
+  });
+
+  test('ends the series after its last occurrence', async () => {
+    await addMessage('m1_2', {
+      seriesId: 'm1',
+      seriesStartAt: fromNow(-DAY - MINUTE),
+      occurrenceNumber: 2,
+      recurrence: { rrule: 'FREQ=DAILY;COUNT=2' },
+    });
+
+    await runScheduler();
+
+    expect((await getMessage('m1_2')).status).toBe('delivered');
+    expect(await getMessage('m1_3')).toBeUndefined();
+    expect((await deliveryHistory('m1'))['2'].nextMessageId).toBeNull();
+  });
+
+  test('keeps monthly occurrences on the last day of shorter months', async () => {
+    // Series started on January 31st
+    await addMessage('m1', {
+      scheduledFor: admin.firestore.Timestamp.fromDate(new Date('2024-01-31T09:00:00Z')),
+      recurrence: { frequency: 'monthly' },
+    });
+
+    await runScheduler();
+
+    const next = (await getMessage((await deliveryHistory('m1'))['1'].nextMessageId)).scheduledFor.toDate();
+    const lastDayOfMonth = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+    expect(next.getUTCDate()).toBe(Math.min(31, lastDayOfMonth));
+    expect(next.getUTCHours()).toBe(9);
+  });
+
+  test('rejects rules it cannot expand when the capsule is created', async () => {
+    const ref = await addMessage('m1', { scheduledFor: fromNow(DAY), recurrence: { rrule: 'FREQ=HOURLY' } });
+
+    await myFunctions.onScheduledMessageCreated.run(await createdEvent(ref, { messageId: 'm1' }));
+
+    const message = await getMessage('m1');
+    expect(message.status).toBe('rejected');
+    expect(message.failureReason).toBe('Invalid recurrence: Unsupported recurrence frequency: hourly');
+  });
+});
@@ -0,0 +1,141 @@
+jest.mock('firebase-admin', () => require('./helpers/firebaseAdminFake'));
+jest.mock('firebase-admin/firestore', () => ({ AggregateField: require('./helpers/firebaseAdminFake').AggregateField }));
+jest.mock('firebase-functions/logger');
+
+const admin = require('firebase-admin');
+const myFunctions = require('../index');
+const { DAY, fromNow, addUser, addMessage, getMessage } = require('./helpers/fixtures');
+
+const YEAR = 365 * DAY;
+const bucket = () => admin.storage().bucket();
+const runRetention = () => myFunctions.cleanupOldMessages.run({});
+
+/**
+ * Download URL of a file in the test bucket
+ */
+function downloadUrl(path) {
+  return `https://firebasestorage.googleapis.com/v0/b/${bucket().name}/o/${encodeURIComponent(path)}?alt=media&token=t1`;
+}
+
+/**
+ * Writes a capsule delivered to bob the given time ago
+ */
+function addDelivered(id, age, data = {}) {
+  return addMessage(id, { status: 'delivered', scheduledFor: fromNow(-age), deliveredAt: fromNow(-age), ...data });
+}
+
+describe('message retention', () => {
+  beforeEach(async () => {
+    admin.reset();
+    await addUser('alice');
+    await addUser('bob', { messageRetention: { mode: 'archive', afterYears: 1 } });
+  });
+
+  test('archives old capsules out of the recipient\'s view and keeps them for the sender', async () => {
+    await bucket().file('sealed_capsules/m1/photo.jpg').save('jpeg', { metadata: { metadata: { firebaseStorageDownloadTokens: 't1' } } });
+    await addDelivered('m1', 2 * YEAR, {
+      imageUrls: [downloadUrl('sealed_capsules/m1/photo.jpg'), 'https://example.com/elsewhere.jpg'],
+    });
+    await addDelivered('m2', 30 * DAY);
+    await admin.firestore().collection('notifications').doc('n1').set({ userId: 'bob', data: { messageId: 'm1' } });
+
+    await runRetention();
+
+    const archived = (await admin.firestore().collection('archivedMessages').doc('m1').get()).data();
+    expect(archived.status).toBe('archived');
+    expect(archived.archivedMedia).toEqual([{ path: 'archived_capsules/m1/photo.jpg', kind: 'image' }]);
+    expect(archived.imageUrls).toHaveLength(2);
+    expect(archived.imageUrls[0]).toContain('archived_capsules%2Fm1%2Fphoto.jpg');
+    expect(archived.imageUrls[1]).toBe('https://example.com/elsewhere.jpg');
+
+    expect(bucket().files.get('archived_capsules/m1/photo.jpg').metadata.firebaseStorageDownloadTokens).not.toContain('t1');
+
+    const message = await getMessage('m1');
+    expect(message.recipientRetention).toBe('archive');
+    expect(message.recipientRemovedAt).toBeDefined();
+    expect(message.recipientId).toBeUndefined();
+    expect(message.removedRecipientId).toBe('bob');
+    // The sender's view gets new links and the ones the recipient holds stop working
+    expect(message.imageUrls[0]).toContain('sealed_capsules%2Fm1%2Fphoto.jpg');
+    expect(message.imageUrls[0]).not.toContain('token=t1');
+    expect(message.imageUrls[1]).toBe('https://example.com/elsewhere.jpg');
+    expect(bucket().files.get('sealed_capsules/m1/photo.jpg').metadata.firebaseStorageDownloadTokens).not.toContain('t1');
+    expect((await admin.firestore().collection('notifications').doc('n1').get()).exists).toBe(false);
+
+    expect((await getMessage('m2')).recipientRemovedAt).toBeUndefined();
+  });
+
+  test('handles each capsule once across runs', async () => {
+    await addDelivered('m1', 2 * YEAR);
+
+    await runRetention();
+    const removedAt = (await getMessage('m1')).recipientRemovedAt;
+    await admin.firestore().collection('archivedMessages').doc('m1').delete();
+    await runRetention();
+
+    expect((await getMessage('m1')).recipientRemovedAt.isEqual(removedAt)).toBe(true);
+    expect((await admin.firestore().collection('archivedMessages').doc('m1').get()).exists).toBe(false);
+  });
+
+  test('archives capsules whose media no longer exists', async () => {
+    await addDelivered('m1', 2 * YEAR, { imageUrls: [downloadUrl('sealed_capsules/m1/gone.jpg')] });
+
+    await runRetention();
+
+    const archived = (await admin.firestore().collection('archivedMessages').doc('m1').get()).data();
+    expect(archived.archivedMedia).toEqual([]);
+    expect(archived.imageUrls).toBeUndefined();
+    expect((await getMessage('m1')).recipientRemovedAt).toBeDefined();
+  });
+
+  test('drops capsules without archiving them in delete mode', async () => {
+    await admin.firestore().collection('users').doc('bob').update({ messageRetention: { mode: 'delete', afterYears: 1 } });
+    await addDelivered('m1', 2 * YEAR);
+
+    await runRetention();
+
+    expect((await admin.firestore().collection('archivedMessages').doc('m1').get()).exists).toBe(false);
+    const message = await getMessage('m1');
+    expect(message.recipientRetention).toBe('delete');
+    expect(message.recipientId).toBeUndefined();
+  });
+
+  test('revokes only the recipient\'s links to media shared with other recipients', async () => {
+    const path = 'sealed_capsules/g1/photo.jpg';
+    await bucket().file(path).save('jpeg', { metadata: { metadata: { firebaseStorageDownloadTokens: 'bob-token,carol-token' } } });
+    await addUser('carol');
+    await addDelivered('g1_bob', 2 * YEAR, { groupMessageId: 'g1', imageUrls: [downloadUrl(path).replace('t1', 'bob-token')] });
+    await addDelivered('g1_carol', 2 * YEAR, {
+      recipientId: 'carol',
+      groupMessageId: 'g1',
+      imageUrls: [downloadUrl(path).replace('t1', 'carol-token')],
+    });
+
+    await runRetention();
+
+    const tokens = bucket().files.get(path).metadata.firebaseStorageDownloadTokens.split(',');
+    expect(tokens).not.toContain('bob-token');
+    expect(tokens).toContain('carol-token');
+    expect((await getMessage('g1_carol')).imageUrls[0]).toContain('token=carol-token');
+  });
+
+  test('deletes the capsule once the sender\'s account is gone too', async () => {
+    await admin.firestore().collection('users').doc('alice').delete();
+    const ref = await addDelivered('m1', 2 * YEAR);
+    await ref.collection('revisions').doc('r1').set({ revisedAt: fromNow(-3 * YEAR) });
+
+    await runRetention();
+
+    expect(await getMessage('m1')).toBeUndefined();
+    expect((await ref.collection('revisions').doc('r1').get()).exists).toBe(false);
+  });
+
+  test('leaves capsules of users without a valid setting alone', async () => {
+    await addUser('carol', { messageRetention: { mode: 'archive', afterYears: 0 } });
+    await addDelivered('m1', 2 * YEAR, { recipientId: 'carol' });
+
+    await runRetention();
+
+    expect((await getMessage('m1')).recipientRemovedAt).toBeUndefined();
+  });
+});
@@ -0,0 +1,117 @@
+jest.mock('firebase-admin', () => require('./helpers/firebaseAdminFake'));
+jest.mock('firebase-admin/firestore', () => ({ AggregateField: require('./helpers/firebaseAdminFake').AggregateField }));
+jest.mock('firebase-functions/logger');
+
+const admin = require('firebase-admin');
+const myFunctions = require('../index');
+const { MINUTE, fromNow, addUser, addMessage, getMessage, call } = require('./helpers/fixtures');
+
+const PHOTO_PATH = 'scheduled_messages/alice/photo.jpg';
+const runScheduler = () => myFunctions.processScheduledMessages.run({});
+
+/**
+ * Writes a message with an upload that fails to be sealed on the next attempt
+ */
+async function addFailingMessage(data = {}) {
+  await admin.storage().bucket().file(PHOTO_PATH).save('jpeg');
+  await addMessage('m1', { imagePaths: [PHOTO_PATH], ...data });
+  admin.storage().bucket().failNext(PHOTO_PATH, 'move');
+}
+
+describe('delivery retries', () => {
+  beforeEach(async () => {
+    admin.reset();
+    await addUser('alice');
+    await addUser('bob');
+    await admin.firestore().collection('fcm_tokens').doc('bob-phone').set({ userId: 'bob', token: 'token-bob' });
+  });
+
+  test('dead-letters permanent failures on the first attempt', async () => {
+    await addMessage('m1', { recipientId: 'deleted-user' });
+
+    const result = await call(myFunctions.triggerMessageDelivery, 'admin', {}, { admin: true });
+
+    const message = await getMessage('m1');
+    expect(result.failedCount).toBe(1);
+    expect(message.status).toBe('dead_letter');
+    expect(message.retryCount).toBe(1);
+    expect(message.nextAttemptAt).toBeUndefined();
+    expect(message.deliveryAttempts).toEqual([
+      expect.objectContaining({ error: 'Recipient deleted-user no longer exists', permanent: true }),
+    ]);
+  });
+
+  test('retries transient failures once their backoff has passed', async () => {
+    await addFailingMessage();
+
+    await runScheduler();
+
+    let message = await getMessage('m1');
+    expect(message.status).toBe('failed');
+    expect(message.retryCount).toBe(1);
+    expect(message.deliveryAttempts[0].permanent).toBe(false);
+    expect(message.nextAttemptAt.toMillis()).toBeGreaterThan(Date.now());
+
+    // Still backing off
+    await runScheduler();
+    expect((await getMessage('m1')).status).toBe('failed');
+
+    await admin.firestore().collection('scheduledMessages').doc('m1').update({ nextAttemptAt: fromNow(-MINUTE) });
+    await runScheduler();
+
+    message = await getMessage('m1');
+    expect(message.status).toBe('delivered');
+    expect(message.imageUrls).toHaveLength(1);
+  });
+
+  test('dead-letters a message once its attempts are exhausted', async () => {
+    await addFailingMessage({ status: 'failed', retryCount: 4, nextAttemptAt: fromNow(-MINUTE) });
+
+    await runScheduler();
+
+    const message = await getMessage('m1');
+    expect(message.status).toBe('dead_letter');
+    expect(message.retryCount).toBe(5);
+    expect(message.deadLetteredAt).toBeDefined();
+  });
+
+  test('lets the sender retry a failed message without waiting for the backoff', async () => {
+    await addMessage('m1', { status: 'failed', retryCount: 1, nextAttemptAt: fromNow(MINUTE) });
+    await addMessage('m2', { senderId: 'carol', status: 'failed', retryCount: 1, nextAttemptAt: fromNow(MINUTE) });
+
+    await expect(call(myFunctions.retryFailedMessages, 'alice', { all: true }))
+      .rejects.toThrow('Admin privileges required');
+
+    const result = await call(myFunctions.retryFailedMessages, 'alice', {});
+
+    expect(result.retriedCount).toBe(1);
+    expect((await getMessage('m1')).status).toBe('delivered');
+    expect((await getMessage('m2')).status).toBe('failed');
+  });
+
+  test('retries a notification that failed transiently but not one to a stale token', async () => {
+    await admin.firestore().collection('fcm_tokens').doc('bob-phone').set({ userId: 'bob', token: 'token-broken' });
+    await admin.firestore().collection('fcm_tokens').doc('bob-tablet').set({ userId: 'bob', token: 'token-stale' });
+    admin.messaging().tokenErrors.set('token-broken', 'messaging/internal-error');
+    admin.messaging().tokenErrors.set('token-stale', 'messaging/registration-token-not-registered');
+    await addMessage('m1');
+
+    await runScheduler();
+
+    let message = await getMessage('m1');
+    expect(message.status).toBe('delivered');
+    expect(message.notificationHoldReason).toBe('retry');
+    expect(message.notificationRetryCount).toBe(1);
+    expect((await admin.firestore().collection('fcm_tokens').doc('bob-tablet').get()).exists).toBe(false);
+
+    admin.messaging().tokenErrors.delete('token-broken');
+    await admin.firestore().collection('fcm_tokens').doc('bob-phone').set({ userId: 'bob', token: 'token-stale' });
+    await addMessage('m2');
+
+    await runScheduler();
+
+    message = await getMessage('m2');
+    expect(message.status).toBe('delivered');
+    expect(message.notificationHeldUntil).toBeUndefined();
+  });
+});
@@ -0,0 +1,207 @@
+jest.mock('firebase-admin', () => require('./helpers/firebaseAdminFake'));
+jest.mock('firebase-admin/firestore', () => ({ AggregateField: require('./helpers/firebaseAdminFake').AggregateField }));
+jest.mock('firebase-functions/logger');
+
+const admin = require('firebase-admin');
+const myFunctions = require('../index');
+const {
+  MINUTE,
+  DAY,
+  fromNow,
+  addUser,
+  befriend,
+  addMessage,
+  getMessage,
+  createdEvent,
+  call,
+} = require('./helpers/fixtures');
+
+const bucket = () => admin.storage().bucket();
+const messages = () => admin.firestore().collection('scheduledMessages');
+
+/**
+ * Stores a client upload carrying a download token, as the app's upload would
+ */
+async function upload(path) {
+  await bucket().file(path).save(`contents of ${path}`, { metadata: { metadata: { firebaseStorageDownloadTokens: 'upload-token' } } });
+}
+
+/**
+ * Creates a message due tomorrow and runs the creation trigger on it
+ */
+async function createMessage(id, data) {
+  const ref = await addMessage(id, { scheduledFor: fromNow(DAY), ...data });
+  await myFunctions.onScheduledMessageCreated.run(await createdEvent(ref, { messageId: id }));
+  return ref;
+}
+
+/**
+ * Moves the delivery time of the given messages into the past and runs the scheduler
+ */
+async function deliverNow(...ids) {
+  await Promise.all(ids.map((id) => messages().doc(id).update({ scheduledFor: fromNow(-MINUTE) })));
+  await myFunctions.processScheduledMessages.run({});
+}
+
+describe('capsule media sealing', () => {
+  beforeEach(async () => {
+    admin.reset();
+    await addUser('alice');
+    await addUser('bob');
+    await addUser('carol');
+    await befriend('alice', 'bob');
+  });
+
+  test('moves the sender\'s uploads out of reach when the capsule is created', async () => {
+    await upload('scheduled_messages/alice/photo.jpg');
+    await upload('scheduled_messages/alice/clip.mp4');
+    await upload('scheduled_messages/mallory/theirs.jpg');
+
+    await createMessage('m1', {
+      imagePaths: ['scheduled_messages/alice/photo.jpg', 'scheduled_messages/mallory/theirs.jpg'],
+      videoPath: 'scheduled_messages/alice/clip.mp4',
+    });
+
+    const message = await getMessage('m1');
+    expect(message.sealedMedia).toEqual([
+      { path: 'sealed_capsules/m1/photo.jpg', kind: 'image' },
+      { path: 'sealed_capsules/m1/clip.mp4', kind: 'video' },
+    ]);
+    expect(message.imagePaths).toBeUndefined();
+    expect(message.videoPath).toBeUndefined();
+
+    expect(bucket().files.has('scheduled_messages/alice/photo.jpg')).toBe(false);
+    expect(bucket().files.get('sealed_capsules/m1/photo.jpg').metadata.firebaseStorageDownloadTokens).toBeUndefined();
+    // Files of other users are never pulled into the capsule
+    expect(bucket().files.has('scheduled_messages/mallory/theirs.jpg')).toBe(true);
+  });
+
+  test('keeps an upload that failed to move and seals it before delivery', async () => {
+    await upload('scheduled_messages/alice/photo.jpg');
+    bucket().failNext('scheduled_messages/alice/photo.jpg', 'move');
+
+    await createMessage('m1', { imagePaths: ['scheduled_messages/alice/photo.jpg'] });
+
+    expect((await getMessage('m1')).imagePaths).toEqual(['scheduled_messages/alice/photo.jpg']);
+
+    await deliverNow('m1');
+
+    const message = await getMessage('m1');
+    expect(message.status).toBe('delivered');
+    expect(message.imagePaths).toBeUndefined();
+    expect(message.sealedMedia).toEqual([{ path: 'sealed_capsules/m1/photo.jpg', kind: 'image' }]);
+    expect(bucket().files.has('scheduled_messages/alice/photo.jpg')).toBe(false);
+  });
+
+  test('issues new download links when the capsule is delivered', async () => {
+    await upload('scheduled_messages/alice/photo.jpg');
+    await upload('scheduled_messages/alice/clip.mp4');
+    await createMessage('m1', {
+      imagePaths: ['scheduled_messages/alice/photo.jpg'],
+      videoPath: 'scheduled_messages/alice/clip.mp4',
+    });
+
+    await deliverNow('m1');
+
+    const message = await getMessage('m1');
+    const token = bucket().files.get('sealed_capsules/m1/photo.jpg').metadata.firebaseStorageDownloadTokens;
+    expect(token).toBeTruthy();
+    expect(token).not.toBe('upload-token');
+    expect(message.imageUrls).toEqual([
+      `https://firebasestorage.googleapis.com/v0/b/${bucket().name}/o/sealed_capsules%2Fm1%2Fphoto.jpg?alt=media&token=${token}`,
+    ]);
+    expect(message.videoUrl).toContain('sealed_capsules%2Fm1%2Fclip.mp4');
+  });
+
+  test('seals group media once and releases the same files to every copy with links of its own', async () => {
+    await upload('scheduled_messages/alice/photo.jpg');
+    await createMessage('g1', {
+      recipientId: admin.firestore.FieldValue.delete(),
+      recipientIds: ['bob', 'carol'],
+      imagePaths: ['scheduled_messages/alice/photo.jpg'],
+    });
+
+    const copy = await getMessage('g1_bob');
+    expect(copy.sealedMedia).toEqual([{ path: 'sealed_capsules/g1/photo.jpg', kind: 'image' }]);
+
+    await deliverNow('g1_bob', 'g1_carol');
+
+    const [bobCopy, carolCopy] = await Promise.all([getMessage('g1_bob'), getMessage('g1_carol')]);
+    expect(bobCopy.status).toBe('delivered');
+    expect(bobCopy.imageUrls).toHaveLength(1);
+    expect(carolCopy.imageUrls[0].split('?')[0]).toBe(bobCopy.imageUrls[0].split('?')[0]);
+    expect(carolCopy.imageUrls[0]).not.toBe(bobCopy.imageUrls[0]);
+    expect(bucket().files.get('sealed_capsules/g1/photo.jpg').metadata.firebaseStorageDownloadTokens.split(',')).toHaveLength(2);
+  });
+
+  test('issues no download links when the delivery fails', async () => {
+    await upload('scheduled_messages/alice/photo.jpg');
+    await createMessage('m1', { imagePaths: ['scheduled_messages/alice/photo.jpg'] });
+    await admin.firestore().collection('users').doc('bob').delete();
+
+    await deliverNow('m1');
+
+    const message = await getMessage('m1');
+    expect(message.status).toBe('dead_letter');
+    expect(message.imageUrls).toBeUndefined();
+    expect(bucket().files.get('sealed_capsules/m1/photo.jpg').metadata.firebaseStorageDownloadTokens).toBeUndefined();
+  });
+
+  test('holds the notification until the links of a delivered capsule could be issued', async () => {
+    await admin.firestore().collection('fcm_tokens').doc('bob-phone').set({ userId: 'bob', token: 'token-bob' });
+    await upload('scheduled_messages/alice/photo.jpg');
+    await createMessage('m1', { imagePaths: ['scheduled_messages/alice/photo.jpg'] });
+    bucket().failNext('sealed_capsules/m1/photo.jpg', 'getMetadata');
+
+    await deliverNow('m1');
+
+    let message = await getMessage('m1');
+    expect(message.status).toBe('delivered');
+    expect(message.mediaReleasePending).toBe(true);
+    expect(message.notificationHoldReason).toBe('retry');
+    expect(admin.messaging().sent).toHaveLength(0);
+
+    await messages().doc('m1').update({ notificationHeldUntil: fromNow(-MINUTE) });
+    await myFunctions.releaseHeldNotifications.run({});
+
+    message = await getMessage('m1');
+    expect(message.mediaReleasePending).toBeUndefined();
+    expect(message.imageUrls).toHaveLength(1);
+    expect(admin.messaging().sent).toHaveLength(1);
+  });
+});
+
+describe('early delivery', () => {
+  beforeEach(async () => {
+    admin.reset();
+    await addUser('alice');
+    await addUser('bob');
+  });
+
+  test('lets the sender deliver ahead of schedule but nobody else', async () => {
+    await addMessage('m1', { scheduledFor: fromNow(DAY) });
+
+    await expect(call(myFunctions.deliverMessageManually, 'mallory', { messageId: 'm1' }))
+      .rejects.toThrow('Permission denied');
+    expect((await getMessage('m1')).status).toBe('pending');
+
+    await call(myFunctions.deliverMessageManually, 'alice', { messageId: 'm1' });
+    expect((await getMessage('m1')).status).toBe('delivered');
+  });
+
+  test('returns an early delivery that crashed to pending instead of releasing it', async () => {
+    await addMessage('m1', {
+      status: 'processing',
+      scheduledFor: fromNow(DAY),
+      leaseId: 'crashed',
+      leaseExpiresAt: fromNow(-MINUTE),
+    });
+
+    await myFunctions.processScheduledMessages.run({});
+
+    const message = await getMessage('m1');
+    expect(message.status).toBe('pending');
+    expect(message.leaseId).toBeUndefined();
+    expect(message.retryCount).toBeUndefined();
+  });
+});
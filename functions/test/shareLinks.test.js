@@ -0,0 +1,188 @@
+jest.mock('firebase-admin', () => require('./helpers/firebaseAdminFake'));
+jest.mock('firebase-admin/firestore', () => ({ AggregateField: require('./helpers/firebaseAdminFake').AggregateField }));
+jest.mock('firebase-functions/logger');
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const myFunctions = require('../index');
+const { MINUTE, DAY, fromNow, addUser, call } = require('./helpers/fixtures');
+
+const bucket = () => admin.storage().bucket();
+const shareLinks = () => admin.firestore().collection('folderShareLinks');
+
+/**
+ * Download URL of a file in the test bucket
+ */
+function downloadUrl(path) {
+  return `https://firebasestorage.googleapis.com/v0/b/${bucket().name}/o/${encodeURIComponent(path)}?alt=media&token=t1`;
+}
+
+/**
+ * Sends a GET request to viewSharedFolder and collects the response
+ * @param {string} path - Request path, e.g. "/{token}"
+ * @param {Object} [query] - Query parameters
+ * @returns {Promise<Object>} {statusCode, headers, body}
+ */
+async function viewSharedFolder(path, query = {}) {
+  const req = {
+    method: 'GET',
+    path: path,
+    url: path,
+    query: query,
+    headers: {},
+    get: () => undefined,
+    header: () => undefined,
+  };
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    set(name, value) {
+      this.headers[name.toLowerCase()] = value;
+      return this;
+    },
+    setHeader(name, value) {
+      this.set(name, value);
+    },
+    getHeader(name) {
+      return this.headers[name.toLowerCase()];
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    type(contentType) {
+      return this.set('content-type', contentType);
+    },
+    json(body) {
+      this.body = body;
+    },
+    send(body) {
+      this.body = body;
+    },
+    end() {},
+    on() {},
+  };
+
+  await myFunctions.viewSharedFolder(req, res);
+  return res;
+}
+
+describe('folder share links', () => {
+  beforeEach(async () => {
+    admin.reset();
+    await addUser('alice');
+    await addUser('mallory');
+
+    const folderRef = admin.firestore().collection('folders').doc('f1');
+    await bucket().file('folders/f1/cover.jpg').save('jpeg');
+    await bucket().file('folders/f1/beach.jpg').save('jpeg');
+    await folderRef.set({ userId: 'alice', name: 'Summer', coverImageUrl: downloadUrl('folders/f1/cover.jpg') });
+    await folderRef.collection('media').doc('a').set({
+      type: 'image',
+      url: downloadUrl('folders/f1/beach.jpg'),
+      uploadedBy: 'alice',
+      createdAt: fromNow(-2 * DAY),
+    });
+    await folderRef.collection('media').doc('b').set({
+      type: 'image',
+      url: 'https://example.com/hotlinked.jpg',
+      uploadedBy: 'alice',
+      createdAt: fromNow(-DAY),
+    });
+  });
+
+  test('only the folder owner can create a link, whose token is never stored', async () => {
+    await expect(call(myFunctions.createFolderShareLink, 'mallory', { folderId: 'f1' }))
+      .rejects.toThrow('Only the folder owner can share it');
+
+    const link = await call(myFunctions.createFolderShareLink, 'alice', { folderId: 'f1', expiresInDays: 7 });
+
+    expect(link.url.endsWith(`/${link.token}`)).toBe(true);
+    expect(link.linkId).toBe(crypto.createHash('sha256').update(link.token).digest('hex'));
+
+    const stored = (await shareLinks().doc(link.linkId).get()).data();
+    expect(JSON.stringify(stored)).not.toContain(link.token);
+    expect(stored.expiresAt.toMillis()).toBeGreaterThan(Date.now() + 6 * DAY);
+  });
+
+  test('shows the folder with short-lived signed media URLs and without uploaders', async () => {
+    const { token, linkId } = await call(myFunctions.createFolderShareLink, 'alice', { folderId: 'f1' });
+
+    const res = await viewSharedFolder(`/${token}`, { format: 'json' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['cache-control']).toBe('private, no-store');
+    expect(res.body.folder.name).toBe('Summer');
+    expect(res.body.folder.coverImageUrl).toContain('https://signed.example.test/');
+    // Files hosted outside the bucket cannot be signed, so they are left out
+    expect(res.body.media).toHaveLength(1);
+    expect(res.body.media[0].url).toContain('folders%2Ff1%2Fbeach.jpg');
+    expect(res.body.media[0].uploadedBy).toBeUndefined();
+    expect(Date.parse(res.body.mediaUrlsExpireAt)).toBeLessThanOrEqual(Date.now() + 15 * MINUTE);
+    expect((await shareLinks().doc(linkId).get()).data().viewCount).toBe(1);
+  });
+
+  test('reads the token from the last segment of a rewritten path', async () => {
+    const { token } = await call(myFunctions.createFolderShareLink, 'alice', { folderId: 'f1' });
+
+    const res = await viewSharedFolder(`/share/${token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toBe('html');
+    expect(res.body).toContain('Summer');
+  });
+
+  test('reads the token from the query string, also on the rewritten path', async () => {
+    const { token } = await call(myFunctions.createFolderShareLink, 'alice', { folderId: 'f1' });
+
+    for (const path of ['/', '/share']) {
+      const res = await viewSharedFolder(path, { token: token, format: 'json' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.folder.name).toBe('Summer');
+    }
+  });
+
+  test('signs media URLs no longer than the link itself is valid', async () => {
+    const { token, linkId } = await call(myFunctions.createFolderShareLink, 'alice', { folderId: 'f1', expiresInDays: 1 });
+    const expiresAt = fromNow(5 * MINUTE);
+    await shareLinks().doc(linkId).update({ expiresAt: expiresAt });
+
+    const res = await viewSharedFolder(`/${token}`, { format: 'json' });
+
+    expect(res.body.mediaUrlsExpireAt).toBe(expiresAt.toDate().toISOString());
+  });
+
+  test('hides the contents of a sealed folder', async () => {
+    await admin.firestore().collection('folders').doc('f1').update({ capsuleStatus: 'sealed', revealAt: fromNow(DAY) });
+    const { token } = await call(myFunctions.createFolderShareLink, 'alice', { folderId: 'f1' });
+
+    const res = await viewSharedFolder(`/${token}`, { format: 'json' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.media).toEqual([]);
+    expect(res.body.folder.coverImageUrl).toBeNull();
+  });
+
+  test('refuses unknown, revoked and expired links', async () => {
+    expect((await viewSharedFolder('/not-a-token', { format: 'json' })).statusCode).toBe(404);
+
+    const revoked = await call(myFunctions.createFolderShareLink, 'alice', { folderId: 'f1' });
+    await expect(call(myFunctions.revokeFolderShareLink, 'mallory', { linkId: revoked.linkId }))
+      .rejects.toThrow('Permission denied');
+    await call(myFunctions.revokeFolderShareLink, 'alice', { linkId: revoked.linkId });
+
+    let res = await viewSharedFolder(`/${revoked.token}`, { format: 'json' });
+    expect(res.statusCode).toBe(410);
+    expect(res.body.error).toBe('This share link has been revoked');
+
+    const expired = await call(myFunctions.createFolderShareLink, 'alice', { folderId: 'f1', expiresInDays: 1 });
+    await shareLinks().doc(expired.linkId).update({ expiresAt: fromNow(-MINUTE) });
+
+    res = await viewSharedFolder(`/${expired.token}`, { format: 'json' });
+    expect(res.statusCode).toBe(410);
+    expect(res.body.error).toBe('This share link has expired');
+    expect((await shareLinks().doc(expired.linkId).get()).data().viewCount).toBe(0);
+  });
+});
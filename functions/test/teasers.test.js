@@ -0,0 +1,87 @@
+jest.mock('firebase-admin', () => require('./helpers/firebaseAdminFake'));
+jest.mock('firebase-admin/firestore', () => ({ AggregateField: require('./helpers/firebaseAdminFake').AggregateField }));
+jest.mock('firebase-functions/logger');
+
+const admin = require('firebase-admin');
+const myFunctions = require('../index');
+const { MINUTE, HOUR, DAY, fromNow, addUser, befriend, addMessage, getMessage, createdEvent } = require('./helpers/fixtures');
+
+const teasers = () => admin.firestore().collection('capsuleTeasers');
+const sendTeasers = () => myFunctions.sendCapsuleTeasers.run({});
+
+/**
+ * Writes a pending teaser for message m1 that is due a minute ago
+ */
+async function addTeaser(id, scheduledFor, data = {}) {
+  await teasers().doc(id).set({
+    messageId: 'm1',
+    senderId: 'alice',
+    recipientId: 'bob',
+    offsetHours: 24,
+    sendAt: fromNow(-MINUTE),
+    scheduledFor: scheduledFor,
+    status: 'pending',
+    ...data,
+  });
+}
+
+describe('capsule teasers', () => {
+  beforeEach(async () => {
+    admin.reset();
+    await addUser('alice');
+    await addUser('bob');
+    await befriend('alice', 'bob');
+    await admin.firestore().collection('fcm_tokens').doc('bob-phone').set({ userId: 'bob', token: 'token-bob' });
+  });
+
+  test('plans a teaser for every offset that has not passed yet', async () => {
+    const ref = await addMessage('m1', { scheduledFor: fromNow(2 * DAY), teaserOffsets: [24, 24, 72] });
+
+    await myFunctions.onScheduledMessageCreated.run(await createdEvent(ref, { messageId: 'm1' }));
+
+    const planned = await teasers().where('messageId', '==', 'm1').get();
+    expect(planned.size).toBe(1);
+    expect(planned.docs[0].data().offsetHours).toBe(24);
+    expect(planned.docs[0].data().sendAt.toMillis()).toBe((await getMessage('m1')).scheduledFor.toMillis() - DAY);
+  });
+
+  test('announces the unlock without revealing the capsule\'s content', async () => {
+    const scheduledFor = fromNow(DAY);
+    await addMessage('m1', { scheduledFor: scheduledFor });
+    await addTeaser('t1', scheduledFor);
+
+    await sendTeasers();
+
+    expect(admin.messaging().sent).toHaveLength(1);
+    const [push] = admin.messaging().sent;
+    expect(push.notification.body).toBe('A time capsule from alice unlocks in 24 hours');
+    expect(JSON.stringify(push)).not.toContain('Hello from the past');
+    expect((await teasers().doc('t1').get()).data().status).toBe('sent');
+  });
+
+  test('skips teasers of capsules that were rescheduled or delivered', async () => {
+    await addMessage('m1', { scheduledFor: fromNow(DAY) });
+    await addTeaser('t1', fromNow(2 * DAY));
+    await addMessage('m2', { status: 'delivered' });
+    await addTeaser('t2', fromNow(HOUR), { messageId: 'm2' });
+
+    await sendTeasers();
+
+    expect(admin.messaging().sent).toHaveLength(0);
+    expect((await teasers().doc('t1').get()).data().skipReason).toBe('message_rescheduled');
+    expect((await teasers().doc('t2').get()).data().skipReason).toBe('message_delivered');
+  });
+
+  test('sends every due teaser, not just the first page', async () => {
+    const scheduledFor = fromNow(DAY);
+    await addMessage('m1', { scheduledFor: scheduledFor });
+    const count = 205;
+    await Promise.all(Array.from({ length: count }, (_, index) =>
+      addTeaser(`t${index}`, scheduledFor, { sendAt: fromNow(-MINUTE - index) })));
+
+    await sendTeasers();
+
+    expect(admin.messaging().sent).toHaveLength(count);
+    expect((await teasers().where('status', '==', 'pending').get()).size).toBe(0);
+  });
+});
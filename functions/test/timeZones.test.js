@@ -0,0 +1,97 @@
+jest.mock('firebase-admin', () => require('./helpers/firebaseAdminFake'));
+jest.mock('firebase-admin/firestore', () => ({ AggregateField: require('./helpers/firebaseAdminFake').AggregateField }));
+jest.mock('firebase-functions/logger');
+
+const admin = require('firebase-admin');
+const myFunctions = require('../index');
+const { MINUTE, DAY, fromNow, addUser, befriend, addMessage, getMessage, createdEvent } = require('./helpers/fixtures');
+
+const runScheduler = () => myFunctions.processScheduledMessages.run({});
+const releaseHeld = () => myFunctions.releaseHeldNotifications.run({});
+
+/**
+ * Wall-clock hour and minute of an instant in a time zone, e.g. "09:00"
+ */
+function localTime(timestamp, timeZone) {
+  return new Intl.DateTimeFormat('en-GB', { timeZone: timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+    .format(timestamp.toDate());
+}
+
+describe('recipient time zones', () => {
+  beforeEach(async () => {
+    admin.reset();
+    await addUser('alice');
+    await addUser('bob', { timeZone: 'America/New_York' });
+    await befriend('alice', 'bob');
+  });
+
+  test('schedules a local delivery time in the recipient\'s time zone', async () => {
+    const ref = await addMessage('m1', { scheduledFor: fromNow(DAY), localScheduledFor: '2031-01-15T09:00' });
+
+    await myFunctions.onScheduledMessageCreated.run(await createdEvent(ref, { messageId: 'm1' }));
+
+    const message = await getMessage('m1');
+    expect(message.scheduledFor.toDate().toISOString()).toBe('2031-01-15T14:00:00.000Z');
+    expect(message.scheduledTimeZone).toBe('America/New_York');
+  });
+
+  test('keeps recurring occurrences at the same local time across daylight saving changes', async () => {
+    // 09:00 in New York on a winter day
+    await addMessage('m1', {
+      scheduledFor: admin.firestore.Timestamp.fromDate(new Date('2025-01-15T14:00:00Z')),
+      scheduledTimeZone: 'America/New_York',
+      recurrence: { frequency: 'monthly' },
+    });
+
+    await runScheduler();
+
+    const next = (await admin.firestore().collection('scheduledMessages').where('seriesId', '==', 'm1').get()).docs[0].data();
+    expect(next.scheduledFor.toMillis()).toBeGreaterThan(Date.now());
+    expect(localTime(next.scheduledFor, 'America/New_York')).toBe('09:00');
+  });
+});
+
+describe('quiet hours', () => {
+  beforeEach(async () => {
+    admin.reset();
+    await addUser('alice');
+    // Quiet from the current hour for two hours
+    const hour = new Date().getUTCHours();
+    await addUser('bob', { timeZone: 'UTC', quietHours: { enabled: true, start: hour, end: (hour + 2) % 24 } });
+    await befriend('alice', 'bob');
+    await admin.firestore().collection('fcm_tokens').doc('bob-phone').set({ userId: 'bob', token: 'token-bob' });
+  });
+
+  test('delivers during quiet hours but holds the notification until they end', async () => {
+    await addMessage('m1');
+
+    await runScheduler();
+
+    const message = await getMessage('m1');
+    expect(message.status).toBe('delivered');
+    expect(message.notificationHoldReason).toBe('quiet_hours');
+    expect(message.notificationHeldUntil.toMillis()).toBeGreaterThan(Date.now());
+    expect(admin.messaging().sent).toHaveLength(0);
+
+    // Not yet due
+    await releaseHeld();
+    expect(admin.messaging().sent).toHaveLength(0);
+  });
+
+  test('releases every held notification that is due, not just the first page', async () => {
+    const count = 205;
+    await Promise.all(Array.from({ length: count }, (_, index) => addMessage(`m${index}`, {
+      status: 'delivered',
+      notificationHeldUntil: fromNow(-MINUTE - index),
+      notificationHoldReason: 'quiet_hours',
+    })));
+
+    await releaseHeld();
+
+    expect(admin.messaging().sent).toHaveLength(count);
+    const stillHeld = await admin.firestore().collection('scheduledMessages')
+      .where('notificationHeldUntil', '<=', admin.firestore.Timestamp.now())
+      .get();
+    expect(stillHeld.size).toBe(0);
+  });
+});
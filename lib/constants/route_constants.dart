@@ -16,4 +16,5 @@ class Routes {
   static const String scheduledMessages = '/scheduled-messages';
   static const String deliveredMessages = '/delivered-messages';
   static const String publicFolders = '/public-folders';
+  static const String notifications = '/notifications';
 }
@@ -0,0 +1,78 @@
+import 'package:cloud_firestore/cloud_firestore.dart';
+
+/// An entry of the user's notification inbox, written by Cloud Functions for
+/// every server-sent notification whether or not a device received the push
+class AppNotification {
+  final String id;
+  final String userId;
+  final String type;
+  final String title;
+  final String body;
+  final Map<String, String> data;
+  final bool read;
+  final DateTime? readAt;
+  final DateTime createdAt;
+
+  AppNotification({
+    required this.id,
+    required this.userId,
+    required this.type,
+    required this.title,
+    required this.body,
+    required this.data,
+    required this.read,
+    this.readAt,
+    required this.createdAt,
+  });
+
+  // Factory constructor to create AppNotification from Firestore document
+  factory AppNotification.fromFirestore(DocumentSnapshot doc) {
+    final data = doc.data() as Map<String, dynamic>;
+
+    return AppNotification(
+      id: doc.id,
+      userId: data['userId'] ?? '',
+      type: data['type'] ?? 'general',
+      title: data['title'] ?? '',
+      body: data['body'] ?? '',
+      data: data['data'] is Map
+          ? (data['data'] as Map).map(
+              (key, value) => MapEntry(key.toString(), value?.toString() ?? ''),
+            )
+          : <String, String>{},
+      read: data['read'] == true,
+      readAt: (data['readAt'] is Timestamp && data['readAt'] != null)
+          ? (data['readAt'] as Timestamp).toDate()
+          : null,
+      createdAt: (data['createdAt'] is Timestamp && data['createdAt'] != null)
+          ? (data['createdAt'] as Timestamp).toDate()
+          : DateTime.now(),
+    );
+  }
+
+  // Navigation target of the notification, e.g. a message, folder or user ID
+  String get targetId => data['targetId'] ?? data['messageId'] ?? '';
+
+  // Create a copy of AppNotification with updated fields
+  AppNotification copyWith({
+    bool? read,
+    DateTime? readAt,
+  }) {
+    return AppNotification(
+      id: id,
+      userId: userId,
+      type: type,
+      title: title,
+      body: body,
+      data: data,
+      read: read ?? this.read,
+      readAt: readAt ?? this.readAt,
+      createdAt: createdAt,
+    );
+  }
+
+  @override
+  String toString() {
+    return 'AppNotification(id: $id, type: $type, title: $title, read: $read, createdAt: $createdAt)';
+  }
+}
@@ -1,4 +1,5 @@
 // Barrel file for all models
+export 'app_notification_model.dart';
 export 'diary_entry_model.dart';
 export 'folder_model.dart';
 export 'friend_request_model.dart';
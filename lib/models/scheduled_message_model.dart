@@ -9,11 +9,16 @@ class ScheduledMessage {
   final String textContent;
   final List<String>? imageUrls;
   final String? videoUrl;
+  // Storage paths of the sender's uploads, sealed by the backend until delivery
+  final List<String>? imagePaths;
+  final String? videoPath;
   final DateTime scheduledFor;
   final DateTime createdAt;
   final DateTime updatedAt;
   final ScheduledMessageStatus status;
   final DateTime? deliveredAt;
+  // Set by the backend when the recipient's retention setting removed the message from their view
+  final DateTime? recipientRemovedAt;
 
   ScheduledMessage({
     required this.id,
@@ -22,11 +27,14 @@ class ScheduledMessage {
     required this.textContent,
     this.imageUrls,
     this.videoUrl,
+    this.imagePaths,
+    this.videoPath,
     required this.scheduledFor,
     required this.createdAt,
     required this.updatedAt,
     required this.status,
     this.deliveredAt,
+    this.recipientRemovedAt,
   });
 
   // Factory constructor to create ScheduledMessage from Firestore document
@@ -36,12 +44,17 @@ class ScheduledMessage {
     return ScheduledMessage(
       id: doc.id,
       senderId: data['senderId'] ?? '',
-      recipientId: data['recipientId'] ?? '',
+      // The sender still sees who a capsule went to after the recipient's retention removed it
+      recipientId: data['recipientId'] ?? data['removedRecipientId'] ?? '',
       textContent: data['textContent'] ?? '',
       imageUrls: data['imageUrls'] != null 
           ? List<String>.from(data['imageUrls'] as List)
           : null,
       videoUrl: data['videoUrl'],
+      imagePaths: data['imagePaths'] != null
+          ? List<String>.from(data['imagePaths'] as List)
+          : null,
+      videoPath: data['videoPath'],
       scheduledFor: (data['scheduledFor'] is Timestamp && data['scheduledFor'] != null)
           ? (data['scheduledFor'] as Timestamp).toDate()
           : DateTime.now(),
@@ -55,6 +68,9 @@ class ScheduledMessage {
       deliveredAt: (data['deliveredAt'] is Timestamp && data['deliveredAt'] != null)
           ? (data['deliveredAt'] as Timestamp).toDate()
           : null,
+      recipientRemovedAt: data['recipientRemovedAt'] is Timestamp
+          ? (data['recipientRemovedAt'] as Timestamp).toDate()
+          : null,
     );
   }
 
@@ -64,8 +80,11 @@ class ScheduledMessage {
       'senderId': senderId,
       'recipientId': recipientId,
       'textContent': textContent,
-      'imageUrls': imageUrls,
-      'videoUrl': videoUrl,
+      // Download URLs are only set by the backend on delivery
+      if (imageUrls != null) 'imageUrls': imageUrls,
+      if (videoUrl != null) 'videoUrl': videoUrl,
+      if (imagePaths != null) 'imagePaths': imagePaths,
+      if (videoPath != null) 'videoPath': videoPath,
       'scheduledFor': Timestamp.fromDate(scheduledFor),
       'createdAt': Timestamp.fromDate(createdAt),
       'updatedAt': Timestamp.fromDate(updatedAt),
@@ -82,11 +101,14 @@ class ScheduledMessage {
     String? textContent,
     List<String>? imageUrls,
     String? videoUrl,
+    List<String>? imagePaths,
+    String? videoPath,
     DateTime? scheduledFor,
     DateTime? createdAt,
     DateTime? updatedAt,
     ScheduledMessageStatus? status,
     DateTime? deliveredAt,
+    DateTime? recipientRemovedAt,
   }) {
     return ScheduledMessage(
       id: id ?? this.id,
@@ -95,11 +117,14 @@ class ScheduledMessage {
       textContent: textContent ?? this.textContent,
       imageUrls: imageUrls ?? this.imageUrls,
       videoUrl: videoUrl ?? this.videoUrl,
+      imagePaths: imagePaths ?? this.imagePaths,
+      videoPath: videoPath ?? this.videoPath,
       scheduledFor: scheduledFor ?? this.scheduledFor,
       createdAt: createdAt ?? this.createdAt,
       updatedAt: updatedAt ?? this.updatedAt,
       status: status ?? this.status,
       deliveredAt: deliveredAt ?? this.deliveredAt,
+      recipientRemovedAt: recipientRemovedAt ?? this.recipientRemovedAt,
     );
   }
 
@@ -139,6 +164,9 @@ class ScheduledMessage {
   bool isDelivered() => status == ScheduledMessageStatus.delivered;
   bool isFailed() => status == ScheduledMessageStatus.failed;
 
+  // Removed from the recipient's view by their retention setting, kept for the sender
+  bool isRemovedByRecipient() => recipientRemovedAt != null;
+
   bool isScheduledForFuture() => scheduledFor.isAfter(DateTime.now());
   bool isReadyForDelivery() => isPending() && DateTime.now().isAfter(scheduledFor);
 
@@ -155,7 +183,10 @@ class ScheduledMessage {
 
   // Media validation methods
   bool hasMedia() {
-    return (imageUrls?.isNotEmpty ?? false) || videoUrl != null;
+    return (imageUrls?.isNotEmpty ?? false) ||
+        videoUrl != null ||
+        (imagePaths?.isNotEmpty ?? false) ||
+        videoPath != null;
   }
 
   List<String> getAllMediaUrls() {
@@ -8,6 +8,7 @@ import '../../services/media_service.dart';
 import '../../services/profile_picture_service.dart';
 import '../../models/user_profile.dart';
 import '../../widgets/profile_picture_widget.dart';
+import '../../widgets/notification_badge_widget.dart';
 import '../../constants/route_constants.dart';
 import '../../design_system/app_colors.dart';
 import '../../design_system/app_typography.dart';
@@ -64,10 +65,21 @@ class _HomePageState extends State<HomePage> {
             child: Column(
               crossAxisAlignment: CrossAxisAlignment.start,
               children: [
-                // Header with only profile picture
+                // Header with notifications and profile picture
                 Row(
                   mainAxisAlignment: MainAxisAlignment.end,
                   children: [
+                    NotificationBadgeWidget(
+                      onTap: () =>
+                          Navigator.pushNamed(context, Routes.notifications),
+                      child: Container(
+                        padding: AppSpacing.paddingSm,
+                        child: const Icon(
+                          Icons.notifications_outlined,
+                          size: AppSpacing.iconSizeLarge,
+                        ),
+                      ),
+                    ),
                     GestureDetector(
                       onTap: () =>
                           Navigator.pushNamed(context, Routes.profile),
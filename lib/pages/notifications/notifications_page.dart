@@ -0,0 +1,140 @@
+import 'package:flutter/material.dart';
+import '../../models/app_notification_model.dart';
+import '../../services/notification_inbox_service.dart';
+import '../../utils/error_handler.dart';
+
+/// Lists the notification inbox kept by Cloud Functions, so the history does not
+/// depend on which pushes this device happened to receive
+class NotificationsPage extends StatefulWidget {
+  final NotificationInboxService? inboxService;
+
+  const NotificationsPage({super.key, this.inboxService});
+
+  @override
+  State<NotificationsPage> createState() => _NotificationsPageState();
+}
+
+class _NotificationsPageState extends State<NotificationsPage> {
+  late final NotificationInboxService _inboxService;
+  late final Stream<List<AppNotification>> _notifications;
+
+  @override
+  void initState() {
+    super.initState();
+    _inboxService = widget.inboxService ?? NotificationInboxService();
+    _notifications = _inboxService.streamNotifications();
+  }
+
+  Future<void> _markAsRead(AppNotification notification) async {
+    if (notification.read) {
+      return;
+    }
+
+    try {
+      await _inboxService.markAsRead([notification.id]);
+    } catch (e) {
+      _showError(e);
+    }
+  }
+
+  Future<void> _markAllAsRead() async {
+    try {
+      await _inboxService.markAllAsRead();
+    } catch (e) {
+      _showError(e);
+    }
+  }
+
+  void _showError(Object error) {
+    if (!mounted) return;
+
+    ScaffoldMessenger.of(context).showSnackBar(
+      SnackBar(
+        content: Text(ErrorHandler.getErrorMessage(error)),
+        backgroundColor: Theme.of(context).colorScheme.error,
+      ),
+    );
+  }
+
+  String _formatTime(DateTime time) {
+    final difference = DateTime.now().difference(time);
+
+    if (difference.inMinutes < 1) return 'Just now';
+    if (difference.inHours < 1) return '${difference.inMinutes}m ago';
+    if (difference.inDays < 1) return '${difference.inHours}h ago';
+    if (difference.inDays < 7) return '${difference.inDays}d ago';
+    return '${time.day}/${time.month}/${time.year}';
+  }
+
+  @override
+  Widget build(BuildContext context) {
+    final theme = Theme.of(context);
+
+    return Scaffold(
+      appBar: AppBar(
+        title: const Text('Notifications'),
+        backgroundColor: theme.colorScheme.surface,
+        foregroundColor: theme.colorScheme.onSurface,
+        actions: [
+          IconButton(
+            onPressed: _markAllAsRead,
+            icon: const Icon(Icons.done_all),
+            tooltip: 'Mark all as read',
+          ),
+        ],
+      ),
+      body: StreamBuilder<List<AppNotification>>(
+        stream: _notifications,
+        builder: (context, snapshot) {
+          if (snapshot.hasError) {
+            return Center(
+              child: Text(ErrorHandler.getErrorMessage(snapshot.error!)),
+            );
+          }
+
+          if (!snapshot.hasData) {
+            return const Center(child: CircularProgressIndicator());
+          }
+
+          final notifications = snapshot.data!;
+
+          if (notifications.isEmpty) {
+            return const Center(child: Text('No notifications yet'));
+          }
+
+          return ListView.separated(
+            itemCount: notifications.length,
+            separatorBuilder: (_, __) => const Divider(height: 1),
+            itemBuilder: (context, index) {
+              final notification = notifications[index];
+
+              return ListTile(
+                leading: Icon(
+                  notification.read
+                      ? Icons.notifications_none
+                      : Icons.notifications_active,
+                  color: notification.read
+                      ? theme.colorScheme.onSurfaceVariant
+                      : theme.colorScheme.primary,
+                ),
+                title: Text(
+                  notification.title,
+                  style: TextStyle(
+                    fontWeight:
+                        notification.read ? FontWeight.normal : FontWeight.bold,
+                  ),
+                ),
+                subtitle: Text(notification.body),
+                trailing: Text(
+                  _formatTime(notification.createdAt),
+                  style: theme.textTheme.bodySmall,
+                ),
+                onTap: () => _markAsRead(notification),
+              );
+            },
+          );
+        },
+      ),
+    );
+  }
+}
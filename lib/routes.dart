@@ -14,6 +14,7 @@ import 'pages/memory_album/convert_to_shared_folder_page.dart';
 import 'pages/scheduled_messages/scheduled_messages_page.dart';
 import 'pages/scheduled_messages/delivered_messages_page.dart';
 import 'pages/public_folders/public_folders_page.dart';
+import 'pages/notifications/notifications_page.dart';
 import 'models/folder_model.dart';
 import 'constants/route_constants.dart';
 
@@ -85,6 +86,8 @@ Route<dynamic> generateRoute(RouteSettings settings) {
       return MaterialPageRoute(builder: (_) => const DeliveredMessagesPage());
     case Routes.publicFolders:
       return MaterialPageRoute(builder: (_) => const PublicFoldersPage());
+    case Routes.notifications:
+      return MaterialPageRoute(builder: (_) => const NotificationsPage());
 
 
     default:
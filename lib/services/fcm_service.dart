@@ -10,6 +10,7 @@ import 'package:http/http.dart' as http;
 import '../models/fcm_token_model.dart';
 import '../models/notification_payload_model.dart';
 import '../utils/error_handler.dart';
+import 'notification_inbox_service.dart';
 
 /// Service for handling Firebase Cloud Messaging (FCM) operations
 /// Manages token retrieval, notification handling, and backend integration
@@ -427,6 +428,7 @@ class FCMService {
   /// Handle messages when app is opened from background
   void _handleMessageOpenedApp(RemoteMessage message) {
     debugPrint('FCM: App opened from background message: ${message.messageId}');
+    _markInboxEntryRead(message);
     _navigateToContent(message);
   }
   
@@ -435,10 +437,24 @@ class FCMService {
     final initialMessage = await _messaging.getInitialMessage();
     if (initialMessage != null) {
       debugPrint('FCM: App opened from terminated state: ${initialMessage.messageId}');
+      _markInboxEntryRead(initialMessage);
       _navigateToContent(initialMessage);
     }
   }
   
+  /// Mark the inbox entry of an opened push as read, so the badge count drops
+  void _markInboxEntryRead(RemoteMessage message) {
+    final notificationId = message.data['notificationId'];
+    if (notificationId == null || notificationId.isEmpty) {
+      return;
+    }
+    
+    NotificationInboxService().markAsRead([notificationId]).catchError((e) {
+      ErrorHandler.logError('FCMService._markInboxEntryRead', e);
+      return 0;
+    });
+  }
+  
   /// Show local notification for received message
   Future<void> showLocalNotification(RemoteMessage message) async {
     try {
@@ -0,0 +1,95 @@
+import 'package:cloud_firestore/cloud_firestore.dart';
+import 'package:cloud_functions/cloud_functions.dart';
+import 'package:firebase_auth/firebase_auth.dart';
+import '../models/app_notification_model.dart';
+import '../utils/error_handler.dart';
+
+/// Service for the per-user notification inbox kept by Cloud Functions
+/// The inbox drives the in-app notification list and badge; entries are read-only
+/// for clients and marked read through the markNotificationsRead callable
+class NotificationInboxService {
+  final FirebaseFirestore _firestore;
+  final FirebaseAuth _auth;
+  final FirebaseFunctions _functions;
+
+  // Most recent entries shown in the notification list
+  static const int defaultLimit = 50;
+
+  NotificationInboxService({
+    FirebaseFirestore? firestore,
+    FirebaseAuth? auth,
+    FirebaseFunctions? functions,
+  }) : _firestore = firestore ?? FirebaseFirestore.instance,
+       _auth = auth ?? FirebaseAuth.instance,
+       _functions = functions ?? FirebaseFunctions.instance;
+
+  /// Streams the current user's notifications, newest first
+  Stream<List<AppNotification>> streamNotifications({int limit = defaultLimit}) {
+    final currentUser = _auth.currentUser;
+    if (currentUser == null) {
+      return Stream.value([]);
+    }
+
+    return _firestore
+        .collection('notifications')
+        .where('userId', isEqualTo: currentUser.uid)
+        .orderBy('createdAt', descending: true)
+        .limit(limit)
+        .snapshots()
+        .map((snapshot) => snapshot.docs
+            .map((doc) => AppNotification.fromFirestore(doc))
+            .toList());
+  }
+
+  /// Streams the number of unread notifications of the current user for the badge
+  Stream<int> streamUnreadCount() {
+    final currentUser = _auth.currentUser;
+    if (currentUser == null) {
+      return Stream.value(0);
+    }
+
+    return _firestore
+        .collection('notifications')
+        .where('userId', isEqualTo: currentUser.uid)
+        .where('read', isEqualTo: false)
+        .snapshots()
+        .map((snapshot) => snapshot.size);
+  }
+
+  /// Marks the given notifications as read and returns the remaining unread count
+  Future<int> markAsRead(List<String> notificationIds) async {
+    if (notificationIds.isEmpty) {
+      return 0;
+    }
+
+    return _markRead({'notificationIds': notificationIds});
+  }
+
+  /// Marks every notification of the current user as read
+  Future<int> markAllAsRead() async {
+    return _markRead({'all': true});
+  }
+
+  Future<int> _markRead(Map<String, dynamic> data) async {
+    try {
+      if (_auth.currentUser == null) {
+        throw Exception('User must be logged in to update notifications');
+      }
+
+      final callable = _functions.httpsCallable('markNotificationsRead');
+      final result = await callable.call(data);
+      final response = Map<String, dynamic>.from(result.data as Map);
+
+      return (response['unreadCount'] as num?)?.toInt() ?? 0;
+    } on FirebaseException catch (e) {
+      throw Exception(ErrorHandler.getErrorMessage(e));
+    } catch (e) {
+      if (e is Exception) {
+        rethrow;
+      }
+      throw Exception(
+        'Failed to mark notifications as read: ${ErrorHandler.getErrorMessage(e)}',
+      );
+    }
+  }
+}
@@ -25,6 +25,8 @@ class ScheduledMessageService {
        _storageService = storageService ?? StorageService();
 
   /// Uploads multiple media files for scheduled messages with enhanced error handling and retry mechanism
+  /// Returns the storage paths of the uploads; the backend seals them until delivery,
+  /// so no download URL is stored on the message
   Future<List<String>> uploadMessageMedia(List<File> mediaFiles) async {
     if (mediaFiles.isEmpty) {
       return [];
@@ -37,7 +39,7 @@ class ScheduledMessageService {
 
     // Basic network check - we'll rely on Firebase SDK to handle network errors
 
-    final uploadedUrls = <String>[];
+    final uploadedPaths = <String>[];
     final errors = <String>[];
 
     for (int i = 0; i < mediaFiles.length; i++) {
@@ -76,13 +78,13 @@ class ScheduledMessageService {
             'scheduled_messages/${currentUser.uid}/$timestamp-$i$extension';
 
         // Upload with retry mechanism
-        final uploadUrl = await ErrorHandler.retryOperation(
+        await ErrorHandler.retryOperation(
           () => _storageService.uploadFile(file, mediaPath),
           maxRetries: 3,
           initialDelay: const Duration(seconds: 2),
         );
 
-        uploadedUrls.add(uploadUrl);
+        uploadedPaths.add(mediaPath);
             } catch (e) {
         final mediaType = file.path.toLowerCase().contains('mp4') ||
                 file.path.toLowerCase().contains('mov')
@@ -93,14 +95,14 @@ class ScheduledMessageService {
     }
 
     // Enhanced error reporting
-    if (errors.isNotEmpty && uploadedUrls.isEmpty) {
+    if (errors.isNotEmpty && uploadedPaths.isEmpty) {
       throw Exception('All media uploads failed:\n${errors.join('\n')}');
-    } else if (errors.isNotEmpty && uploadedUrls.isNotEmpty) {
+    } else if (errors.isNotEmpty && uploadedPaths.isNotEmpty) {
       // Log partial failures for monitoring (in production, use proper logging service)
       debugPrint('Partial media upload failure: ${errors.join(', ')}');
     }
 
-    return uploadedUrls;
+    return uploadedPaths;
   }
 
   /// Creates a scheduled message with media support
@@ -133,41 +135,41 @@ class ScheduledMessageService {
       }
 
       // Upload media files if any
-      List<String> uploadedUrls = [];
+      List<String> uploadedPaths = [];
       if (mediaFiles.isNotEmpty) {
-        uploadedUrls = await uploadMessageMedia(mediaFiles);
+        uploadedPaths = await uploadMessageMedia(mediaFiles);
       }
 
-      // Separate image URLs and video URL
-      List<String>? imageUrls;
-      String? videoUrl;
+      // Separate image paths and video path
+      List<String>? imagePaths;
+      String? videoPath;
 
-      if (uploadedUrls.isNotEmpty) {
-        imageUrls = <String>[];
+      if (uploadedPaths.isNotEmpty) {
+        imagePaths = <String>[];
 
-        for (final url in uploadedUrls) {
-          // Determine if URL is for image or video based on file extension in the URL
-          if (url.contains('.mp4') ||
-              url.contains('.mov') ||
-              url.contains('.avi') ||
-              url.contains('.mkv') ||
-              url.contains('.webm')) {
-            videoUrl = url;
+        for (final path in uploadedPaths) {
+          // Determine if the upload is an image or video based on its file extension
+          if (path.endsWith('.mp4') ||
+              path.endsWith('.mov') ||
+              path.endsWith('.avi') ||
+              path.endsWith('.mkv') ||
+              path.endsWith('.webm')) {
+            videoPath = path;
           } else {
-            imageUrls.add(url);
+            imagePaths.add(path);
           }
         }
 
-        // If no images were found, set imageUrls to null
-        if (imageUrls.isEmpty) {
-          imageUrls = null;
+        // If no images were found, set imagePaths to null
+        if (imagePaths.isEmpty) {
+          imagePaths = null;
         }
       }
 
-      // Create message with uploaded media URLs
+      // Create message with the uploaded media paths
       final messageWithMedia = message.copyWith(
-        imageUrls: imageUrls,
-        videoUrl: videoUrl,
+        imagePaths: imagePaths,
+        videoPath: videoPath,
       );
 
       // Use existing createScheduledMessage method for the rest of the logic
@@ -410,6 +412,7 @@ class ScheduledMessageService {
 
       final deliveredMessages = deliveredSnapshot.docs
           .map((doc) => ScheduledMessage.fromFirestore(doc))
+          .where((message) => !message.isRemovedByRecipient())
           .toList();
 
       // For ready messages, treat them as delivered for display purposes
@@ -470,7 +473,7 @@ class ScheduledMessageService {
             final messages = snapshot.docs
                 .map((doc) => ScheduledMessage.fromFirestore(doc))
                 .where((message) =>
-                    message.isDelivered() ||
+                    (message.isDelivered() && !message.isRemovedByRecipient()) ||
                     (message.isPending() && message.scheduledFor.isBefore(now)))
                 .toList();
 
@@ -699,7 +702,9 @@ class ScheduledMessageService {
 
       return {
         'scheduled': scheduledSnapshot.docs.length,
-        'received': receivedSnapshot.docs.length,
+        'received': receivedSnapshot.docs
+            .where((doc) => doc.data()['recipientRemovedAt'] == null)
+            .length,
       };
     } on FirebaseException catch (e) {
       throw Exception(ErrorHandler.getErrorMessage(e));
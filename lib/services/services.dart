@@ -5,6 +5,7 @@ export 'diary_service.dart';
 export 'folder_service.dart';
 export 'friend_service.dart';
 export 'media_service.dart';
+export 'notification_inbox_service.dart';
 export 'notification_service.dart';
 export 'permission_service.dart';
 export 'storage_service.dart';
@@ -81,11 +81,6 @@ class VideoIntegrationService {
     );
   }
 
-  /// Upload video for scheduled messages
-  static Future<String> uploadScheduledMessageVideo(File videoFile, String messageId) async {
-    return await _videoService.uploadScheduledMessageVideo(videoFile, messageId);
-  }
-
   /// Upload video for digital diary
   static Future<String> uploadDiaryVideo(File videoFile, String entryId) async {
     return await _videoService.uploadDiaryVideo(videoFile, entryId);
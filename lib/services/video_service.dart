@@ -6,17 +6,6 @@ class VideoService {
   final StorageService _storageService = StorageService();
   final FirebaseAuth _auth = FirebaseAuth.instance;
 
-  /// Upload a video for scheduled messages
-  Future<String> uploadScheduledMessageVideo(File videoFile, String messageId) async {
-    final userId = _auth.currentUser?.uid;
-    if (userId == null) {
-      throw Exception('User not authenticated');
-    }
-
-    final path = 'scheduled_messages/$messageId/video_${DateTime.now().millisecondsSinceEpoch}.mp4';
-    return await _storageService.uploadVideo(videoFile, path);
-  }
-
   /// Upload a video for digital diary
   Future<String> uploadDiaryVideo(File videoFile, String entryId) async {
     final userId = _auth.currentUser?.uid;
@@ -1,22 +1,48 @@
 import 'package:flutter/material.dart';
+import '../services/notification_inbox_service.dart';
 
-class NotificationBadgeWidget extends StatelessWidget {
+class NotificationBadgeWidget extends StatefulWidget {
   final Widget child;
   final VoidCallback? onTap;
+  final NotificationInboxService? inboxService;
 
   const NotificationBadgeWidget({
     super.key,
     required this.child,
     this.onTap,
+    this.inboxService,
   });
 
+  @override
+  State<NotificationBadgeWidget> createState() => _NotificationBadgeWidgetState();
+}
+
+class _NotificationBadgeWidgetState extends State<NotificationBadgeWidget> {
+  late final Stream<int> _unreadCount;
+
+  @override
+  void initState() {
+    super.initState();
+    _unreadCount = (widget.inboxService ?? NotificationInboxService()).streamUnreadCount();
+  }
+
   @override
   Widget build(BuildContext context) {
-    // Shared folder notifications have been removed
-    // This widget now just wraps the child without showing any badges
+    // The badge shows the unread count of the notification inbox
     return GestureDetector(
-      onTap: onTap,
-      child: child,
+      onTap: widget.onTap,
+      child: StreamBuilder<int>(
+        stream: _unreadCount,
+        builder: (context, snapshot) {
+          final unreadCount = snapshot.data ?? 0;
+
+          return Badge(
+            isLabelVisible: unreadCount > 0,
+            label: Text(unreadCount > 99 ? '99+' : '$unreadCount'),
+            child: widget.child,
+          );
+        },
+      ),
     );
   }
-}
\ No newline at end of file
+}